@@ -0,0 +1,168 @@
+// ============================================================
+// ASTEROID DODGE — Achievements
+// ============================================================
+// Depends on sim.js. Uses the global localStorage, which Node tests supply
+// as a stub.
+//
+// Each achievement is a goal for one stat: unlocked once the stat reaches
+// it. Stats of the run in progress (AchievementTracker.run) reset every
+// run; the rest are kept across runs:
+//
+//   time        seconds survived this run
+//   surges      surges survived this run
+//   stillSurges surges sat out this run without steering a ship
+//   nearMisses  grazes this run
+//   pickups     power-ups collected this run
+//   runs        runs played, ever
+//   streak      ranked runs in a row that beat the board's best
+//
+// Progress is stored as
+//
+//   { unlocked: { <id>: <ISO date> }, best: { <run stat>: <best> }, runs, streak }
+//
+// best is the highest each run stat has reached, for the Achievements
+// screen's progress bars.
+// ============================================================
+
+const ACHIEVEMENTS = {
+  survive30: { label: "Warmed Up", description: "Survive 30 seconds in one run", stat: "time", goal: 30 },
+  survive60: { label: "Still Standing", description: "Survive 60 seconds in one run", stat: "time", goal: 60 },
+  survive120: { label: "Untouchable", description: "Survive 2 minutes in one run", stat: "time", goal: 120 },
+  surges5: { label: "Storm Chaser", description: "Survive 5 surges in one run", stat: "surges", goal: 5 },
+  stillSurge: {
+    label: "Eye of the Storm",
+    description: "Survive a surge without moving",
+    stat: "stillSurges",
+    goal: 1,
+  },
+  grazes25: { label: "Close Shave", description: "25 near misses in one run", stat: "nearMisses", goal: 25 },
+  pickups5: { label: "Collector", description: "Collect 5 power-ups in one run", stat: "pickups", goal: 5 },
+  runs10: { label: "Regular", description: "Play 10 runs", stat: "runs", goal: 10 },
+  runs50: { label: "Veteran", description: "Play 50 runs", stat: "runs", goal: 50 },
+  streak3: { label: "On a Roll", description: "Beat your best three times in a row", stat: "streak", goal: 3 },
+};
+
+const ACHIEVEMENT_IDS = Object.keys(ACHIEVEMENTS);
+
+// The stats AchievementTracker counts over a single run
+const RUN_STATS = ["time", "surges", "stillSurges", "nearMisses", "pickups"];
+
+const AchievementStore = {
+  _key: "asteroidDodgeAchievements",
+
+  empty() {
+    return { unlocked: {}, best: {}, runs: 0, streak: 0 };
+  },
+
+  // Stored progress, with anything missing or corrupt starting over
+  load() {
+    const progress = this.empty();
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(this._key));
+    } catch {
+      return progress;
+    }
+    if (!stored || typeof stored !== "object") return progress;
+
+    const count = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+    progress.runs = count(stored.runs);
+    progress.streak = count(stored.streak);
+    for (const id of ACHIEVEMENT_IDS) {
+      const date = stored.unlocked && stored.unlocked[id];
+      if (typeof date === "string") progress.unlocked[id] = date;
+    }
+    for (const stat of RUN_STATS) {
+      const best = stored.best && stored.best[stat];
+      if (Number.isFinite(best) && best > 0) progress.best[stat] = best;
+    }
+    return progress;
+  },
+
+  save(progress) {
+    try {
+      localStorage.setItem(this._key, JSON.stringify(progress));
+    } catch {
+      /* silently fail if storage full */
+    }
+  },
+
+  // Wipes all progress (the ?reset URL flag)
+  clear() {
+    try {
+      localStorage.removeItem(this._key);
+    } catch {
+      /* storage unavailable: nothing to clear */
+    }
+  },
+
+  // How far an achievement's stat has got: the best any run reached, or
+  // the running count
+  value(progress, id) {
+    const { stat } = ACHIEVEMENTS[id];
+    return RUN_STATS.includes(stat) ? progress.best[stat] || 0 : progress[stat];
+  },
+};
+
+// Watches one live run for achievements. Call update() once per tick,
+// after the simulation has stepped, then finish() once it's over; both
+// record what they unlock in `progress` (AchievementStore data) and return
+// the ids newly unlocked, for the game to announce and save.
+class AchievementTracker {
+  constructor(progress) {
+    this.progress = progress;
+    this.run = Object.fromEntries(RUN_STATS.map((stat) => [stat, 0]));
+    this.still = false; // no ship has been steered since the current surge began
+  }
+
+  // inputs: what the tick was stepped with (see Simulation.step). Being
+  // dragged by a gravity well isn't moving; steering is
+  update(sim, inputs) {
+    const run = this.run;
+    const moves = Array.isArray(inputs) ? inputs : [inputs];
+    const steered = sim.ships.some((ship, i) => {
+      const move = quantizeInput(moves[i] || { x: 0, y: 0 });
+      return ship.alive && (move.x !== 0 || move.y !== 0);
+    });
+    const surgeEnded = sim.surgesSurvived > run.surges;
+    for (const event of sim.events) {
+      if (event.type === "surge") this.still = true;
+      if (event.type === "pickup") run.pickups++;
+    }
+    // The ticks a surge starts and ends on are part of it, as in
+    // Simulation.updateSurge
+    if ((sim.surgeActive || surgeEnded) && steered) this.still = false;
+    if (surgeEnded && this.still) run.stillSurges++;
+    run.time = sim.tick / TICK_RATE; // exact, unlike the summed elapsedTime
+    run.surges = sim.surgesSurvived;
+    run.nearMisses = sim.nearMisses;
+    return this.check();
+  }
+
+  // ranked: whether the run went on a score board; beatBest: whether it
+  // beat the best there. Ranked runs carry the streak on or end it;
+  // unranked ones leave it be
+  finish(ranked, beatBest) {
+    const progress = this.progress;
+    progress.runs++;
+    if (ranked) progress.streak = beatBest ? progress.streak + 1 : 0;
+    return this.check();
+  }
+
+  // Records this run's bests, then unlocks whatever has reached its goal
+  check() {
+    const progress = this.progress;
+    for (const stat of RUN_STATS) {
+      if (this.run[stat] > (progress.best[stat] || 0)) progress.best[stat] = this.run[stat];
+    }
+    const stats = { ...this.run, runs: progress.runs, streak: progress.streak };
+    const unlocked = [];
+    for (const id of ACHIEVEMENT_IDS) {
+      const { stat, goal } = ACHIEVEMENTS[id];
+      if (progress.unlocked[id] || stats[stat] < goal) continue;
+      progress.unlocked[id] = new Date().toISOString();
+      unlocked.push(id);
+    }
+    return unlocked;
+  }
+}
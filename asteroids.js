@@ -0,0 +1,143 @@
+// ============================================================
+// ASTEROID DODGE — Asteroid types
+// ============================================================
+// Depends on sim.js; DOM-free.
+//
+// Every rock the Simulation spawns rolls a type, with the odds in
+// CONFIG.asteroidTypeWeights moving from their start to their end values
+// over CONFIG.asteroidTypeRampTime seconds. A type scales the rock's size
+// and speed, gives its colors ([r, g, b], blended toward red in a surge by
+// render.js), and may have update(asteroid, sim, dt), called every tick
+// before the rock moves. update returns true if the rock is gone (a
+// splitter that broke up).
+// ============================================================
+
+const ASTEROID_TYPES = {
+  rock: {
+    label: "Rock",
+    size: 1,
+    speed: 1,
+    fill: [170, 170, 170],
+    stroke: [119, 119, 119],
+  },
+  splitter: {
+    label: "Splitter",
+    size: 1.4,
+    speed: 0.9,
+    fill: [205, 170, 115],
+    stroke: [150, 105, 55],
+    update: (asteroid, sim) => splitAtMidScreen(asteroid, sim),
+  },
+  seeker: {
+    label: "Seeker",
+    size: 0.9,
+    speed: 0.55,
+    fill: [220, 120, 190],
+    stroke: [255, 80, 200],
+    update: (asteroid, sim, dt) => homeOnShip(asteroid, sim.nearestShip(asteroid.x, asteroid.y), dt),
+  },
+  giant: {
+    label: "Giant",
+    size: 3,
+    speed: 0.35,
+    fill: [135, 135, 150],
+    stroke: [95, 95, 110],
+  },
+  well: {
+    label: "Gravity well",
+    size: 1,
+    speed: 0.2,
+    fill: [55, 30, 105],
+    stroke: [150, 100, 255],
+    update: (asteroid, sim, dt) => pullNearby(asteroid, sim, dt),
+  },
+};
+
+const ASTEROID_TYPE_IDS = Object.keys(ASTEROID_TYPES);
+
+// The odds of each type `time` seconds into a run
+function asteroidTypeWeightsAt(time) {
+  const t = CONFIG.asteroidTypeRampTime > 0 ? clamp(time / CONFIG.asteroidTypeRampTime, 0, 1) : 1;
+  const weights = {};
+  for (const id of ASTEROID_TYPE_IDS) {
+    const [from, to] = CONFIG.asteroidTypeWeights[id] || [0, 0];
+    weights[id] = Math.max(0, lerp(from, to, t));
+  }
+  return weights;
+}
+
+// Always draws exactly one number from rng, whatever the odds
+function rollAsteroidType(rng, time) {
+  const weights = asteroidTypeWeightsAt(time);
+  const total = ASTEROID_TYPE_IDS.reduce((sum, id) => sum + weights[id], 0);
+  let roll = rng.range(0, total);
+  return ASTEROID_TYPE_IDS.find((id) => weights[id] > 0 && (roll -= weights[id]) < 0) || "rock";
+}
+
+// ============================================================
+// Behaviors
+// ============================================================
+
+// Once within splitterSplitDistance of the centre, a splitter breaks into
+// fragments fanning out along its heading, a little faster than it was
+function splitAtMidScreen(asteroid, sim) {
+  const cx = CONFIG.canvasWidth / 2;
+  const cy = CONFIG.canvasHeight / 2;
+  if (dist(asteroid.x, asteroid.y, cx, cy) > CONFIG.splitterSplitDistance) return false;
+
+  const heading = Math.atan2(asteroid.baseVy, asteroid.baseVx);
+  const speed = Math.sqrt(asteroid.baseVx * asteroid.baseVx + asteroid.baseVy * asteroid.baseVy) * 1.25;
+  const count = CONFIG.splitterFragments;
+  for (let i = 0; i < count; i++) {
+    const spread = count > 1 ? (i / (count - 1) - 0.5) * CONFIG.splitterFragmentSpread : 0;
+    const fragment = sim.asteroidPool.acquire(sim.rng, speed, "rock");
+    fragment.launch(asteroid.x, asteroid.y, asteroid.size * CONFIG.splitterFragmentScale, heading + spread, speed);
+    sim.asteroids.push(fragment);
+  }
+  sim.events.push({ type: "split", x: asteroid.x, y: asteroid.y });
+  return true;
+}
+
+// Turns toward the (nearest) ship by at most seekerTurnRate, for the first
+// seekerHomingTime of its life; after that it flies straight on
+function homeOnShip(asteroid, ship, dt) {
+  if (asteroid.age * 1000 >= CONFIG.seekerHomingTime) return false;
+  const heading = Math.atan2(asteroid.baseVy, asteroid.baseVx);
+  let turn = Math.atan2(ship.y - asteroid.y, ship.x - asteroid.x) - heading;
+  turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // shortest way round
+  turn = clamp(turn, -CONFIG.seekerTurnRate * dt, CONFIG.seekerTurnRate * dt);
+  const cos = Math.cos(turn);
+  const sin = Math.sin(turn);
+  const vx = asteroid.baseVx;
+  asteroid.baseVx = vx * cos - asteroid.baseVy * sin;
+  asteroid.baseVy = vx * sin + asteroid.baseVy * cos;
+  return false;
+}
+
+// Bends every rock (other wells aside) and ship within wellRadius toward
+// the well, strongest at its centre and fading to nothing at the edge
+function pullNearby(well, sim, dt) {
+  const strength = (x, y) => {
+    const d = dist(x, y, well.x, well.y);
+    return d > 0 && d < CONFIG.wellRadius ? { d, k: 1 - d / CONFIG.wellRadius } : null;
+  };
+
+  for (const other of sim.asteroids) {
+    if (other.type === "well") continue;
+    const pull = strength(other.x, other.y);
+    if (!pull) continue;
+    const a = (CONFIG.wellPull * pull.k * dt) / pull.d;
+    other.baseVx += (well.x - other.x) * a;
+    other.baseVy += (well.y - other.y) * a;
+  }
+
+  // Ships have no momentum, so they drift instead
+  for (const ship of sim.liveShips) {
+    const pull = strength(ship.x, ship.y);
+    if (!pull) continue;
+    const step = Math.min(1, (CONFIG.wellShipPull * pull.k * dt) / pull.d);
+    ship.x = clamp(ship.x + (well.x - ship.x) * step, ship.size, CONFIG.canvasWidth - ship.size);
+    ship.y = clamp(ship.y + (well.y - ship.y) * step, ship.size, CONFIG.canvasHeight - ship.size);
+  }
+  return false;
+}
@@ -0,0 +1,215 @@
+// ============================================================
+// ASTEROID DODGE — Sound effects and music (Web Audio)
+// ============================================================
+// Everything is synthesized from oscillators and a noise buffer, so there
+// are no asset files. Browsers only allow audio after the player has
+// interacted with the page: the game calls unlock() on every key press or
+// tap, and the AudioContext is created on the first one.
+//
+// Levels come from the player's settings (settings.js): volume (master),
+// sfxVolume, musicVolume, muted, and sound — with sound off no
+// AudioContext is ever created.
+// ============================================================
+
+// Music: A minor, one chord per bar, sixteenth-note steps
+const MUSIC_CHORDS = [
+  [110, 130.81, 164.81], // Am
+  [87.31, 110, 130.81], // F
+  [130.81, 164.81, 196], // C
+  [98, 123.47, 146.83], // G
+];
+const MUSIC_TEMPO = [100, 140]; // bpm, calm -> full surge
+const MUSIC_CUTOFF = [700, 4000]; // Hz of the music's low-pass filter, calm -> full surge
+const MUSIC_LOOKAHEAD = 0.15; // seconds of music scheduled ahead of the clock
+
+class Sound {
+  constructor(settings) {
+    this.settings = settings;
+    this.ctx = null; // created by unlock()
+    this.musicOn = false;
+    this.step = 0;
+    this.nextStepTime = 0;
+  }
+
+  // Call from a user gesture (key press, tap): creates or resumes the
+  // context, and picks up any settings changes
+  unlock() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (this.settings.sound && AudioContextClass && !this.ctx) {
+      this.ctx = new AudioContextClass();
+      this.master = this.ctx.createGain();
+      this.master.connect(this.ctx.destination);
+      this.sfx = this.ctx.createGain();
+      this.sfx.connect(this.master);
+      this.music = this.ctx.createGain();
+      this.music.gain.value = 0;
+      this.musicFilter = this.ctx.createBiquadFilter();
+      this.musicFilter.type = "lowpass";
+      this.musicFilter.connect(this.music);
+      this.music.connect(this.master);
+
+      // One second of white noise, shared by every noisy sound
+      const rate = this.ctx.sampleRate;
+      this.noise = this.ctx.createBuffer(1, rate, rate);
+      const data = this.noise.getChannelData(0);
+      for (let i = 0; i < rate; i++) data[i] = Math.random() * 2 - 1;
+    }
+    if (this.ctx && this.ctx.state === "suspended") this.ctx.resume();
+    this.applySettings();
+  }
+
+  // New levels, or tear everything down if sound was turned off (unlock()
+  // builds it again once it's back on)
+  applySettings() {
+    if (!this.ctx) return;
+    if (!this.settings.sound) {
+      this.ctx.close();
+      this.ctx = null;
+      this.musicOn = false;
+      return;
+    }
+    const now = this.ctx.currentTime;
+    this.master.gain.setTargetAtTime(this.settings.muted ? 0 : this.settings.volume, now, 0.02);
+    this.sfx.gain.setTargetAtTime(this.settings.sfxVolume, now, 0.02);
+  }
+
+  get ready() {
+    return this.ctx !== null && this.ctx.state === "running";
+  }
+
+  // ---- Sound effects ----
+
+  // name: 'blip' | 'start' | 'surge' | 'explosion' | 'hit' | 'whoosh' | 'pickup' |
+  // 'achievement'.
+  // pan: -1 (left) .. 1 (right), for sounds that come from somewhere
+  play(name, pan = 0) {
+    if (!this.ready) return;
+    const t = this.ctx.currentTime;
+    let out = this.sfx;
+    if (pan && this.ctx.createStereoPanner) {
+      out = this.ctx.createStereoPanner();
+      out.pan.value = clamp(pan, -1, 1);
+      out.connect(this.sfx);
+    }
+
+    if (name === "blip") {
+      this.tone(out, "square", 660, 880, t, 0.07, 0.15);
+    } else if (name === "start") {
+      this.tone(out, "square", 440, 440, t, 0.08, 0.15);
+      this.tone(out, "square", 880, 880, t + 0.08, 0.12, 0.15);
+    } else if (name === "surge") {
+      // Two-tone siren, three times
+      for (let i = 0; i < 6; i++) {
+        const f = i % 2 ? 660 : 880;
+        this.tone(out, "sawtooth", f, f, t + i * 0.14, 0.13, 0.12);
+      }
+    } else if (name === "explosion") {
+      this.noiseBurst(out, "lowpass", 2400, 80, t, 1.2, 0.9);
+      this.tone(out, "sine", 90, 30, t, 0.6, 0.8);
+    } else if (name === "hit") {
+      this.noiseBurst(out, "lowpass", 1800, 200, t, 0.35, 0.6);
+      this.tone(out, "sine", 120, 50, t, 0.25, 0.5);
+    } else if (name === "whoosh") {
+      this.noiseBurst(out, "bandpass", 500, 2500, t, 0.3, 0.35, true);
+    } else if (name === "pickup") {
+      [523.25, 659.25, 783.99].forEach((f, i) => this.tone(out, "triangle", f, f, t + i * 0.06, 0.1, 0.25));
+    } else if (name === "achievement") {
+      // Rising arpeggio, landing on a held octave
+      [523.25, 659.25, 783.99].forEach((f, i) => this.tone(out, "square", f, f, t + i * 0.09, 0.09, 0.12));
+      this.tone(out, "triangle", 1046.5, 1046.5, t + 0.27, 0.45, 0.3);
+    }
+  }
+
+  // One oscillator note gliding from f0 to f1, with a quick attack and
+  // exponential decay
+  tone(out, type, f0, f1, start, duration, level) {
+    const osc = this.ctx.createOscillator();
+    const gain = this.ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(f0, start);
+    if (f1 !== f0) osc.frequency.exponentialRampToValueAtTime(f1, start + duration);
+    this.envelope(gain, start, duration, level);
+    osc.connect(gain);
+    gain.connect(out);
+    osc.start(start);
+    osc.stop(start + duration + 0.05);
+  }
+
+  // Filtered noise with the filter swept from f0 to f1 (and back again if
+  // `swell`, for a pass-by)
+  noiseBurst(out, filterType, f0, f1, start, duration, level, swell = false) {
+    const src = this.ctx.createBufferSource();
+    src.buffer = this.noise;
+    const filter = this.ctx.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(f0, start);
+    if (swell) {
+      filter.frequency.exponentialRampToValueAtTime(f1, start + duration / 2);
+      filter.frequency.exponentialRampToValueAtTime(f0, start + duration);
+    } else {
+      filter.frequency.exponentialRampToValueAtTime(f1, start + duration);
+    }
+    const gain = this.ctx.createGain();
+    this.envelope(gain, start, duration, level, swell ? duration / 2 : 0.005);
+    src.connect(filter);
+    filter.connect(gain);
+    gain.connect(out);
+    src.start(start);
+    src.stop(start + duration + 0.05);
+  }
+
+  envelope(gain, start, duration, level, attack = 0.005) {
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(level, start + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+  }
+
+  // ---- Music ----
+
+  // Once per frame. on: whether music should be playing; intensity: 0 (calm)
+  // to 1 (full surge), which raises the tempo and opens the filter
+  updateMusic(on, intensity) {
+    if (!this.ready) return;
+    const now = this.ctx.currentTime;
+    const level = on ? this.settings.musicVolume * 0.5 : 0;
+    this.music.gain.setTargetAtTime(level, now, on ? 0.1 : 0.3);
+    this.musicFilter.frequency.setTargetAtTime(lerp(MUSIC_CUTOFF[0], MUSIC_CUTOFF[1], intensity), now, 0.2);
+
+    if (on && !this.musicOn) {
+      this.step = 0;
+      this.nextStepTime = now + 0.05;
+    }
+    this.musicOn = on;
+    if (!on) return;
+
+    const stepLength = 60 / lerp(MUSIC_TEMPO[0], MUSIC_TEMPO[1], intensity) / 4;
+    this.nextStepTime = Math.max(this.nextStepTime, now); // don't catch up after a stall
+    while (this.nextStepTime < now + MUSIC_LOOKAHEAD) {
+      this.scheduleStep(this.step, this.nextStepTime, stepLength, intensity);
+      this.nextStepTime += stepLength;
+      this.step++;
+    }
+  }
+
+  // Bass on the bar's accents, an arpeggio on every other step, hi-hats on
+  // the off-beats, and a four-on-the-floor kick once the surge kicks in
+  scheduleStep(step, t, stepLength, intensity) {
+    const out = this.musicFilter;
+    const beat = step % 16;
+    const chord = MUSIC_CHORDS[Math.floor(step / 16) % MUSIC_CHORDS.length];
+
+    if (beat === 0 || beat === 6 || beat === 8 || beat === 14) {
+      this.tone(out, "sawtooth", chord[0] / 2, chord[0] / 2, t, stepLength * 2, 0.3);
+    }
+    if (beat % 2 === 0) {
+      const f = chord[(beat / 2) % chord.length] * 2;
+      this.tone(out, "square", f, f, t, stepLength * 0.9, 0.06);
+    }
+    if (beat % 4 === 2) {
+      this.noiseBurst(out, "highpass", 7000, 9000, t, 0.04, 0.08);
+    }
+    if (beat % 4 === 0 && (beat % 8 === 0 || intensity > 0.5)) {
+      this.tone(out, "sine", 120, 40, t, 0.18, 0.6);
+    }
+  }
+}
@@ -0,0 +1,86 @@
+// ============================================================
+// ASTEROID DODGE — Difficulty presets & progression
+// ============================================================
+// Depends on sim.js; DOM-free.
+//
+// A preset ramps the core spawn/speed values over the run. Each ramped value
+// is a multiplier on its CONFIG baseline (so CONFIG stays the main tuning
+// knob), moving `from` -> `to` over `over` seconds along a curve:
+//
+//   linear  — steady climb
+//   eased   — slow start, fast middle, gentle landing
+//   stepped — jumps in `steps` equal increments
+//
+// After `over` seconds the value stays at `to`. DIFFICULTY_LIMITS then clamps
+// the result so no preset or CONFIG tweak can make the game degenerate.
+// ============================================================
+
+const DIFFICULTY_CURVES = {
+  linear: (t) => t,
+  eased: (t) => t * t * (3 - 2 * t),
+  stepped: (t, steps) => Math.floor(t * steps) / steps,
+};
+
+const DIFFICULTY_PRESETS = {
+  easy: {
+    label: "Easy",
+    asteroidSpawnInterval: { from: 1.4, to: 1.0, over: 180, curve: "linear" },
+    asteroidBatchSize: { from: 0.67, to: 1.0, over: 120, curve: "stepped", steps: 1 },
+    asteroidBaseSpeed: { from: 0.8, to: 1.0, over: 180, curve: "linear" },
+    surgeMultiplier: { from: 0.85, to: 1.0, over: 180, curve: "linear" },
+  },
+  normal: {
+    label: "Normal",
+    asteroidSpawnInterval: { from: 1.0, to: 0.6, over: 150, curve: "eased" },
+    asteroidBatchSize: { from: 1.0, to: 1.67, over: 120, curve: "stepped", steps: 2 },
+    asteroidBaseSpeed: { from: 1.0, to: 1.3, over: 150, curve: "linear" },
+    surgeMultiplier: { from: 1.0, to: 1.2, over: 180, curve: "linear" },
+  },
+  hard: {
+    label: "Hard",
+    asteroidSpawnInterval: { from: 0.8, to: 0.45, over: 120, curve: "eased" },
+    asteroidBatchSize: { from: 1.34, to: 2.0, over: 100, curve: "stepped", steps: 2 },
+    asteroidBaseSpeed: { from: 1.15, to: 1.5, over: 120, curve: "linear" },
+    surgeMultiplier: { from: 1.1, to: 1.35, over: 120, curve: "linear" },
+  },
+  insane: {
+    label: "Insane",
+    asteroidSpawnInterval: { from: 0.6, to: 0.3, over: 90, curve: "eased" },
+    asteroidBatchSize: { from: 1.67, to: 2.67, over: 90, curve: "stepped", steps: 3 },
+    asteroidBaseSpeed: { from: 1.3, to: 1.8, over: 90, curve: "eased" },
+    surgeMultiplier: { from: 1.2, to: 1.5, over: 90, curve: "linear" },
+  },
+};
+
+const DIFFICULTY_IDS = Object.keys(DIFFICULTY_PRESETS);
+
+// Hard floor/ceiling for every ramped value, whatever the preset says
+const DIFFICULTY_LIMITS = {
+  asteroidSpawnInterval: [40, 2000], // ms
+  asteroidBatchSize: [1, 12],
+  asteroidBaseSpeed: [40, 600], // px/sec
+  surgeMultiplier: [1, 3],
+};
+
+class DifficultyDirector {
+  constructor(presetId) {
+    this.preset = DIFFICULTY_PRESETS[presetId];
+    if (!this.preset) throw new Error(`Unknown difficulty "${presetId}"`);
+    this.id = presetId;
+  }
+
+  // The ramped values in effect `time` seconds into a run
+  paramsAt(time) {
+    const params = {};
+    for (const key of Object.keys(DIFFICULTY_LIMITS)) {
+      const ramp = this.preset[key];
+      const t = clamp(time / ramp.over, 0, 1);
+      const progress = DIFFICULTY_CURVES[ramp.curve](t, ramp.steps);
+      const value = CONFIG[key] * lerp(ramp.from, ramp.to, progress);
+      const [min, max] = DIFFICULTY_LIMITS[key];
+      params[key] = clamp(value, min, max);
+    }
+    params.asteroidBatchSize = Math.round(params.asteroidBatchSize);
+    return params;
+  }
+}
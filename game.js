@@ -1,424 +1,604 @@
 // ============================================================
-// ASTEROID DODGE — Configuration & Game Logic
+// ASTEROID DODGE — Browser game
 // ============================================================
-// Tweak any value in CONFIG to adjust difficulty and feel.
-// All speeds are in pixels per second. All times in milliseconds.
+// The state machine (title / playing / paused / game over / replay) on top of the
+// DOM-free Simulation in sim.js. Keyboard, gamepad and touch come in through input.js
+// and everything is drawn by render.js.
 // ============================================================
 
-const CONFIG = {
-  // --- Canvas ---
-  canvasWidth: 600,
-  canvasHeight: 600,
-
-  // --- Ship ---
-  shipSpeed: 200, // px/sec, instant response (no accel)
-  shipSize: 4, // collision radius & draw scale
-
-  // --- Asteroids ---
-  asteroidBaseSpeed: 155, // px/sec baseline
-  asteroidSpeedVariance: 90, // +/- random on top of base (high = chaotic)
-  asteroidMinSize: 4, // smallest asteroid radius
-  asteroidMaxSize: 14, // largest asteroid radius
-  asteroidSpawnInterval: 200, // ms between spawn batches
-  asteroidBatchSize: 3, // asteroids per spawn batch
-  asteroidAngleSpread: 1.3, // radians of aim randomness (high = unpredictable)
-  asteroidVertices: [5, 8], // min/max vertices for shape
-  asteroidRotationSpeed: 3, // max radians/sec spin
-
-  // --- Speed Surges ---
-  surgeInterval: [4000, 7000], // ms between surges (random in range)
-  surgeDuration: [1500, 2500], // ms a surge lasts
-  surgeMultiplier: 1.5, // asteroid speed multiplier during surge
-  // --- Visual ---
-  starCount: 80, // background star particles
-  explosionParticleCount: 30, // particles on death
-  screenShakeDuration: 400, // ms of screen shake on death
-  screenShakeIntensity: 8, // px max shake offset
-
-  // --- Scoring ---
-  maxScoresSaved: 10,
-};
+class Game {
+  constructor() {
+    this.canvas = document.getElementById("game-canvas");
+    this.renderer = new Renderer(this.canvas);
+    this.settings = Settings.load();
+    this.sound = new Sound(this.settings);
 
-// ============================================================
-// Utility helpers
-// ============================================================
+    // Accessibility: the system's reduced motion preference (for the "auto"
+    // setting), and a live region that reads out what the canvas shows
+    this.motionQuery = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+    this.announcer = document.getElementById("announcer");
+    this.announcement = { text: "", timer: null }; // words waiting to go into the live region
+    this.surgePhase = "calm"; // 'calm' | 'warning' | 'surge': last announced
 
-function rand(min, max) {
-  return Math.random() * (max - min) + min;
-}
+    // Input
+    this.input = new Input(
+      this.canvas,
+      this.settings,
+      (key) => this.handleKey(key),
+      (point) => this.handleTap(point),
+    );
 
-function randInt(min, max) {
-  return Math.floor(rand(min, max + 1));
-}
+    // Replay scrubbing: click or drag along the progress bar (and mouse
+    // clicks on the fullscreen button)
+    this.scrubbing = false;
+    this.canvas.addEventListener("mousedown", (e) => {
+      const point = this.canvasPoint(e);
+      if (this.showsFullscreenButton() && this.hitsRect(point, this.fullscreenButtonRect())) {
+        this.toggleFullscreen();
+        return;
+      }
+      if (this.state !== "replay") return;
+      const { x, y } = point;
+      const bar = this.replayBarRect();
+      if (y >= bar.y - 8 && y <= bar.y + bar.h + 8 && x >= bar.x && x <= bar.x + bar.w) {
+        this.scrubbing = true;
+        this.scrubTo(x);
+      }
+    });
+    window.addEventListener("mousemove", (e) => {
+      if (this.scrubbing && this.state === "replay") this.scrubTo(this.canvasPoint(e).x);
+    });
+    window.addEventListener("mouseup", () => {
+      this.scrubbing = false;
+    });
 
-function dist(x1, y1, x2, y2) {
-  const dx = x1 - x2;
-  const dy = y1 - y2;
-  return Math.sqrt(dx * dx + dy * dy);
-}
+    // Replay, ghost and pattern file import by dropping a file anywhere on the page
+    window.addEventListener("dragover", (e) => e.preventDefault());
+    window.addEventListener("drop", (e) => {
+      e.preventDefault();
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (file && (this.state === "title" || this.state === "gameover")) this.importFile(file);
+    });
 
-function clamp(val, min, max) {
-  return Math.max(min, Math.min(max, val));
-}
+    // The canvas re-fits the window whenever it changes shape or goes
+    // fullscreen (F, or the button on the title and game-over screens)
+    this.fullscreen = false;
+    const resize = () => this.renderer.resize();
+    window.addEventListener("resize", resize);
+    window.addEventListener("orientationchange", resize);
+    document.addEventListener("fullscreenchange", () => {
+      this.fullscreen = Boolean(document.fullscreenElement);
+      resize();
+    });
 
-// ============================================================
-// Score persistence (localStorage)
-// ============================================================
+    // Auto-pause when the tab is hidden or the window loses focus
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) this.pause();
+    });
+    window.addEventListener("blur", () => this.pause());
+
+    // State
+    // 'title' | 'settings' | 'achievements' | 'stats' | 'playing' | 'paused' | 'gameover' | 'replay'
+    this.state = "title";
+    this.difficulty = this.settings.difficulty; // preset id, chosen with ←/→ on the title screen
+    this.mode = "classic"; // GAME_MODES id, chosen with ↑/↓ on the title screen
+    this.versusWins = [0, 0]; // rounds won by each player since Versus was picked
+    this.bestScore = ScoreManager.getBest(this.currentBoard());
+    this.sim = null; // the run being played, watched, or just finished
+    this.particles = [];
+    this.particlePool = new Pool((x, y, rng, colors) => new Particle(x, y, rng, colors));
+    this.effectsRng = new Rng(Seeds.random()); // particles mid-run must not touch the run's own RNG
+
+    // Seed: pinned by ?seed=..., otherwise a fresh one per run unless the
+    // daily challenge is toggled on from the title screen
+    this.urlSeed = Seeds.fromQuery(window.location.search);
+    this.dailyChallenge = new URLSearchParams(window.location.search).has("daily");
+
+    // Debug overlay: collision shapes and broad-phase grid (H, or ?debug)
+    this.showHitboxes = new URLSearchParams(window.location.search).has("debug");
+
+    // Performance overlay: frame rate, frame times, entity counts (`, or ?perf)
+    this.showPerf = new URLSearchParams(window.location.search).has("perf");
+    this.perf = { fps: 0, frameMs: 0, workMs: 0 }; // smoothed
+
+    // Global leaderboard (leaderboard.js), if a server is configured. Runs
+    // finished offline wait in a queue that is retried at startup and
+    // whenever the browser comes back online
+    const leaderboardUrl = new URLSearchParams(window.location.search).get("leaderboard") || LEADERBOARD_URL;
+    this.leaderboard = leaderboardUrl ? new Leaderboard(new HttpLeaderboard(leaderboardUrl)) : null;
+    this.scoreTab = "local"; // 'local' | 'global': the list shown on the game-over screen
+    this.globalBoard = null; // { board, id, status, rows } for the last run
+    if (this.leaderboard) {
+      this.leaderboard.flush().catch(() => {});
+      window.addEventListener("online", () => this.leaderboard.flush().catch(() => {}));
+    }
 
-const ScoreManager = {
-  _key: "asteroidDodgeScores",
+    // Transient message (e.g. a failed replay import)
+    this.notice = null;
+    this.noticeTimer = 0;
+
+    // Custom wave patterns (patterns.js) for every run from then on: a
+    // pattern file from ?patterns=<url>, dropped on the page or picked with
+    // L on the title screen. Runs on them aren't ranked
+    this.customPatterns = null;
+    const patternsUrl = new URLSearchParams(window.location.search).get("patterns");
+    if (patternsUrl) this.fetchPatterns(patternsUrl);
+
+    // Ghosts (ghosts.js): single-player runs race the best run on their
+    // board, or a teammate's ghost loaded from a file (G goes back to your
+    // own). The run being played is sampled in case it becomes the new best
+    this.rivalGhost = null; // ghost data from a file
+    this.ghost = null; // the Ghost raced this run
+    this.ghostRecorder = null;
+
+    // Achievements (achievements.js): live runs are watched for them, and
+    // each one unlocked pops up a toast (shown one after another)
+    this.achievements = AchievementStore.load();
+    this.achievementTracker = null;
+    this.toasts = []; // { id, age } of unlocked achievements, oldest first
+
+    // Lifetime stats (stats.js): every live run is recorded, and the Stats
+    // screen charts them, for every mode or one at a time
+    this.statsRecorder = null;
+    this.statsView = null; // { runs, filter: 'all' or a mode id } while the screen is open
 
-  _load() {
-    try {
-      const raw = localStorage.getItem(this._key);
-      return raw ? JSON.parse(raw) : [];
-    } catch {
-      return [];
+    // Timing
+    this.lastTime = 0;
+    this.globalTime = 0;
+    this.accumulator = 0; // real time not yet consumed by fixed ticks
+
+    // Start the loop
+    requestAnimationFrame((t) => this.loop(t));
+  }
+
+  handleKey(key) {
+    this.sound.unlock(); // browsers only start audio from a key press or tap
+    // Gamepad Start: pause/resume during a run, otherwise start or confirm
+    if (key === "Start") key = this.state === "playing" || this.state === "paused" ? "Escape" : "Enter";
+
+    // Typing a name for the score board takes every key
+    if (this.state === "gameover" && this.nameEntry) {
+      if (this.gameOverReady) this.handleNameKey(key);
+      return;
     }
-  },
 
-  _save(scores) {
-    try {
-      localStorage.setItem(this._key, JSON.stringify(scores));
-    } catch {
-      /* silently fail if storage full */
+    if (this.isHotkey(key, "h") && this.state !== "settings") {
+      this.showHitboxes = !this.showHitboxes;
+    }
+    if (this.isHotkey(key, "`") && this.state !== "settings") {
+      this.showPerf = !this.showPerf;
+    }
+    if (this.isHotkey(key, "m") && this.state !== "settings") {
+      this.settings.muted = !this.settings.muted;
+      this.saveSettings();
+      this.showNotice(this.settings.muted ? "Sound muted (M)" : "Sound on");
+    }
+    if (this.isHotkey(key, "f") && this.state !== "settings") {
+      this.toggleFullscreen();
     }
-  },
 
-  getScores() {
-    return this._load().sort((a, b) => b - a);
-  },
+    // Handle state transitions on key press
+    if (this.state === "title" && this.isConfirm(key)) {
+      this.startGame();
+    }
+    if (this.state === "title" && this.isHotkey(key, "o")) {
+      this.openSettings();
+    } else if (this.state === "settings") {
+      this.handleSettingsKey(key);
+    }
+    if (this.state === "achievements") {
+      if (this.isBack(key) || this.isConfirm(key)) this.showTitle();
+    } else if (this.state === "title" && this.isHotkey(key, "t")) {
+      this.openAchievements();
+    }
+    if (this.state === "stats") {
+      this.handleStatsKey(key);
+    } else if (this.state === "title" && this.isHotkey(key, "c")) {
+      this.openStats();
+    }
+    if (this.state === "title" && !this.urlSeed && this.isHotkey(key, "d")) {
+      this.dailyChallenge = !this.dailyChallenge;
+    }
+    if (this.state === "title" && (key === "ArrowLeft" || key === "ArrowRight")) {
+      this.cycleDifficulty(key === "ArrowLeft" ? -1 : 1);
+    }
+    if (this.state === "title" && (key === "ArrowUp" || key === "ArrowDown")) {
+      this.cycleMode(key === "ArrowUp" ? -1 : 1);
+    }
+    if (this.state === "playing" && this.isBack(key)) {
+      this.pause();
+    } else if (this.state === "paused") {
+      this.handlePauseKey(key);
+    }
+    if (this.state === "gameover" && this.gameOverReady && this.isConfirm(key)) {
+      this.sound.play("blip");
+      this.showTitle();
+    }
+    if (this.state === "gameover" && this.leaderboard && key === "Tab") {
+      this.scoreTab = this.scoreTab === "local" ? "global" : "local";
+    }
+    if (this.state === "gameover" && this.lastReplay) {
+      if (this.isHotkey(key, "r")) this.startReplay(this.lastReplay, "gameover");
+      if (this.isHotkey(key, "e")) this.exportReplay(this.lastReplay);
+    }
+    if ((this.state === "title" || this.state === "gameover") && this.isHotkey(key, "i")) {
+      this.openFile();
+    }
+    if ((this.state === "title" || this.state === "gameover") && this.isHotkey(key, "g")) {
+      if (this.state === "title" && this.rivalGhost) this.useRivalGhost(null);
+      else this.exportGhost();
+    }
+    if (this.state === "title" && this.isHotkey(key, "l")) {
+      if (this.customPatterns) this.usePatterns(null);
+      else this.openPatternsFile();
+    }
+    if (this.state === "replay") {
+      this.handleReplayKey(key);
+    }
+  }
 
-  getBest() {
-    const scores = this.getScores();
-    return scores.length > 0 ? scores[0] : 0;
-  },
+  // Menus always answer to Enter and Esc, and to whatever is bound to start and pause
+  isConfirm(key) {
+    return key === "Enter" || Settings.actionFor(this.settings, key) === "start";
+  }
 
-  addScore(score) {
-    const scores = this._load();
-    scores.push(score);
-    scores.sort((a, b) => b - a);
-    this._save(scores.slice(0, CONFIG.maxScoresSaved));
-  },
-};
+  isBack(key) {
+    return key === "Escape" || Settings.actionFor(this.settings, key) === "pause";
+  }
 
-// ============================================================
-// Star (background particle)
-// ============================================================
+  isHotkey(key, hotkey) {
+    return Settings.isHotkey(this.settings, key, hotkey);
+  }
 
-class Star {
-  constructor(w, h) {
-    this.x = rand(0, w);
-    this.y = rand(0, h);
-    this.size = rand(0.5, 2);
-    this.brightness = rand(0.3, 1);
-    this.twinkleSpeed = rand(1, 4);
-    this.twinkleOffset = rand(0, Math.PI * 2);
+  // Touch taps: the pause and fullscreen buttons and pause menu items,
+  // otherwise the same as Enter
+  handleTap(point) {
+    this.sound.unlock();
+    if (this.state === "playing" && this.hitsRect(point, this.pauseButtonRect())) {
+      this.pause();
+      return;
+    }
+    if (this.showsFullscreenButton() && this.hitsRect(point, this.fullscreenButtonRect())) {
+      this.toggleFullscreen();
+      return;
+    }
+    // The score list's heading switches between the local and global lists
+    if (this.state === "gameover" && !this.nameEntry && Math.abs(point.y - CONFIG.canvasHeight * 0.475) < 14) {
+      this.handleKey("Tab");
+      return;
+    }
+    if (this.state === "paused" && this.pauseMenu.countdown <= 0) {
+      const items = this.pauseMenuItems();
+      const index = items.findIndex((item, i) => Math.abs(point.y - this.pauseMenuItemY(i)) < 18);
+      if (index < 0) return;
+      this.pauseMenu.selected = index;
+    }
+    this.handleKey("Enter");
   }
 
-  draw(ctx, time) {
-    const alpha = 0.3 + 0.7 * (0.5 + 0.5 * Math.sin(time * this.twinkleSpeed + this.twinkleOffset));
-    ctx.fillStyle = `rgba(255, 255, 255, ${alpha * this.brightness})`;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-    ctx.fill();
+  // ---- State transitions ----
+
+  showTitle() {
+    this.state = "title";
+    this.bestScore = ScoreManager.getBest(this.currentBoard());
+    this.announceSelection();
   }
-}
 
-// ============================================================
-// Ship
-// ============================================================
+  // The title screen's mode and difficulty, and how to start
+  announceSelection() {
+    const mode = GAME_MODES[this.mode].label;
+    this.announce(`${mode}, ${DIFFICULTY_PRESETS[this.difficulty].label}. Press Enter to start`);
+  }
 
-class Ship {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.size = CONFIG.shipSize;
+  // Every achievement, unlocked or with how far it has got (T on the title screen)
+  openAchievements() {
+    this.state = "achievements";
+    const unlocked = Object.keys(this.achievements.unlocked).length;
+    this.announce(`Achievements: ${unlocked} of ${ACHIEVEMENT_IDS.length} unlocked`);
   }
 
-  update(dt, keys) {
-    let dx = 0;
-    let dy = 0;
-    if (keys.ArrowLeft || keys.a) dx -= 1;
-    if (keys.ArrowRight || keys.d) dx += 1;
-    if (keys.ArrowUp || keys.w) dy -= 1;
-    if (keys.ArrowDown || keys.s) dy += 1;
+  // Totals, averages and charts of every run kept (C on the title screen)
+  openStats() {
+    this.state = "stats";
+    this.statsView = { runs: StatsStore.load(), filter: "all" };
+    this.announceStats();
+  }
 
-    // Normalize diagonal movement
-    const len = Math.sqrt(dx * dx + dy * dy);
-    if (len > 0) {
-      dx /= len;
-      dy /= len;
+  handleStatsKey(key) {
+    const view = this.statsView;
+    if (this.isBack(key) || this.isConfirm(key)) {
+      this.statsView = null;
+      this.showTitle();
+    } else if (key === "ArrowLeft" || key === "ArrowRight") {
+      const filters = ["all", ...MODE_IDS];
+      const step = key === "ArrowLeft" ? -1 : 1;
+      view.filter = filters[(filters.indexOf(view.filter) + step + filters.length) % filters.length];
+      this.sound.play("blip");
+      this.announceStats();
     }
+  }
 
-    this.x += dx * CONFIG.shipSpeed * dt;
-    this.y += dy * CONFIG.shipSpeed * dt;
+  // The runs the Stats screen is showing: every mode's, or one mode's
+  statsRuns() {
+    const { runs, filter } = this.statsView;
+    return filter === "all" ? runs : runs.filter((run) => run.mode === filter);
+  }
 
-    // Clamp to canvas
-    this.x = clamp(this.x, this.size, CONFIG.canvasWidth - this.size);
-    this.y = clamp(this.y, this.size, CONFIG.canvasHeight - this.size);
+  announceStats() {
+    const filter = this.statsView.filter;
+    const label = filter === "all" ? "All modes" : GAME_MODES[filter].label;
+    const summary = Stats.summary(this.statsRuns());
+    const average = summary.runs ? `, surviving ${summary.averages.time.toFixed(1)} seconds on average` : "";
+    this.announce(`Stats, ${label}: ${summary.runs} runs${average}`);
   }
 
-  draw(ctx) {
-    const s = this.size;
+  // The score board for the mode and difficulty selected on the title screen
+  currentBoard() {
+    return ScoreManager.board(this.mode, this.difficulty);
+  }
 
-    // Outer glow
-    ctx.fillStyle = "rgba(100, 180, 255, 0.15)";
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, s * 1.6, 0, Math.PI * 2);
-    ctx.fill();
+  cycleDifficulty(direction) {
+    const index = DIFFICULTY_IDS.indexOf(this.difficulty);
+    this.difficulty = DIFFICULTY_IDS[(index + direction + DIFFICULTY_IDS.length) % DIFFICULTY_IDS.length];
+    this.bestScore = ScoreManager.getBest(this.currentBoard());
+    this.settings.difficulty = this.difficulty;
+    this.saveSettings();
+    this.sound.play("blip");
+    if (this.state === "title") this.announceSelection();
+  }
 
-    // Ship body (circle)
-    ctx.fillStyle = "#e0e8ff";
-    ctx.strokeStyle = "#7ab8ff";
-    ctx.lineWidth = 1.5;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, s, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.stroke();
+  cycleMode(direction) {
+    const index = MODE_IDS.indexOf(this.mode);
+    this.mode = MODE_IDS[(index + direction + MODE_IDS.length) % MODE_IDS.length];
+    this.versusWins = [0, 0];
+    this.bestScore = ScoreManager.getBest(this.currentBoard());
+    this.sound.play("blip");
+    this.announceSelection();
+  }
 
-    // Inner highlight
-    ctx.fillStyle = "rgba(180, 220, 255, 0.5)";
-    ctx.beginPath();
-    ctx.arc(this.x - s * 0.25, this.y - s * 0.25, s * 0.4, 0, Math.PI * 2);
-    ctx.fill();
+  nextSeed() {
+    if (this.urlSeed) return this.urlSeed;
+    return this.dailyChallenge ? Seeds.daily() : Seeds.random();
   }
-}
 
-// ============================================================
-// Asteroid
-// ============================================================
+  startGame() {
+    this.state = "playing";
+    this.resetRun(this.nextSeed(), this.difficulty, this.mode, this.customPatterns);
+    this.recorder = new ReplayRecorder(this.sim.seed, this.difficulty, this.mode, this.customPatterns);
+    const solo = this.sim.ships.length === 1 && !this.customPatterns;
+    this.ghostRecorder = solo ? new GhostRecorder(this.sim) : null;
+    const ghost = solo && this.settings.ghost ? this.ghostData() : null;
+    this.ghost = ghost ? new Ghost(ghost) : null;
+    this.achievementTracker = new AchievementTracker(this.achievements);
+    this.statsRecorder = new StatsRecorder(this.sim);
+    this.sound.play("start");
+    this.surgePhase = "calm";
+    this.announce(`${this.sim.rules.label}, ${DIFFICULTY_PRESETS[this.difficulty].label}. Go!`);
 
-class Asteroid {
-  constructor() {
-    this.size = rand(CONFIG.asteroidMinSize, CONFIG.asteroidMaxSize);
-    this.rotation = 0;
-    this.rotationSpeed = rand(-CONFIG.asteroidRotationSpeed, CONFIG.asteroidRotationSpeed);
-
-    // Build irregular polygon shape (cached offsets from center)
-    const vertCount = randInt(CONFIG.asteroidVertices[0], CONFIG.asteroidVertices[1]);
-    this.vertices = [];
-    for (let i = 0; i < vertCount; i++) {
-      const angle = (i / vertCount) * Math.PI * 2;
-      const r = this.size * rand(0.7, 1.0);
-      this.vertices.push({ angle, r });
-    }
-
-    // Spawn from a random edge
-    this._spawnFromEdge();
-  }
-
-  _spawnFromEdge() {
-    const W = CONFIG.canvasWidth;
-    const H = CONFIG.canvasHeight;
-    const margin = this.size + 5;
-    const edge = randInt(0, 3); // 0=top, 1=right, 2=bottom, 3=left
-
-    let aimX, aimY;
-
-    switch (edge) {
-      case 0: // top
-        this.x = rand(0, W);
-        this.y = -margin;
-        aimX = rand(0, W);
-        aimY = rand(H * 0.3, H);
-        break;
-      case 1: // right
-        this.x = W + margin;
-        this.y = rand(0, H);
-        aimX = rand(0, W * 0.7);
-        aimY = rand(0, H);
-        break;
-      case 2: // bottom
-        this.x = rand(0, W);
-        this.y = H + margin;
-        aimX = rand(0, W);
-        aimY = rand(0, H * 0.7);
-        break;
-      case 3: // left
-        this.x = -margin;
-        this.y = rand(0, H);
-        aimX = rand(W * 0.3, W);
-        aimY = rand(0, H);
-        break;
-    }
-
-    // Direction toward the aim point with some random spread
-    const baseAngle = Math.atan2(aimY - this.y, aimX - this.x);
-    const angle = baseAngle + rand(-CONFIG.asteroidAngleSpread / 2, CONFIG.asteroidAngleSpread / 2);
-
-    // Speed
-    const speed = CONFIG.asteroidBaseSpeed + rand(-CONFIG.asteroidSpeedVariance, CONFIG.asteroidSpeedVariance);
-    this.baseVx = Math.cos(angle) * speed;
-    this.baseVy = Math.sin(angle) * speed;
-    this.vx = this.baseVx;
-    this.vy = this.baseVy;
-  }
-
-  update(dt, speedMultiplier) {
-    this.vx = this.baseVx * speedMultiplier;
-    this.vy = this.baseVy * speedMultiplier;
-    this.x += this.vx * dt;
-    this.y += this.vy * dt;
-    this.rotation += this.rotationSpeed * dt;
-  }
-
-  isOffScreen() {
-    const margin = this.size + 60;
-    return (
-      this.x < -margin ||
-      this.x > CONFIG.canvasWidth + margin ||
-      this.y < -margin ||
-      this.y > CONFIG.canvasHeight + margin
-    );
+    // Game over delay (prevent instant restart)
+    this.gameOverReady = false;
+    this.gameOverTimer = 0;
   }
 
-  draw(ctx, surgeActive) {
-    ctx.save();
-    ctx.translate(this.x, this.y);
-    ctx.rotate(this.rotation);
+  // Fresh world for a run on the given seed (live play and replays alike)
+  resetRun(seed, difficulty, mode, patterns) {
+    this.sim = new Simulation(seed, difficulty, mode, patterns);
+    this.ghost = null;
+    this.clearParticles();
 
-    const color = surgeActive ? "#ff6655" : "#aaa";
-    const strokeColor = surgeActive ? "#ff3322" : "#777";
+    // Screen shake
+    this.shakeTimer = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+  }
 
-    ctx.fillStyle = color;
-    ctx.strokeStyle = strokeColor;
-    ctx.lineWidth = 1.5;
-    ctx.beginPath();
-    for (let i = 0; i < this.vertices.length; i++) {
-      const v = this.vertices[i];
-      const px = Math.cos(v.angle) * v.r;
-      const py = Math.sin(v.angle) * v.r;
-      if (i === 0) ctx.moveTo(px, py);
-      else ctx.lineTo(px, py);
-    }
-    ctx.closePath();
-    ctx.fill();
-    ctx.stroke();
+  // ---- Pause ----
 
-    ctx.restore();
+  // Freezes a run in progress (or re-opens the menu during the resume countdown)
+  pause() {
+    if (this.state !== "playing" && this.state !== "paused") return;
+    const inMenu = this.state === "paused" && this.pauseMenu.countdown <= 0;
+    this.state = "paused";
+    this.input.clear();
+    this.pauseMenu = { selected: 0, countdown: 0 };
+    if (!inMenu) this.announce("Paused");
   }
-}
 
-// ============================================================
-// Explosion Particle
-// ============================================================
+  // Resume / Restart / Quit, plus Finish for endless modes (the only way they end)
+  pauseMenuItems() {
+    const items = [{ id: "resume", label: "Resume" }];
+    if (this.sim.rules.endless) items.push({ id: "finish", label: "Finish Run" });
+    items.push({ id: "restart", label: "Restart" }, { id: "quit", label: "Quit to Title" });
+    return items;
+  }
 
-class Particle {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    const angle = rand(0, Math.PI * 2);
-    const speed = rand(60, 250);
-    this.vx = Math.cos(angle) * speed;
-    this.vy = Math.sin(angle) * speed;
-    this.life = 1.0;
-    this.decay = rand(1.5, 3.5);
-    this.size = rand(1.5, 4);
-    // Random warm color
-    const colors = ["#ff4444", "#ff8844", "#ffcc22", "#ffffff", "#ff6622", "#ffaa00"];
-    this.color = colors[randInt(0, colors.length - 1)];
+  pauseMenuItemY(index) {
+    return CONFIG.canvasHeight * 0.45 + index * 36;
   }
 
-  update(dt) {
-    this.x += this.vx * dt;
-    this.y += this.vy * dt;
-    this.vx *= 1 - dt * 2;
-    this.vy *= 1 - dt * 2;
-    this.life -= this.decay * dt;
-  }
-
-  draw(ctx) {
-    if (this.life <= 0) return;
-    ctx.globalAlpha = this.life;
-    ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.size * this.life, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.globalAlpha = 1;
+  // Touch players have no Esc key
+  pauseButtonRect() {
+    return { x: CONFIG.canvasWidth - 48, y: CONFIG.canvasHeight - 48, w: 36, h: 36 };
   }
-}
 
-// ============================================================
-// Main Game
-// ============================================================
+  showsFullscreenButton() {
+    return this.state === "title" || this.state === "gameover";
+  }
 
-class Game {
-  constructor() {
-    this.canvas = document.getElementById("game-canvas");
-    this.ctx = this.canvas.getContext("2d");
-    this.canvas.width = CONFIG.canvasWidth;
-    this.canvas.height = CONFIG.canvasHeight;
+  fullscreenButtonRect() {
+    return { x: CONFIG.canvasWidth - 44, y: 8, w: 36, h: 36 };
+  }
 
-    // Input
-    this.keys = {};
-    window.addEventListener("keydown", (e) => {
-      this.keys[e.key] = true;
-      // Prevent arrow key scrolling
-      if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", " "].includes(e.key)) {
-        e.preventDefault();
-      }
-      // Handle state transitions on key press
-      if (this.state === "title" && (e.key === "Enter" || e.key === " ")) {
-        this.startGame();
-      }
-      if (this.state === "gameover" && this.gameOverReady && (e.key === "Enter" || e.key === " ")) {
-        this.showTitle();
-      }
-    });
-    window.addEventListener("keyup", (e) => {
-      this.keys[e.key] = false;
-    });
+  hitsRect(point, rect) {
+    return point.x >= rect.x && point.x <= rect.x + rect.w && point.y >= rect.y && point.y <= rect.y + rect.h;
+  }
 
-    // Background stars (persist across games)
-    this.stars = [];
-    for (let i = 0; i < CONFIG.starCount; i++) {
-      this.stars.push(new Star(CONFIG.canvasWidth, CONFIG.canvasHeight));
+  // The whole page goes fullscreen, so the letterbox around the canvas stays black
+  toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (document.fullscreenEnabled) {
+      document.documentElement.requestFullscreen().catch(() => this.showNotice("Fullscreen was refused"));
+    } else {
+      this.showNotice("Fullscreen isn't available here");
     }
+  }
 
-    // State
-    this.state = "title"; // 'title' | 'playing' | 'gameover'
-    this.bestScore = ScoreManager.getBest();
-
-    // Timing
-    this.lastTime = 0;
-    this.globalTime = 0;
+  handlePauseKey(key) {
+    const menu = this.pauseMenu;
+    if (menu.countdown > 0) {
+      if (this.isBack(key)) this.pause();
+      return;
+    }
 
-    // Start the loop
-    requestAnimationFrame((t) => this.loop(t));
+    const items = this.pauseMenuItems();
+    const action = Settings.actionFor(this.settings, key);
+    if (key === "ArrowUp" || action === "up") {
+      menu.selected = (menu.selected + items.length - 1) % items.length;
+      this.sound.play("blip");
+    } else if (key === "ArrowDown" || action === "down") {
+      menu.selected = (menu.selected + 1) % items.length;
+      this.sound.play("blip");
+    } else if (this.isBack(key)) {
+      menu.countdown = 3;
+    } else if (this.isConfirm(key)) {
+      const choice = items[menu.selected].id;
+      if (choice === "resume") {
+        menu.countdown = 3;
+      } else if (choice === "finish") {
+        this.sim.end("quit");
+        this.triggerGameOver();
+      } else if (choice === "restart") {
+        this.startGame();
+      } else if (choice === "quit") {
+        this.showTitle(); // the run is abandoned: no score, no replay
+      }
+    }
   }
 
-  // ---- State transitions ----
+  // ---- Settings ----
 
-  showTitle() {
-    this.state = "title";
-    this.bestScore = ScoreManager.getBest();
+  // Opened with O from the title screen; every change is saved as it's made
+  openSettings() {
+    this.state = "settings";
+    this.settingsMenu = { selected: 0, slot: 0, capturing: false };
   }
 
-  startGame() {
-    this.state = "playing";
-    this.ship = new Ship(CONFIG.canvasWidth / 2, CONFIG.canvasHeight / 2);
-    this.asteroids = [];
-    this.particles = [];
-    this.elapsedTime = 0;
+  // One row per bindable action, then the options below them
+  settingsRows() {
+    const rows = Object.keys(BINDABLE_ACTIONS).map((action) => ({ id: "binding", action }));
+    const options = [
+      "volume",
+      "sfxVolume",
+      "musicVolume",
+      "sound",
+      "screenShake",
+      "ghost",
+      "palette",
+      "reducedMotion",
+      "highContrast",
+      "difficulty",
+      "exportScores",
+      "importScores",
+      "defaults",
+      "back",
+    ];
+    return rows.concat(options.map((id) => ({ id })));
+  }
 
-    // Spawn timer
-    this.spawnTimer = 0;
+  settingsRowY(index) {
+    return CONFIG.canvasHeight * 0.14 + index * 23;
+  }
 
-    // Surge state
-    this.surgeActive = false;
-    this.surgeTimer = rand(CONFIG.surgeInterval[0], CONFIG.surgeInterval[1]);
-    this.surgeDurationTimer = 0;
-    this.speedMultiplier = 1;
+  handleSettingsKey(key) {
+    const menu = this.settingsMenu;
+    const rows = this.settingsRows();
+    const row = rows[menu.selected];
+
+    // Waiting for the key to bind: the next press (other than Esc) is it
+    if (menu.capturing) {
+      menu.capturing = false;
+      if (key === "Escape") return;
+      const owner = Settings.rebind(this.settings, row.action, menu.slot, key);
+      if (owner) {
+        this.showNotice(
+          `${Settings.keyName(Settings.normalizeKey(key))} is already bound to ${BINDABLE_ACTIONS[owner]}`,
+        );
+        return;
+      }
+      this.saveSettings();
+      return;
+    }
 
-    // Screen shake
-    this.shakeTimer = 0;
-    this.shakeX = 0;
-    this.shakeY = 0;
+    const step = key === "ArrowLeft" ? -1 : key === "ArrowRight" ? 1 : 0;
+    if (key === "ArrowUp") {
+      menu.selected = (menu.selected + rows.length - 1) % rows.length;
+    } else if (key === "ArrowDown") {
+      menu.selected = (menu.selected + 1) % rows.length;
+    } else if (key === "Escape") {
+      this.showTitle();
+    } else if (row.id === "binding") {
+      if (step) menu.slot = step < 0 ? 0 : 1;
+      if (key === "Enter") menu.capturing = true;
+      if (key === "Backspace" || key === "Delete") {
+        if (Settings.unbind(this.settings, row.action, menu.slot)) {
+          this.saveSettings();
+        } else {
+          this.showNotice(`${BINDABLE_ACTIONS[row.action]} needs at least one key`);
+        }
+      }
+    } else if (SETTINGS_VOLUMES.includes(row.id) && step) {
+      this.settings[row.id] = clamp(Math.round(this.settings[row.id] * 10 + step) / 10, 0, 1);
+      this.saveSettings();
+      this.sound.play("blip"); // a sample of the new level
+    } else if (row.id === "sound" && (step || key === "Enter")) {
+      // On -> Muted -> Off
+      const states = ["on", "muted", "off"];
+      const current = !this.settings.sound ? "off" : this.settings.muted ? "muted" : "on";
+      const next = states[(states.indexOf(current) + (step || 1) + states.length) % states.length];
+      this.settings.sound = next !== "off";
+      this.settings.muted = next === "muted";
+      this.saveSettings();
+    } else if (["screenShake", "ghost", "highContrast"].includes(row.id) && (step || key === "Enter")) {
+      this.settings[row.id] = !this.settings[row.id];
+      this.saveSettings();
+    } else if (SETTINGS_CHOICES[row.id] && (step || key === "Enter")) {
+      const choices = SETTINGS_CHOICES[row.id];
+      const index = choices.indexOf(this.settings[row.id]);
+      this.settings[row.id] = choices[(index + (step || 1) + choices.length) % choices.length];
+      this.saveSettings();
+    } else if (row.id === "difficulty" && (step || key === "Enter")) {
+      this.cycleDifficulty(step || 1);
+    } else if (row.id === "exportScores" && key === "Enter") {
+      this.downloadJson(
+        ScoreManager.exportAll(),
+        `asteroid-dodge-scores-${new Date().toISOString().slice(0, 10)}.json`,
+      );
+    } else if (row.id === "importScores" && key === "Enter") {
+      this.pickJsonFile((file) => this.importScores(file));
+    } else if (row.id === "defaults" && key === "Enter") {
+      // In place: the keyboard reads this same object
+      Object.assign(this.settings, Settings.defaults());
+      this.difficulty = this.settings.difficulty;
+      this.bestScore = ScoreManager.getBest(this.currentBoard());
+      this.saveSettings();
+      this.showNotice("Settings restored to defaults");
+    } else if (row.id === "back" && key === "Enter") {
+      this.showTitle();
+    }
+  }
 
-    // Game over delay (prevent instant restart)
-    this.gameOverReady = false;
-    this.gameOverTimer = 0;
+  // Stores the settings and lets the audio pick up the change
+  saveSettings() {
+    Settings.save(this.settings);
+    this.sound.unlock();
+  }
+
+  // The reduced motion setting, or on "auto" what the system asks for
+  get reducedMotion() {
+    const choice = this.settings.reducedMotion;
+    if (choice !== "auto") return choice === "on";
+    return Boolean(this.motionQuery && this.motionQuery.matches);
   }
 
   triggerGameOver() {
@@ -426,305 +606,608 @@ class Game {
     this.gameOverReady = false;
     this.gameOverTimer = 0;
 
-    // Save score
-    const score = this.elapsedTime;
-    ScoreManager.addScore(score);
+    // Save score to the board for the mode and preset it was played on,
+    // unless the mode is unranked (Versus) or it was played on custom patterns
+    const score = this.sim.score;
+    const board = ScoreManager.board(this.sim.mode, this.sim.difficulty);
+    const record = ScoreManager.record(this.sim, this.settings.playerName);
+    const previousBest = ScoreManager.getBest(board);
+    this.ranked = !this.sim.rules.unranked && this.sim.patterns === DEFAULT_PATTERNS;
+    if (this.sim.rules.versus && this.sim.winner !== null) this.versusWins[this.sim.winner]++;
+    this.scoreRank = this.ranked ? ScoreManager.addScore(record, board) : -1; // place on topScores, -1 if it missed out
     this.finalScore = score;
-    this.bestScore = ScoreManager.getBest();
-    this.topScores = ScoreManager.getScores();
+    this.bestScore = ScoreManager.getBest(board);
+    this.topScores = ScoreManager.getScores(board);
+    this.lastReplay = this.recorder.finish(score);
+
+    // A run that made the board is saved under the last name used; the
+    // player can sign it before retrying
+    this.nameEntry = this.scoreRank >= 0 ? { board, id: record.id, text: this.settings.playerName } : null;
+    if (this.scoreRank === 0 && this.ghostRecorder) GhostStore.save(board, this.ghostRecorder.finish(this.sim, record));
+    this.unlockAchievements(this.achievementTracker.finish(this.ranked, previousBest > 0 && score > previousBest));
+    AchievementStore.save(this.achievements); // the run count and bests, even with nothing unlocked
+    StatsStore.add(this.statsRecorder.finish(this.sim));
+    this.lastRecord = record;
+    this.globalBoard = null;
+    if (!this.nameEntry && this.ranked) this.submitOnline();
+
+    // Time-ups and finished Zen runs end quietly
+    if (this.sim.endReason === "hit") {
+      this.spawnExplosion();
+      this.sound.play("explosion");
+      if (this.settings.screenShake && !this.reducedMotion) this.shakeTimer = CONFIG.screenShakeDuration / 1000;
+    }
+    this.announceGameOver();
+  }
 
-    // Spawn explosion
-    for (let i = 0; i < CONFIG.explosionParticleCount; i++) {
-      this.particles.push(new Particle(this.ship.x, this.ship.y));
+  // What the game-over screen says, for screen readers
+  announceGameOver() {
+    const sim = this.sim;
+    const rules = sim.rules;
+    if (rules.versus) {
+      const winner = sim.winner === null ? null : PLAYER_STYLES[sim.winner].name;
+      this.announce(winner ? `${winner} wins the round` : "Round over, no winner");
+      return;
     }
+    const headings = { hit: "Game over", time: "Time up", quit: "Run complete" };
+    const best = this.scoreRank === 0 ? " New best!" : "";
+    this.announce(`${headings[sim.endReason]}. Score ${rules.formatScore(this.finalScore)}.${best}`);
+  }
 
-    // Screen shake
-    this.shakeTimer = CONFIG.screenShakeDuration / 1000;
+  handleNameKey(key) {
+    const entry = this.nameEntry;
+    if (key === "Enter") {
+      entry.text = entry.text.trim();
+      ScoreManager.rename(entry.board, entry.id, entry.text);
+      GhostStore.rename(entry.board, entry.id, entry.text);
+      this.topScores = ScoreManager.getScores(entry.board);
+      this.settings.playerName = entry.text;
+      this.saveSettings();
+      this.nameEntry = null;
+      this.lastRecord.name = entry.text;
+      this.sound.play("blip");
+      this.submitOnline();
+    } else if (key === "Escape") {
+      this.nameEntry = null; // keeps the name it was saved with
+      this.submitOnline();
+    } else if (key === "Backspace") {
+      entry.text = entry.text.slice(0, -1);
+    } else if (key.length === 1 && entry.text.length < ScoreManager.nameLength) {
+      entry.text += key;
+    }
   }
 
-  // ---- Main loop ----
+  // Sends the finished run to the global board (or queues it while
+  // offline), then loads the standings around it for the Global tab
+  submitOnline() {
+    if (!this.leaderboard || this.lastRecord.score <= 0) return;
+    const record = this.lastRecord;
+    const board = ScoreManager.board(record.mode, record.difficulty);
+    const view = { board, id: record.id, status: "sending", rows: [] };
+    this.globalBoard = view;
+    this.leaderboard
+      .submit(board, record)
+      .then((result) => {
+        if (result.queued) view.status = "queued";
+        if (result.rejected) view.status = "rejected";
+        if (!result.rank) return;
+        return this.leaderboard.standings(board, record.id, result.rank).then((rows) => {
+          view.rows = rows;
+          view.status = "ready";
+        });
+      })
+      .catch(() => {
+        view.status = "unavailable"; // sent, but the standings didn't load
+      });
+  }
 
-  loop(timestamp) {
-    const dt = Math.min((timestamp - this.lastTime) / 1000, 0.05); // cap at 50ms
-    this.lastTime = timestamp;
-    this.globalTime = timestamp / 1000;
+  // The ship going up at the end of a run. With two ships, each wreck
+  // already exploded as it happened (handleSimEvents)
+  spawnExplosion() {
+    if (this.sim.ships.length > 1) return;
+    const { ship, rng } = this.sim;
+    this.spawnBurst(ship.x, ship.y, CONFIG.explosionParticleCount, rng);
+  }
 
-    this.update(dt);
-    this.render();
+  // colors: the particles' palette (fiery, by default). With reduced motion
+  // bursts are a third the size and drift out slowly
+  spawnBurst(x, y, count, rng, colors) {
+    const calm = this.reducedMotion;
+    if (calm) count = Math.ceil(count / 3);
+    for (let i = 0; i < count; i++) {
+      const particle = this.particlePool.acquire(x, y, rng, colors);
+      if (calm) {
+        particle.vx *= 0.3;
+        particle.vy *= 0.3;
+      }
+      this.particles.push(particle);
+    }
+  }
 
-    requestAnimationFrame((t) => this.loop(t));
+  // Hits the run survives (Zen, lives, shields) and splitters breaking up get
+  // a small burst where they happened, every rock a bomb clears goes up in
+  // its own, and grazes in modes scored in points float their points up. In
+  // two-player modes a wrecked ship explodes in its player's colors, and a
+  // revived one sparkles. Sounds are for live play only: replays can skip
+  // through hundreds of ticks at once
+  handleSimEvents() {
+    const small = Math.round(CONFIG.explosionParticleCount / 3);
+    const live = this.state === "playing";
+    for (const event of this.sim.events) {
+      if (event.type === "hit" && this.sim.ships.length > 1) {
+        const colors = PLAYER_STYLES[event.player].sparks;
+        this.spawnBurst(event.x, event.y, CONFIG.explosionParticleCount, this.effectsRng, colors);
+        if (live && !this.sim.over) this.sound.play("explosion");
+        if (live && !this.sim.over) this.announce(`${PLAYER_STYLES[event.player].name} down`);
+      } else if (event.type === "revive") {
+        this.spawnBurst(event.x, event.y, small, this.effectsRng, PLAYER_STYLES[event.player].sparks);
+        if (live) this.sound.play("pickup");
+        if (live) this.announce(`${PLAYER_STYLES[event.player].name} is back`);
+      } else if ((event.type === "hit" && !this.sim.over) || event.type === "shieldBreak") {
+        this.spawnBurst(event.x, event.y, small, this.effectsRng);
+        if (live) this.sound.play("hit");
+        if (live) this.announce(event.type === "shieldBreak" ? "Shield lost" : "Hit");
+      } else if (event.type === "split") {
+        this.spawnBurst(event.x, event.y, small, this.effectsRng);
+      } else if (event.type === "bomb") {
+        for (const rock of event.cleared) this.spawnBurst(rock.x, rock.y, small, this.effectsRng);
+        if (live) this.sound.play("explosion");
+      } else if (event.type === "nearMiss") {
+        if (this.sim.rules.grazing) {
+          const color = event.combo > 1 ? "#66ddff" : "#aaa";
+          this.particles.push(new FloatingText(event.x, event.y, `+GRAZE ${event.points}`, color));
+        }
+        if (live) this.sound.play("whoosh", (event.x / CONFIG.canvasWidth) * 2 - 1);
+      } else if (live && event.type === "pickup") {
+        this.sound.play("pickup");
+      } else if (live && event.type === "surge") {
+        this.sound.play("surge");
+      }
+    }
   }
 
-  // ---- Update ----
+  // ---- Files ----
+
+  // Hands the player a JSON file to save
+  downloadJson(text, filename) {
+    const blob = new Blob([text], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
 
-  update(dt) {
-    if (this.state === "playing") {
-      this.updatePlaying(dt);
-    } else if (this.state === "gameover") {
-      this.updateGameOver(dt);
-    }
+  // Asks the player for a JSON file; onFile(file) once one is chosen
+  pickJsonFile(onFile) {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.addEventListener("change", () => {
+      if (input.files[0]) onFile(input.files[0]);
+    });
+    input.click();
   }
 
-  updatePlaying(dt) {
-    this.elapsedTime += dt;
+  // Merges a score history exported from another browser
+  importScores(file) {
+    file
+      .text()
+      .then((text) => {
+        const added = ScoreManager.importAll(text);
+        this.bestScore = ScoreManager.getBest(this.currentBoard());
+        this.showNotice(`Imported ${added} score${added === 1 ? "" : "s"}`);
+      })
+      .catch((err) => this.showNotice(`Could not import scores: ${err.message}`));
+  }
 
-    // Ship
-    this.ship.update(dt, this.keys);
+  // ---- Replays ----
 
-    // Surge system
-    this.updateSurge(dt);
+  // Throws if the replay can't be simulated, leaving the game as it was
+  startReplay(replay, returnState) {
+    const configMatches = JSON.stringify(replay.config) === JSON.stringify(CONFIG);
+    const verification = verifyReplay(replay);
 
-    // Spawn asteroids
-    this.spawnTimer += dt * 1000;
-    if (this.spawnTimer >= CONFIG.asteroidSpawnInterval) {
-      this.spawnTimer -= CONFIG.asteroidSpawnInterval;
-      for (let i = 0; i < CONFIG.asteroidBatchSize; i++) {
-        this.asteroids.push(new Asteroid());
-      }
-    }
+    const previous = { state: this.state, sim: this.sim };
+    this.state = "replay";
+    this.replayReturnState = returnState;
+    this.replayReturnSim = this.sim;
 
-    // Update asteroids
-    for (let i = this.asteroids.length - 1; i >= 0; i--) {
-      this.asteroids[i].update(dt, this.speedMultiplier);
-      if (this.asteroids[i].isOffScreen()) {
-        this.asteroids.splice(i, 1);
-      }
-    }
+    // Re-simulate under the CONFIG the run was recorded with
+    this.restoreConfig = useReplayConfig(replay.config);
 
-    // Collision detection
-    for (const asteroid of this.asteroids) {
-      const d = dist(this.ship.x, this.ship.y, asteroid.x, asteroid.y);
-      // Slightly forgiving hitbox: 80% of combined radii
-      if (d < (this.ship.size + asteroid.size) * 0.8) {
-        this.triggerGameOver();
-        return;
-      }
+    // clock counts owed replay ticks; playback speed just changes how fast it fills
+    this.playback = { replay, frame: 0, clock: 0, playing: true, speed: 1, ended: false, configMatches, verification };
+    try {
+      this.seekReplay(0);
+    } catch (err) {
+      this.restoreConfig();
+      this.playback = null;
+      this.state = previous.state;
+      this.sim = previous.sim;
+      this.clearParticles();
+      throw err;
     }
   }
 
-  updateSurge(dt) {
-    const dtMs = dt * 1000;
-
-    if (this.surgeActive) {
-      // Currently surging
-      this.surgeDurationTimer -= dtMs;
-      if (this.surgeDurationTimer <= 0) {
-        this.surgeActive = false;
-        this.speedMultiplier = 1;
-        // Set timer for next surge
-        this.surgeTimer = rand(CONFIG.surgeInterval[0], CONFIG.surgeInterval[1]);
-      }
+  exitReplay() {
+    this.restoreConfig();
+    this.playback = null;
+    this.scrubbing = false;
+    this.sim = this.replayReturnSim;
+    this.clearParticles();
+    if (this.replayReturnState === "gameover") {
+      this.state = "gameover";
+      this.gameOverReady = true;
+      this.shakeTimer = 0;
     } else {
-      // Counting down to next surge
-      this.surgeTimer -= dtMs;
-      if (this.surgeTimer <= 0) {
-        // Surge kicks in immediately — no warning
-        this.surgeActive = true;
-        this.speedMultiplier = CONFIG.surgeMultiplier;
-        this.surgeDurationTimer = rand(CONFIG.surgeDuration[0], CONFIG.surgeDuration[1]);
-      }
+      this.showTitle();
     }
   }
 
-  updateGameOver(dt) {
-    // Update particles
-    for (let i = this.particles.length - 1; i >= 0; i--) {
-      this.particles[i].update(dt);
-      if (this.particles[i].life <= 0) {
-        this.particles.splice(i, 1);
-      }
+  stepReplay() {
+    const pb = this.playback;
+    const ended = this.sim.step(ReplayCodec.unpackInput(pb.replay.frames[pb.frame], this.sim.ships.length));
+    pb.frame++;
+    this.handleSimEvents();
+    if (ended) {
+      pb.ended = true;
+      if (this.sim.endReason === "hit") this.spawnExplosion();
+    } else if (pb.frame >= pb.replay.frames.length) {
+      pb.ended = true;
     }
+  }
 
-    // Keep asteroids drifting
-    for (let i = this.asteroids.length - 1; i >= 0; i--) {
-      this.asteroids[i].update(dt, 1);
-      if (this.asteroids[i].isOffScreen()) {
-        this.asteroids.splice(i, 1);
-      }
+  // Jump to a tick; going backwards re-simulates from the start
+  seekReplay(frame) {
+    const pb = this.playback;
+    const target = clamp(Math.round(frame), 0, pb.replay.frames.length);
+    if (target < pb.frame || target === 0) {
+      this.resetRun(pb.replay.seed, pb.replay.difficulty, pb.replay.mode, pb.replay.patterns);
+      pb.frame = 0;
+      pb.ended = false;
     }
-
-    // Screen shake
-    if (this.shakeTimer > 0) {
-      this.shakeTimer -= dt;
-      const intensity = CONFIG.screenShakeIntensity * (this.shakeTimer / (CONFIG.screenShakeDuration / 1000));
-      this.shakeX = rand(-intensity, intensity);
-      this.shakeY = rand(-intensity, intensity);
-    } else {
-      this.shakeX = 0;
-      this.shakeY = 0;
+    while (pb.frame < target && !pb.ended) {
+      this.stepReplay();
     }
+    pb.clock = 0;
+  }
 
-    // Delay before allowing restart
-    this.gameOverTimer += dt;
-    if (this.gameOverTimer > 0.8) {
-      this.gameOverReady = true;
+  handleReplayKey(key) {
+    const pb = this.playback;
+    const speeds = [0.5, 1, 2];
+    if (key === "Escape" || key === "Backspace") {
+      this.exitReplay();
+    } else if (key === " " || key === "Enter") {
+      if (pb.ended) {
+        this.seekReplay(0);
+        pb.playing = true;
+      } else {
+        pb.playing = !pb.playing;
+      }
+    } else if (key === "ArrowUp") {
+      pb.speed = speeds[Math.min(speeds.indexOf(pb.speed) + 1, speeds.length - 1)];
+    } else if (key === "ArrowDown") {
+      pb.speed = speeds[Math.max(speeds.indexOf(pb.speed) - 1, 0)];
+    } else if (key === "ArrowLeft") {
+      this.seekReplay(pb.frame - 2 * TICK_RATE);
+    } else if (key === "ArrowRight") {
+      this.seekReplay(pb.frame + 2 * TICK_RATE);
+    } else if (key === "Home") {
+      this.seekReplay(0);
     }
   }
 
-  // ---- Render ----
+  exportReplay(replay) {
+    this.downloadJson(ReplayCodec.encode(replay), `asteroid-dodge-${replay.seed}-${Math.round(replay.score)}.json`);
+  }
 
-  render() {
-    const ctx = this.ctx;
-    const W = CONFIG.canvasWidth;
-    const H = CONFIG.canvasHeight;
+  openFile() {
+    this.pickJsonFile((file) => this.importFile(file));
+  }
+
+  importReplay(file) {
+    file
+      .text()
+      .then((text) => {
+        const replay = ReplayCodec.decode(text);
+        if (this.state === "title" || this.state === "gameover") {
+          this.startReplay(replay, this.state);
+        }
+      })
+      .catch((err) => this.showNotice(`Could not load replay: ${err.message}`));
+  }
 
-    ctx.save();
+  // ---- Wave patterns ----
 
-    // Screen shake offset
-    if (this.state === "gameover") {
-      ctx.translate(this.shakeX, this.shakeY);
-    }
+  // Runs from now on play these patterns (null: back to the built-in ones)
+  usePatterns(patterns) {
+    this.customPatterns = patterns;
+    this.showNotice(patterns ? `Patterns loaded: ${patterns.name}` : "Back to the standard patterns");
+  }
 
-    // Background
-    ctx.fillStyle = "#0a0a12";
-    ctx.fillRect(-10, -10, W + 20, H + 20);
+  openPatternsFile() {
+    this.pickJsonFile((file) => this.importPatterns(file));
+  }
 
-    // Stars
-    for (const star of this.stars) {
-      star.draw(ctx, this.globalTime);
-    }
+  importPatterns(file) {
+    file
+      .text()
+      .then((text) => this.usePatterns(PatternCodec.decode(text)))
+      .catch((err) => this.showNotice(`Could not load patterns: ${err.message}`));
+  }
 
-    // Surge tint overlay
-    if (this.state === "playing" && this.surgeActive) {
-      ctx.fillStyle = "rgba(255, 30, 0, 0.06)";
-      ctx.fillRect(0, 0, W, H);
-    }
+  fetchPatterns(url) {
+    fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        return res.text();
+      })
+      .then((text) => this.usePatterns(PatternCodec.decode(text)))
+      .catch((err) => this.showNotice(`Could not load patterns: ${err.message}`));
+  }
 
-    // Asteroids
-    if (this.state === "playing" || this.state === "gameover") {
-      for (const asteroid of this.asteroids) {
-        asteroid.draw(ctx, this.surgeActive);
-      }
+  // ---- Ghosts ----
+
+  // The ghost to race on the selected board: a loaded one made there,
+  // otherwise your own best
+  ghostData() {
+    const rival = this.rivalGhost;
+    if (rival && rival.mode === this.mode && rival.difficulty === this.difficulty) return rival;
+    return GhostStore.load(this.currentBoard());
+  }
+
+  // Races a loaded ghost (null: back to your own), on its board
+  useRivalGhost(ghost) {
+    this.rivalGhost = ghost;
+    if (!ghost) {
+      this.showNotice("Racing your own best again");
+      return;
     }
+    this.mode = ghost.mode;
+    this.difficulty = this.settings.difficulty = ghost.difficulty;
+    this.saveSettings();
+    this.bestScore = ScoreManager.getBest(this.currentBoard());
+    const rules = GAME_MODES[ghost.mode];
+    this.showNotice(`Racing ${ghost.name || "a ghost"}: ${rules.formatScore(ghost.score)}`);
+  }
 
-    // Ship
-    if (this.state === "playing") {
-      this.ship.draw(ctx);
+  // Your best run's ghost on the board just played (or selected), as a file
+  exportGhost() {
+    const board =
+      this.state === "gameover" ? ScoreManager.board(this.sim.mode, this.sim.difficulty) : this.currentBoard();
+    const ghost = GhostStore.load(board);
+    if (!ghost) {
+      this.showNotice("No ghost on this board yet");
+      return;
     }
+    this.downloadJson(GhostCodec.encode(ghost), `asteroid-dodge-ghost-${board}-${Math.round(ghost.score)}.json`);
+  }
+
+  importGhost(file) {
+    file
+      .text()
+      .then((text) => this.useRivalGhost(GhostCodec.decode(text)))
+      .catch((err) => this.showNotice(`Could not load ghost: ${err.message}`));
+  }
 
-    // Particles (explosion)
-    if (this.particles) {
-      for (const p of this.particles) {
-        p.draw(ctx);
+  // A dropped or picked file is a pattern file, a ghost or a replay
+  importFile(file) {
+    file.text().then((text) => {
+      let format = null;
+      try {
+        format = JSON.parse(text).format;
+      } catch (err) {
+        // Not JSON at all: the replay import says so
       }
-    }
+      if (format === PatternCodec.format) this.importPatterns(file);
+      else if (format === GhostCodec.format) this.importGhost(file);
+      else this.importReplay(file);
+    });
+  }
 
-    ctx.restore();
+  showNotice(text) {
+    this.notice = text;
+    this.noticeTimer = 3;
+    this.announce(text);
+  }
 
-    // --- HUD / Overlays (not affected by shake) ---
+  // Reads text out through the page's live region (screen readers only)
+  announce(text) {
+    if (!this.announcer) return;
+    // Cleared now and filled in on a later task, so screen readers see a
+    // change even when the same words come twice in a row. Anything else
+    // announced before then is read out with them
+    const pending = this.announcement;
+    if (!pending.text) pending.text = text;
+    else pending.text += /[.!?]$/.test(pending.text) ? ` ${text}` : `. ${text}`;
+    this.announcer.textContent = "";
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this.announcer.textContent = pending.text;
+      pending.text = "";
+    }, 50);
+  }
 
-    if (this.state === "title") {
-      this.renderTitle(ctx, W, H);
-    } else if (this.state === "playing") {
-      this.renderHUD(ctx, W, H);
-    } else if (this.state === "gameover") {
-      this.renderGameOver(ctx, W, H);
+  // Toasts, a fanfare and an announcement for each achievement just unlocked
+  unlockAchievements(ids) {
+    if (ids.length === 0) return;
+    for (const id of ids) {
+      this.toasts.push({ id, age: 0 });
+      this.announce(`Achievement unlocked: ${ACHIEVEMENTS[id].label}`);
     }
+    this.sound.play("achievement");
+    AchievementStore.save(this.achievements);
   }
 
-  renderTitle(ctx, W, H) {
-    // Title
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
-
-    // Game title
-    ctx.fillStyle = "#fff";
-    ctx.font = 'bold 42px "Courier New", monospace';
-    ctx.fillText("NOOB GAME 2", W / 2, H * 0.3);
+  // Surge warnings, starts and ends, as the HUD shows them
+  announceSurge() {
+    const sim = this.sim;
+    const phase = sim.surgeActive ? "surge" : sim.surgeWarning > 0 ? "warning" : "calm";
+    if (phase === this.surgePhase) return;
+    if (phase === "warning") this.announce("Surge incoming");
+    if (phase === "surge") this.announce("Surge!");
+    if (phase === "calm" && this.surgePhase === "surge") this.announce("Surge over");
+    this.surgePhase = phase;
+  }
 
-    // Subtitle
-    ctx.fillStyle = "#888";
-    ctx.font = '16px "Courier New", monospace';
-    ctx.fillText("Dodge the rocks. Survive the surges.", W / 2, H * 0.38);
+  canvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * CONFIG.canvasWidth,
+      y: ((e.clientY - rect.top) / rect.height) * CONFIG.canvasHeight,
+    };
+  }
 
-    // Controls
-    ctx.fillStyle = "#666";
-    ctx.font = '14px "Courier New", monospace';
-    ctx.fillText("Arrow keys or WASD to move", W / 2, H * 0.52);
+  replayBarRect() {
+    return { x: 40, y: CONFIG.canvasHeight - 46, w: CONFIG.canvasWidth - 80, h: 6 };
+  }
+
+  scrubTo(x) {
+    const bar = this.replayBarRect();
+    this.seekReplay(clamp((x - bar.x) / bar.w, 0, 1) * this.playback.replay.frames.length);
+  }
+
+  // ---- Main loop ----
 
-    // Best score
-    if (this.bestScore > 0) {
-      ctx.fillStyle = "#ffcc00";
-      ctx.font = '18px "Courier New", monospace';
-      ctx.fillText(`Best: ${this.bestScore.toFixed(1)}s`, W / 2, H * 0.62);
+  loop(timestamp) {
+    const workStart = performance.now();
+    const interval = timestamp - this.lastTime;
+    const frameTime = Math.min(interval / 1000, MAX_FRAME_TIME);
+    this.lastTime = timestamp;
+    this.globalTime = timestamp / 1000;
+    this.input.poll();
+
+    // Run as many fixed ticks as real time allows, then draw in between the
+    // last two ticks so motion stays smooth at any refresh rate
+    this.accumulator += frameTime;
+    while (this.accumulator >= TICK_DT) {
+      this.update(TICK_DT);
+      this.accumulator -= TICK_DT;
     }
+    this.renderer.render(this, this.accumulator / TICK_DT);
 
-    // Pulsing start prompt
-    const pulse = 0.5 + 0.5 * Math.sin(this.globalTime * 3);
-    ctx.fillStyle = `rgba(255, 255, 255, ${0.4 + pulse * 0.6})`;
-    ctx.font = 'bold 20px "Courier New", monospace';
-    ctx.fillText("Press ENTER or SPACE to start", W / 2, H * 0.75);
+    // Music only while a run is being played; it speeds up with the surge
+    const live = this.state === "playing";
+    this.sound.updateMusic(live, live ? this.sim.surgeLevel : 0);
+
+    if (this.showPerf) this.trackPerf(interval, performance.now() - workStart);
+    requestAnimationFrame((t) => this.loop(t));
   }
 
-  renderHUD(ctx, W, H) {
-    // Time survived
-    ctx.textAlign = "left";
-    ctx.textBaseline = "top";
-    ctx.fillStyle = "#fff";
-    ctx.font = 'bold 20px "Courier New", monospace';
-    ctx.fillText(`${this.elapsedTime.toFixed(1)}s`, 15, 15);
+  // Smooths the overlay's numbers over the last few dozen frames
+  trackPerf(frameMs, workMs) {
+    if (frameMs > 1000) return; // the first frame, or back from a hidden tab
+    const perf = this.perf;
+    const k = perf.frameMs > 0 ? 0.05 : 1;
+    perf.frameMs += (frameMs - perf.frameMs) * k;
+    perf.workMs += (workMs - perf.workMs) * k;
+    perf.fps = perf.frameMs > 0 ? 1000 / perf.frameMs : 0;
+  }
+
+  // ---- Update ----
+
+  update(dt) {
+    if (this.state === "playing") {
+      this.updatePlaying(dt);
+    } else if (this.state === "paused") {
+      this.updatePaused(dt);
+    } else if (this.state === "gameover") {
+      this.updateGameOver(dt);
+    } else if (this.state === "replay") {
+      this.updateReplay(dt);
+    }
 
-    // Best score
-    ctx.textAlign = "right";
-    ctx.fillStyle = "#666";
-    ctx.font = '14px "Courier New", monospace';
-    ctx.fillText(`Best: ${this.bestScore.toFixed(1)}s`, W - 15, 17);
+    if (this.noticeTimer > 0) {
+      this.noticeTimer -= dt;
+      if (this.noticeTimer <= 0) this.notice = null;
+    }
 
-    // Surge active indicator
-    if (this.surgeActive) {
-      ctx.textAlign = "center";
-      ctx.fillStyle = "#ff3322";
-      ctx.font = 'bold 24px "Courier New", monospace';
-      ctx.fillText("SURGE!", W / 2, 15);
+    // Only the oldest toast is on screen; the next waits its turn
+    if (this.toasts.length > 0) {
+      this.toasts[0].age += dt;
+      if (this.toasts[0].age >= TOAST_TIME) this.toasts.shift();
     }
   }
 
-  renderGameOver(ctx, W, H) {
-    // Dim overlay
-    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
-    ctx.fillRect(0, 0, W, H);
+  updatePlaying(dt) {
+    // Record exactly what the simulation sees, so the replay reproduces it
+    const ships = this.sim.ships.length;
+    const inputs = ships > 1 ? this.input.getPlayerInputs(ships) : this.input.getInputs();
+    this.recorder.record(ReplayCodec.packInput(inputs));
+
+    const ended = this.sim.step(inputs, dt);
+    if (this.ghostRecorder) this.ghostRecorder.sample(this.sim);
+    if (this.ghost) this.ghost.update(this.sim.tick);
+    this.handleSimEvents();
+    this.announceSurge();
+    this.unlockAchievements(this.achievementTracker.update(this.sim, inputs));
+    this.statsRecorder.update(this.sim);
+    this.updateParticles(dt);
+    if (ended) {
+      this.triggerGameOver();
+    }
+  }
 
-    ctx.textAlign = "center";
-    ctx.textBaseline = "middle";
+  // Counts down 3-2-1 after Resume, then play picks up where it stopped
+  updatePaused(dt) {
+    const menu = this.pauseMenu;
+    if (menu.countdown <= 0) return;
+    menu.countdown -= dt;
+    if (menu.countdown <= 0) this.state = "playing";
+  }
 
-    // GAME OVER
-    ctx.fillStyle = "#ff4444";
-    ctx.font = 'bold 40px "Courier New", monospace';
-    ctx.fillText("GAME OVER", W / 2, H * 0.2);
+  updateGameOver(dt) {
+    this.updateParticles(dt);
 
-    // Score
-    ctx.fillStyle = "#fff";
-    ctx.font = 'bold 28px "Courier New", monospace';
-    ctx.fillText(`${this.finalScore.toFixed(1)}s`, W / 2, H * 0.3);
+    // Keep asteroids drifting
+    this.sim.drift(dt);
 
-    // New best?
-    if (this.finalScore >= this.bestScore) {
-      ctx.fillStyle = "#ffcc00";
-      ctx.font = 'bold 18px "Courier New", monospace';
-      ctx.fillText("NEW BEST!", W / 2, H * 0.36);
+    // Screen shake
+    if (this.shakeTimer > 0) {
+      this.shakeTimer -= dt;
+      const intensity = CONFIG.screenShakeIntensity * (this.shakeTimer / (CONFIG.screenShakeDuration / 1000));
+      this.shakeX = rand(-intensity, intensity);
+      this.shakeY = rand(-intensity, intensity);
+    } else {
+      this.shakeX = 0;
+      this.shakeY = 0;
     }
 
-    // Top scores
-    ctx.fillStyle = "#888";
-    ctx.font = '16px "Courier New", monospace';
-    ctx.fillText("— TOP SCORES —", W / 2, H * 0.46);
+    // Delay before allowing restart
+    this.gameOverTimer += dt;
+    if (this.gameOverTimer > 0.8) {
+      this.gameOverReady = true;
+    }
+  }
 
-    ctx.fillStyle = "#ccc";
-    ctx.font = '15px "Courier New", monospace';
-    const scores = this.topScores || [];
-    for (let i = 0; i < scores.length; i++) {
-      const highlight = scores[i] === this.finalScore && i === scores.indexOf(this.finalScore);
-      ctx.fillStyle = highlight ? "#ffcc00" : "#aaa";
-      ctx.fillText(`${(i + 1).toString().padStart(2, " ")}. ${scores[i].toFixed(1)}s`, W / 2, H * 0.52 + i * 22);
+  updateParticles(dt) {
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      this.particles[i].update(dt);
+      if (this.particles[i].life <= 0) {
+        this.particlePool.release(swapRemove(this.particles, i));
+      }
     }
+  }
+
+  clearParticles() {
+    for (const p of this.particles) this.particlePool.release(p);
+    this.particles = [];
+  }
+
+  updateReplay(dt) {
+    const pb = this.playback;
+    if (!pb.playing) return;
 
-    // Restart prompt
-    if (this.gameOverReady) {
-      const pulse = 0.5 + 0.5 * Math.sin(this.globalTime * 3);
-      ctx.fillStyle = `rgba(255, 255, 255, ${0.4 + pulse * 0.6})`;
-      ctx.font = 'bold 18px "Courier New", monospace';
-      ctx.fillText("Press ENTER or SPACE to retry", W / 2, H * 0.92);
+    // Consume recorded ticks at the chosen playback speed
+    pb.clock += pb.speed;
+    while (!pb.ended && pb.clock >= 1) {
+      pb.clock -= 1;
+      this.stepReplay();
     }
+    this.updateParticles(dt * pb.speed);
+    if (pb.ended && this.particles.length === 0) pb.playing = false;
   }
 }
 
@@ -733,9 +1216,12 @@ class Game {
 // ============================================================
 
 window.addEventListener("DOMContentLoaded", () => {
-  // Clear scores if ?reset is in the URL
+  // Clear scores, ghosts, achievements and stats if ?reset is in the URL
   if (window.location.search.includes("reset")) {
-    localStorage.removeItem("asteroidDodgeScores");
+    ScoreManager.clearAll();
+    GhostStore.clearAll();
+    AchievementStore.clear();
+    StatsStore.clear();
     // Clean the URL so it doesn't keep clearing on refresh
     window.history.replaceState({}, "", window.location.pathname);
   }
@@ -0,0 +1,236 @@
+// ============================================================
+// ASTEROID DODGE — Ghosts (your best run, raced against)
+// ============================================================
+// Depends on sim.js, difficulty.js, modes.js and scores.js. Uses the global
+// localStorage, which Node tests supply as a stub.
+//
+// A ghost is where the ship was and what the run had scored, sampled every
+// CONFIG.ghostSampleInterval ms of a single-player run:
+//
+//   { mode, difficulty, score, time, endReason, name, date, recordId,
+//     interval, ticks, xs, ys, scores }
+//
+// interval is the ticks between samples and ticks the tick the run ended
+// on (the last sample is taken there). The best ranked run on each board
+// keeps its ghost, which the next run on that board races; ghost files
+// carry one to another browser. In storage and in files each list is
+// delta-encoded whole numbers (pixels, and hundredths of the score): about
+// 5 KB a minute.
+// ============================================================
+
+const GhostCodec = {
+  format: "asteroid-dodge-ghost",
+  version: 1,
+
+  // [10, 12, 11] <-> [10, 2, -1]
+  delta(values) {
+    return values.map((v, i) => (i === 0 ? v : v - values[i - 1]));
+  },
+
+  undelta(deltas) {
+    const out = [];
+    for (const d of deltas) out.push(out.length === 0 ? d : out[out.length - 1] + d);
+    return out;
+  },
+
+  encode(ghost) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      gameVersion: GAME_VERSION,
+      mode: ghost.mode,
+      difficulty: ghost.difficulty,
+      score: ghost.score,
+      endReason: ghost.endReason,
+      name: ghost.name,
+      date: ghost.date,
+      recordId: ghost.recordId,
+      interval: ghost.interval,
+      ticks: ghost.ticks,
+      xs: this.delta(ghost.xs),
+      ys: this.delta(ghost.ys),
+      scores: this.delta(ghost.scores.map((score) => Math.round(score * 100))),
+    });
+  },
+
+  // Throws on anything that isn't a well-formed ghost file
+  decode(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch {
+      throw new Error("Not a ghost file");
+    }
+    if (!data || data.format !== this.format) throw new Error("Not a ghost file");
+    if (data.version !== this.version) throw new Error(`Unsupported ghost version ${data.version}`);
+    const rules = GAME_MODES[data.mode];
+    if (!rules) throw new Error(`Unknown mode "${data.mode}"`);
+    if ((rules.players || 1) > 1) throw new Error(`${rules.label} has no ghosts`);
+    if (!DIFFICULTY_PRESETS[data.difficulty]) throw new Error(`Unknown difficulty "${data.difficulty}"`);
+
+    const ints = (a) => Array.isArray(a) && a.length > 0 && a.every(Number.isInteger);
+    if (!Number.isInteger(data.interval) || data.interval < 1 || !Number.isInteger(data.ticks) || data.ticks < 0) {
+      throw new Error("Ghost timing is corrupt");
+    }
+    const samples = Math.ceil(data.ticks / data.interval) + 1;
+    if (![data.xs, data.ys, data.scores].every((a) => ints(a) && a.length === samples)) {
+      throw new Error("Ghost path is corrupt");
+    }
+
+    const text = (value) => (typeof value === "string" ? value : null);
+    return {
+      mode: data.mode,
+      difficulty: data.difficulty,
+      score: Number.isFinite(data.score) ? data.score : 0,
+      time: data.ticks / TICK_RATE,
+      endReason: data.endReason === "hit" ? "hit" : data.endReason === "time" ? "time" : "quit",
+      name: (text(data.name) || "").slice(0, ScoreManager.nameLength),
+      date: text(data.date),
+      recordId: text(data.recordId),
+      interval: data.interval,
+      ticks: data.ticks,
+      xs: this.undelta(data.xs),
+      ys: this.undelta(data.ys),
+      scores: this.undelta(data.scores).map((score) => score / 100),
+    };
+  },
+};
+
+// Samples a live run. Call sample() once per tick, after the simulation
+// has stepped, then finish() once it's over.
+class GhostRecorder {
+  constructor(sim) {
+    this.mode = sim.mode;
+    this.difficulty = sim.difficulty;
+    this.interval = Math.max(1, Math.round((CONFIG.ghostSampleInterval / 1000) * TICK_RATE));
+    this.xs = [];
+    this.ys = [];
+    this.scores = [];
+    this.sample(sim);
+  }
+
+  // Every interval'th tick, and the tick the run ends on
+  sample(sim) {
+    if (sim.tick % this.interval !== 0 && !sim.over) return;
+    this.xs.push(Math.round(sim.ship.x));
+    this.ys.push(Math.round(sim.ship.y));
+    this.scores.push(Math.round(sim.score * 100) / 100);
+  }
+
+  // The ghost of the finished run; record: its ScoreManager record
+  finish(sim, record) {
+    // Runs finished from the pause menu end between ticks
+    if (this.xs.length < Math.ceil(sim.tick / this.interval) + 1) this.sample(sim);
+    return {
+      mode: this.mode,
+      difficulty: this.difficulty,
+      score: sim.score,
+      time: sim.elapsedTime,
+      endReason: sim.endReason,
+      name: record.name,
+      date: record.date,
+      recordId: record.id,
+      interval: this.interval,
+      ticks: sim.tick,
+      xs: this.xs,
+      ys: this.ys,
+      scores: this.scores,
+    };
+  }
+}
+
+// A ghost being raced: a Ship following the recorded path, tick by tick,
+// with the trail it leaves
+class Ghost {
+  constructor(data) {
+    this.data = data;
+    this.ship = new Ship(data.xs[0], data.ys[0]);
+    this.trail = []; // recent positions, oldest first
+    this.tick = 0;
+  }
+
+  // Past the tick the run ended on
+  get finished() {
+    return this.tick >= this.data.ticks;
+  }
+
+  // The sample at or before `tick`, the next one and how far between them
+  _span(tick) {
+    const { interval, ticks, xs } = this.data;
+    const t = Math.min(tick, ticks);
+    const i = Math.min(Math.floor(t / interval), xs.length - 1);
+    const j = Math.min(i + 1, xs.length - 1);
+    const from = i * interval;
+    const to = Math.min(j * interval, ticks);
+    return { i, j, f: to > from ? (t - from) / (to - from) : 0 };
+  }
+
+  // Moves the ghost to where its run was at `tick`. Once it is over the
+  // trail drains away behind it
+  update(tick) {
+    this.tick = tick;
+    const { i, j, f } = this._span(tick);
+    const { xs, ys } = this.data;
+    const ship = this.ship;
+    ship.prevX = ship.x;
+    ship.prevY = ship.y;
+    ship.x = lerp(xs[i], xs[j], f);
+    ship.y = lerp(ys[i], ys[j], f);
+
+    if (this.finished) {
+      this.trail.shift();
+    } else {
+      this.trail.push({ x: ship.x, y: ship.y });
+      if (this.trail.length > Math.round((CONFIG.ghostTrailLength / 1000) * TICK_RATE)) this.trail.shift();
+    }
+  }
+
+  // What the ghost's run had scored by `tick`
+  scoreAt(tick) {
+    if (tick >= this.data.ticks) return this.data.score;
+    return this.data.scores[this._span(tick).i];
+  }
+}
+
+// The best ranked run's ghost for each board, one localStorage key each
+const GhostStore = {
+  _key: "asteroidDodgeGhosts",
+
+  load(board) {
+    try {
+      const text = localStorage.getItem(`${this._key}.${board}`);
+      return text ? GhostCodec.decode(text) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  save(board, ghost) {
+    try {
+      localStorage.setItem(`${this._key}.${board}`, GhostCodec.encode(ghost));
+    } catch {
+      /* silently fail if storage full */
+    }
+  },
+
+  // The name signed on the board after the run (see ScoreManager.rename)
+  rename(board, recordId, name) {
+    const ghost = this.load(board);
+    if (!ghost || ghost.recordId !== recordId) return;
+    ghost.name = name.slice(0, ScoreManager.nameLength);
+    this.save(board, ghost);
+  },
+
+  // Wipes every ghost (the ?reset URL flag)
+  clearAll() {
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+      for (const key of keys) {
+        if (key.startsWith(`${this._key}.`)) localStorage.removeItem(key);
+      }
+    } catch {
+      /* storage unavailable: nothing to clear */
+    }
+  },
+};
@@ -0,0 +1,106 @@
+// ============================================================
+// ASTEROID DODGE — Node entry point for the simulation core
+// ============================================================
+// The game's files are plain browser scripts that share top-level names, so
+// here they're evaluated into one VM context exactly as <script> tags would
+// be. Used by the test suite, bots and balance experiments:
+//
+//   const { Simulation, TICK_RATE } = require("./headless.js");
+//   const sim = new Simulation("my-seed");
+//   while (!sim.over) sim.step({ x: 1, y: 0 }); // hold "right"
+//
+// Call loadCore() for an isolated copy (its own CONFIG, its own storage).
+// ============================================================
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const CORE_FILES = [
+  "sim.js",
+  "difficulty.js",
+  "modes.js",
+  "pickups.js",
+  "asteroids.js",
+  "patterns.js",
+  "scores.js",
+  "settings.js",
+  "replay.js",
+  "ghosts.js",
+  "achievements.js",
+  "stats.js",
+  "leaderboard.js",
+];
+
+const EXPORTS = [
+  "CONFIG",
+  "TICK_RATE",
+  "TICK_DT",
+  "SIM_VERSION",
+  "GAME_VERSION",
+  "INPUT_STEPS",
+  "quantizeInput",
+  "swapRemove",
+  "Pool",
+  "Rng",
+  "Seeds",
+  "Ship",
+  "Asteroid",
+  "SpatialHash",
+  "circleHitsPolygon",
+  "shipHitsAsteroid",
+  "Simulation",
+  "DIFFICULTY_PRESETS",
+  "DIFFICULTY_IDS",
+  "DIFFICULTY_LIMITS",
+  "DifficultyDirector",
+  "GAME_MODES",
+  "MODE_IDS",
+  "PICKUP_TYPES",
+  "Pickup",
+  "ASTEROID_TYPES",
+  "asteroidTypeWeightsAt",
+  "rollAsteroidType",
+  "PATTERN_SHAPES",
+  "PatternCodec",
+  "DEFAULT_PATTERNS",
+  "SpawnDirector",
+  "ScoreManager",
+  "BINDABLE_ACTIONS",
+  "SETTINGS_DEFAULTS",
+  "SETTINGS_CHOICES",
+  "Settings",
+  "ReplayCodec",
+  "ReplayRecorder",
+  "useReplayConfig",
+  "verifyReplay",
+  "GhostCodec",
+  "GhostRecorder",
+  "Ghost",
+  "GhostStore",
+  "ACHIEVEMENTS",
+  "ACHIEVEMENT_IDS",
+  "AchievementStore",
+  "AchievementTracker",
+  "StatsRecorder",
+  "StatsStore",
+  "Stats",
+  "LEADERBOARD_URL",
+  "MemoryLeaderboard",
+  "HttpLeaderboard",
+  "Leaderboard",
+];
+
+// globals: extra names to expose to the scripts, e.g. a localStorage stub
+function loadCore(globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  for (const file of CORE_FILES) {
+    const code = fs.readFileSync(path.join(__dirname, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+  // Top-level const/class declarations aren't properties of the context
+  // object, so collect them by evaluating their names inside it
+  return vm.runInContext(`({ ${EXPORTS.join(", ")} })`, context);
+}
+
+module.exports = { loadCore, ...loadCore() };
@@ -0,0 +1,223 @@
+// ============================================================
+// ASTEROID DODGE — Input (keyboard, gamepad, touch)
+// ============================================================
+// Merges every device into one movement vector { x, y } for Simulation.step
+// (or one per ship, in two-player modes), and forwards presses to the game's state machine as key names ("Enter",
+// "Escape", arrows...) whichever device they came from. Gamepad Start
+// arrives as "Start" so the game can treat it as start or pause.
+// ============================================================
+
+class Keyboard {
+  // settings: the player's Settings (settings.js); movement follows its
+  // bindings, including changes made while the game runs
+  constructor(onPress, settings) {
+    this.settings = settings;
+    this.keys = {};
+    window.addEventListener("keydown", (e) => {
+      this.keys[Settings.normalizeKey(e.key)] = true;
+      // Prevent arrow key scrolling (and Tab moving focus off the game)
+      if (["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", " ", "Tab"].includes(e.key)) {
+        e.preventDefault();
+      }
+      onPress(e.key);
+    });
+    window.addEventListener("keyup", (e) => {
+      this.keys[Settings.normalizeKey(e.key)] = false;
+    });
+  }
+
+  // Forget every held key: their keyups may never arrive once focus is gone
+  clear() {
+    this.keys = {};
+  }
+
+  // Digital directions; diagonals come out longer than 1 and the ship
+  // scales them back to full speed. slot: only read that binding slot
+  // (0 or 1) of each direction, for one half of a shared keyboard
+  getInputs(slot = null) {
+    const held = (action) => {
+      const keys = this.settings.bindings[action];
+      return (slot === null ? keys : [keys[slot]]).some((key) => key !== null && this.keys[key]) ? 1 : 0;
+    };
+    return { x: held("right") - held("left"), y: held("down") - held("up") };
+  }
+}
+
+// ============================================================
+// Gamepad (polled once per frame)
+// ============================================================
+
+const GAMEPAD_DEADZONE = 0.2; // stick travel ignored around the centre (0..1)
+
+// Standard-mapping button index -> key name it presses
+const GAMEPAD_BUTTONS = {
+  0: "Enter", // A / Cross
+  1: "Escape", // B / Circle
+  3: "Tab", // Y / Triangle
+  9: "Start",
+  12: "ArrowUp",
+  13: "ArrowDown",
+  14: "ArrowLeft",
+  15: "ArrowRight",
+};
+
+class Gamepads {
+  constructor(onPress) {
+    this.onPress = onPress;
+    this.held = {}; // "pad:button" -> pressed on the last poll
+    this.pads = []; // { stick, dpad } per connected pad, in connection order
+  }
+
+  // Reads every connected pad (any of them can press keys); returns true if
+  // one was touched at all
+  poll() {
+    const pads = Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter((p) => p && p.connected);
+    let active = false;
+    this.pads = pads.map((pad, n) => {
+      // Radial deadzone, rescaled so movement starts from zero at its edge
+      const ax = pad.axes[0] || 0;
+      const ay = pad.axes[1] || 0;
+      const len = Math.sqrt(ax * ax + ay * ay);
+      const scale = len > GAMEPAD_DEADZONE ? Math.min(1, (len - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE)) / len : 0;
+
+      active = active || scale > 0;
+      const pressed = (i) => Boolean(pad.buttons[i] && pad.buttons[i].pressed);
+      for (const [index, key] of Object.entries(GAMEPAD_BUTTONS)) {
+        const down = pressed(index);
+        if (down && !this.held[`${n}:${index}`]) this.onPress(key);
+        this.held[`${n}:${index}`] = down;
+        active = active || down;
+      }
+      return {
+        stick: { x: ax * scale, y: ay * scale },
+        dpad: { x: (pressed(15) ? 1 : 0) - (pressed(14) ? 1 : 0), y: (pressed(13) ? 1 : 0) - (pressed(12) ? 1 : 0) },
+      };
+    });
+    return active;
+  }
+
+  // The d-pad if it is held, otherwise the stick, of one pad
+  getInputs(pad = 0) {
+    const state = this.pads[pad];
+    if (!state) return { x: 0, y: 0 };
+    return state.dpad.x || state.dpad.y ? state.dpad : state.stick;
+  }
+}
+
+// ============================================================
+// Touch / pen: floating virtual joystick
+// ============================================================
+// Touching anywhere puts the joystick's base there; dragging away from it
+// steers, full speed at JOYSTICK_RADIUS. A quick tap is reported to onTap
+// with where it landed.
+
+const JOYSTICK_RADIUS = 50; // px, in canvas coordinates
+
+class TouchJoystick {
+  constructor(canvas, onTap, onTouch) {
+    this.canvas = canvas;
+    this.pointerId = null;
+    this.origin = null; // where the finger went down (canvas coordinates)
+    this.current = null;
+    this.downTime = 0;
+
+    canvas.addEventListener("pointerdown", (e) => {
+      if (e.pointerType === "mouse" || this.pointerId !== null) return;
+      e.preventDefault();
+      canvas.setPointerCapture(e.pointerId);
+      this.pointerId = e.pointerId;
+      this.origin = this.current = this.toCanvas(e);
+      this.downTime = performance.now();
+      onTouch();
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      if (e.pointerId === this.pointerId) this.current = this.toCanvas(e);
+    });
+    const release = (e) => {
+      if (e.pointerId !== this.pointerId) return;
+      const moved = dist(this.origin.x, this.origin.y, this.current.x, this.current.y);
+      const tap = e.type === "pointerup" && moved < 10 && performance.now() - this.downTime < 300;
+      const point = this.origin;
+      this.clear();
+      if (tap) onTap(point);
+    };
+    canvas.addEventListener("pointerup", release);
+    canvas.addEventListener("pointercancel", release);
+  }
+
+  get active() {
+    return this.pointerId !== null;
+  }
+
+  clear() {
+    this.pointerId = null;
+    this.origin = this.current = null;
+  }
+
+  toCanvas(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * CONFIG.canvasWidth,
+      y: ((e.clientY - rect.top) / rect.height) * CONFIG.canvasHeight,
+    };
+  }
+
+  getInputs() {
+    if (!this.active) return { x: 0, y: 0 };
+    const dx = this.current.x - this.origin.x;
+    const dy = this.current.y - this.origin.y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    const scale = len > JOYSTICK_RADIUS ? 1 / len : 1 / JOYSTICK_RADIUS;
+    return { x: dx * scale, y: dy * scale };
+  }
+}
+
+// ============================================================
+// Input: all devices together
+// ============================================================
+
+const PLAYER_KEY_SLOTS = [1, 0]; // binding slot each player's keys are in
+
+class Input {
+  // onPress(key) for key presses from any device, onTap({ x, y }) for touch taps
+  constructor(canvas, settings, onPress, onTap) {
+    this.device = "keyboard"; // 'keyboard' | 'gamepad' | 'touch': the last one used, for prompts
+    this.keyboard = new Keyboard((key) => {
+      this.device = "keyboard";
+      onPress(key);
+    }, settings);
+    this.gamepads = new Gamepads(onPress);
+    this.touch = new TouchJoystick(canvas, onTap, () => (this.device = "touch"));
+  }
+
+  // Once per frame, before the game updates
+  poll() {
+    if (this.gamepads.poll()) this.device = "gamepad";
+  }
+
+  clear() {
+    this.keyboard.clear();
+    this.touch.clear();
+  }
+
+  // The first device being steered with wins: touch, then gamepad, then keys
+  getInputs() {
+    for (const inputs of [this.touch.getInputs(), this.gamepads.getInputs(), this.keyboard.getInputs()]) {
+      if (inputs.x || inputs.y) return inputs;
+    }
+    return { x: 0, y: 0 };
+  }
+
+  // Two-player modes: one vector per ship. Player 1 steers with the first
+  // gamepad or the second key of each direction (WASD by default), player 2
+  // with the second gamepad or the first key (the arrows)
+  getPlayerInputs(count) {
+    const moves = [];
+    for (let player = 0; player < count; player++) {
+      const keys = this.keyboard.getInputs(PLAYER_KEY_SLOTS[player]);
+      const pad = this.gamepads.getInputs(player);
+      moves.push(pad.x || pad.y ? pad : keys);
+    }
+    return moves;
+  }
+}
@@ -0,0 +1,78 @@
+// ============================================================
+// ASTEROID DODGE — Mock leaderboard server
+// ============================================================
+// A throwaway HTTP/JSON server for trying the global leaderboard locally.
+// Boards are kept in memory (a MemoryLeaderboard) and lost on exit.
+//
+//   node leaderboard-server.js [port]      (default 8787)
+//
+// then open the game with ?leaderboard=http://localhost:8787. The API is
+// the one HttpLeaderboard speaks (see leaderboard.js).
+// ============================================================
+
+const http = require("http");
+const { MemoryLeaderboard } = require("./headless.js");
+
+const MAX_BODY = 16 * 1024; // bytes
+
+function createServer(backend = new MemoryLeaderboard()) {
+  return http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end(body === undefined ? "" : JSON.stringify(body));
+    };
+    const reply = (promise) =>
+      promise.then(
+        (body) => send(200, body),
+        (err) => send(err.status || 500, { error: err.message }),
+      );
+
+    if (req.method === "OPTIONS") return send(204);
+
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/boards\/([^/]+)\/scores(?:\/([^/]+)\/around)?$/);
+    if (!match) return send(404, { error: "Not found" });
+    let board, id;
+    try {
+      board = decodeURIComponent(match[1]);
+      id = match[2] && decodeURIComponent(match[2]);
+    } catch (err) {
+      if (err instanceof URIError) return send(400, { error: "Bad URL encoding" });
+      throw err;
+    }
+    const number = (name, fallback) => Number(url.searchParams.get(name)) || fallback;
+
+    if (req.method === "GET" && id) {
+      return reply(backend.around(board, id, number("span", 2)));
+    }
+    if (req.method === "GET") return reply(backend.top(board, number("limit", 10)));
+    if (req.method !== "POST" || match[2]) return send(405, { error: "Method not allowed" });
+
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) req.destroy();
+    });
+    req.on("end", () => {
+      let entry;
+      try {
+        entry = JSON.parse(body);
+      } catch {
+        return send(400, { error: "Body must be JSON" });
+      }
+      reply(backend.submit(board, entry));
+    });
+  });
+}
+
+module.exports = { createServer };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8787;
+  createServer().listen(port, () => console.log(`Leaderboard mock server on http://localhost:${port}`));
+}
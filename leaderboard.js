@@ -0,0 +1,218 @@
+// ============================================================
+// ASTEROID DODGE — Online leaderboard
+// ============================================================
+// Depends on scores.js. Uses the global fetch and localStorage, which Node
+// tests supply as stubs.
+//
+// A backend is anything with these three methods, each returning a Promise:
+//
+//   submit(board, entry)    -> { rank }   rank 1 is the best on the board
+//   top(board, limit)       -> [entry]    the best `limit` entries
+//   around(board, id, span) -> [entry]    entry `id` and `span` either side
+//
+// Entries are score records (scores.js); the ones a backend returns also
+// carry their `rank`. Failures reject with an Error whose `status` is set
+// when the backend answered (400 or 422: the entry itself is no good)
+// rather than being unreachable.
+//
+// MemoryLeaderboard keeps boards in memory (tests, and the mock server in
+// leaderboard-server.js); HttpLeaderboard talks to a server over HTTP/JSON.
+// Leaderboard wraps either one with a queue in localStorage, so runs
+// finished offline are sent once the server can be reached again.
+// ============================================================
+
+// Server for the global board; null leaves it off. ?leaderboard=<url>
+// overrides it.
+const LEADERBOARD_URL = null;
+
+function leaderboardError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================================
+// In-memory backend
+// ============================================================
+
+class MemoryLeaderboard {
+  constructor() {
+    this.boards = {}; // board id -> entries, best first
+  }
+
+  submit(board, entry) {
+    const { mode, difficulty } = ScoreManager.parseBoard(String(board));
+    if (!GAME_MODES[mode] || !DIFFICULTY_PRESETS[difficulty]) {
+      return Promise.reject(leaderboardError(`Unknown board ${board}`, 400));
+    }
+    if (!entry || typeof entry.id !== "string" || !Number.isFinite(entry.score) || entry.score < 0) {
+      return Promise.reject(leaderboardError("Not a score entry", 400));
+    }
+
+    if (!this.boards[board]) this.boards[board] = [];
+    const entries = this.boards[board];
+    // The same run sent twice (a retry after a lost reply) is kept once
+    if (!entries.some((e) => e.id === entry.id)) {
+      const text = (value, length = 40) => (typeof value === "string" ? value.slice(0, length) : null);
+      const number = (value) => (Number.isFinite(value) ? value : null);
+      entries.push({
+        id: text(entry.id),
+        score: entry.score,
+        name: text(entry.name, ScoreManager.nameLength) || "",
+        date: text(entry.date),
+        seed: text(entry.seed),
+        time: number(entry.time),
+        surges: number(entry.surges),
+        nearMisses: number(entry.nearMisses),
+        graze: number(entry.graze),
+        version: text(entry.version),
+      });
+      entries.sort((a, b) => b.score - a.score); // stable: ties go to the earlier submission
+    }
+    return Promise.resolve({ rank: entries.findIndex((e) => e.id === entry.id) + 1 });
+  }
+
+  top(board, limit) {
+    return Promise.resolve(this._ranked(board, 0, clamp(limit, 1, 100)));
+  }
+
+  around(board, id, span) {
+    const index = (this.boards[board] || []).findIndex((e) => e.id === id);
+    if (index < 0) return Promise.reject(leaderboardError(`No entry ${id}`, 404));
+    span = clamp(span, 0, 50);
+    return Promise.resolve(this._ranked(board, Math.max(0, index - span), index + span + 1));
+  }
+
+  _ranked(board, start, end) {
+    return (this.boards[board] || []).slice(start, end).map((e, i) => ({ ...e, rank: start + i + 1 }));
+  }
+}
+
+// ============================================================
+// HTTP/JSON backend
+// ============================================================
+//
+//   POST <base>/boards/<board>/scores                 entry -> { rank }
+//   GET  <base>/boards/<board>/scores?limit=N         -> [entry]
+//   GET  <base>/boards/<board>/scores/<id>/around?span=N -> [entry]
+
+class HttpLeaderboard {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  submit(board, entry) {
+    return this._request(this._scores(board), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(entry),
+    });
+  }
+
+  top(board, limit) {
+    return this._request(`${this._scores(board)}?limit=${limit}`);
+  }
+
+  around(board, id, span) {
+    return this._request(`${this._scores(board)}/${encodeURIComponent(id)}/around?span=${span}`);
+  }
+
+  _scores(board) {
+    return `${this.baseUrl}/boards/${encodeURIComponent(board)}/scores`;
+  }
+
+  // Network failures reject as they are (no status); replies other than
+  // 2xx reject with the status and the server's error message
+  _request(url, options) {
+    return fetch(url, options).then((res) =>
+      res
+        .json()
+        .catch(() => ({}))
+        .then((body) => {
+          if (!res.ok) throw leaderboardError(body.error || `Leaderboard server replied ${res.status}`, res.status);
+          return body;
+        }),
+    );
+  }
+}
+
+// ============================================================
+// Client with offline queue
+// ============================================================
+
+class Leaderboard {
+  constructor(backend) {
+    this.backend = backend;
+    this._key = "asteroidDodgeLeaderboardQueue";
+    this.pending = null; // the last flush started
+  }
+
+  get queue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem(this._key));
+      return Array.isArray(queue) ? queue : [];
+    } catch {
+      return [];
+    }
+  }
+
+  _saveQueue(queue) {
+    try {
+      localStorage.setItem(this._key, JSON.stringify(queue));
+    } catch {
+      /* silently fail if storage full */
+    }
+  }
+
+  // Queues the run and sends everything queued. Resolves to { rank },
+  // { queued: true } if the server can't be reached right now, or
+  // { rejected: message } if it refused the run.
+  submit(board, entry) {
+    this._saveQueue(this.queue.concat([{ board, entry }]));
+    return this.flush().then(
+      (results) => results[entry.id] || { queued: true },
+      () => ({ queued: true }),
+    );
+  }
+
+  // Sends queued runs oldest first, stopping at the first that can't get
+  // through. Flushes run one after another, never side by side. Resolves
+  // to the results by entry id; rejects if anything is left queued.
+  flush() {
+    const drain = (results) => {
+      const [item] = this.queue;
+      if (!item) return results;
+      const done = (result) => {
+        results[item.entry.id] = result;
+        this._saveQueue(this.queue.filter((q) => q.entry.id !== item.entry.id));
+        return drain(results);
+      };
+      return this.backend.submit(item.board, item.entry).then(done, (err) => {
+        // Only a verdict on the entry itself drops it; anything else
+        // (offline, server down, wrong URL) is tried again later
+        if (err.status !== 400 && err.status !== 422) throw err;
+        return done({ rejected: err.message });
+      });
+    };
+    this.pending = (this.pending || Promise.resolve()).catch(() => {}).then(() => drain({}));
+    return this.pending;
+  }
+
+  top(board, limit) {
+    return this.backend.top(board, limit);
+  }
+
+  around(board, id, span) {
+    return this.backend.around(board, id, span);
+  }
+
+  // What to show for a run ranked `rank`: the top `limit`, or when the run
+  // is further down, the first few and then the run with `span` either
+  // side, with null marking the gap
+  standings(board, id, rank, limit = 10, span = 2) {
+    if (!rank || rank <= limit) return this.top(board, limit);
+    return Promise.all([this.top(board, limit - 2 * span - 2), this.around(board, id, span)]).then(([top, near]) =>
+      top.concat([null], near),
+    );
+  }
+}
@@ -0,0 +1,136 @@
+// ============================================================
+// ASTEROID DODGE — Game modes
+// ============================================================
+// Depends on sim.js; DOM-free.
+//
+// A mode is a set of rules the Simulation reads, plus how its score, HUD and
+// game-over summary read. The rules:
+//
+//   lives            — hits the run can take (Infinity: never ends on a hit)
+//   players          — ships on the field (default 1). With two, a hit
+//                      wrecks a ship instead of costing a life, and the run
+//                      ends when none is left flying — or, with `versus`,
+//                      when one is (the last one flying wins the round)
+//   revive           — a ship touching its partner's wreck brings it back
+//   invulnerability  — seconds of grace after a survived hit; the ship
+//                      respawns at the centre if `respawn` is set
+//   timeLimit        — seconds until the run ends by itself (null: none)
+//   permanentSurge   — surge from the first tick, never letting up
+//   endless          — the player ends the run (Esc), and that is scored
+//   unranked         — runs never go on the high score boards
+//   score(sim)       — the number ranked on the mode's boards (higher wins)
+//
+// hud(sim) returns the HUD lines (the first drawn large) and summary(sim)
+// the extra lines on the game-over screen. Modes with `grazing` set are
+// scored in points (sim.points: survival plus grazes) and show the combo
+// meter; their boards once ranked seconds survived, and `fromSeconds`
+// converts those old scores (see ScoreManager).
+// ============================================================
+
+const formatSeconds = (seconds) => `${seconds.toFixed(1)}s`;
+const formatPoints = (points) => `${points} pts`;
+
+// Game-over breakdown for the modes scored in points
+const pointsSummary = (sim) => [
+  `Survival ${formatPoints(sim.survivalPoints)} (${formatSeconds(sim.elapsedTime)})`,
+  `Grazes ${formatPoints(sim.grazePoints)} (${sim.nearMisses}, best combo x${sim.bestCombo.toFixed(2)})`,
+];
+
+const secondsToPoints = (seconds) => Math.floor(seconds * CONFIG.survivalPoints);
+
+// "P1 ♥  P2 ✗": which ships are still flying
+const shipsLine = (sim) => sim.ships.map((ship) => `P${ship.player + 1} ${ship.alive ? "♥" : "✗"}`).join("  ");
+
+const GAME_MODES = {
+  classic: {
+    label: "Classic",
+    description: "One hit and it's over",
+    lives: 1,
+    grazing: true,
+    score: (sim) => sim.points,
+    fromSeconds: secondsToPoints,
+    formatScore: formatPoints,
+    hud: (sim) => [formatPoints(sim.points), formatSeconds(sim.elapsedTime)],
+    summary: pointsSummary,
+  },
+  zen: {
+    label: "Zen",
+    description: "No death. Scored on your longest hit-free stretch",
+    lives: Infinity,
+    endless: true,
+    score: (sim) => sim.cleanStreak,
+    formatScore: formatSeconds,
+    hud: (sim) => [
+      formatSeconds(sim.elapsedTime),
+      `Hits: ${sim.hits}`,
+      `Clean streak: ${formatSeconds(sim.cleanStreak)}`,
+    ],
+    summary: (sim) => [`Played ${formatSeconds(sim.elapsedTime)}`, `Hits: ${sim.hits}`],
+  },
+  timeAttack: {
+    label: "Time Attack",
+    description: "60 seconds. Scored on near misses",
+    lives: 1,
+    timeLimit: 60,
+    score: (sim) => sim.nearMisses,
+    formatScore: (score) => `${score} near miss${score === 1 ? "" : "es"}`,
+    hud: (sim) => [`${sim.nearMisses} near misses`, `${formatSeconds(sim.timeLeft)} left`],
+    summary: (sim) => [
+      sim.endReason === "time" ? "Made it to the buzzer" : `Crashed at ${formatSeconds(sim.elapsedTime)}`,
+    ],
+  },
+  hardcore: {
+    label: "Hardcore",
+    description: "The surge never ends",
+    lives: 1,
+    permanentSurge: true,
+    grazing: true,
+    score: (sim) => sim.points,
+    fromSeconds: secondsToPoints,
+    formatScore: formatPoints,
+    hud: (sim) => [formatPoints(sim.points), formatSeconds(sim.elapsedTime)],
+    summary: pointsSummary,
+  },
+  lives: {
+    label: "3 Lives",
+    description: "Three ships, with a moment's grace after each hit",
+    lives: 3,
+    invulnerability: 2,
+    respawn: true,
+    grazing: true,
+    score: (sim) => sim.points,
+    fromSeconds: secondsToPoints,
+    formatScore: formatPoints,
+    hud: (sim) => [formatPoints(sim.points), formatSeconds(sim.elapsedTime), `Lives: ${"♥".repeat(sim.lives)}`],
+    summary: pointsSummary,
+  },
+  coop: {
+    label: "Co-op",
+    description: "Two ships, one score. Touch a wrecked partner to revive it",
+    players: 2,
+    revive: true,
+    invulnerability: 2,
+    grazing: true,
+    score: (sim) => sim.points,
+    fromSeconds: secondsToPoints,
+    formatScore: formatPoints,
+    hud: (sim) => [formatPoints(sim.points), formatSeconds(sim.elapsedTime), shipsLine(sim)],
+    summary: (sim) => [...pointsSummary(sim), `Revives: ${sim.revives}`],
+  },
+  versus: {
+    label: "Versus",
+    description: "Two ships. The last one flying wins the round",
+    players: 2,
+    versus: true,
+    unranked: true,
+    score: (sim) => sim.elapsedTime,
+    formatScore: formatSeconds,
+    hud: (sim) => [formatSeconds(sim.elapsedTime), shipsLine(sim)],
+    summary: (sim) => {
+      if (sim.winner !== null) return [`P${sim.winner + 1} outlasted P${2 - sim.winner}`];
+      return [sim.endReason === "hit" ? "Both ships went down together" : "Round called off"];
+    },
+  },
+};
+
+const MODE_IDS = Object.keys(GAME_MODES);
@@ -0,0 +1,387 @@
+// ============================================================
+// ASTEROID DODGE — Wave patterns
+// ============================================================
+// Depends on sim.js and asteroids.js; DOM-free.
+//
+// Besides the random stream, rocks come in scripted patterns: walls with a
+// gap, spirals fanning out of a corner, crossing lanes, rings closing in.
+// A pattern file (JSON, format below) names the patterns it uses, each a
+// timed list of steps, and says when they play:
+//
+//   {
+//     "format": "asteroid-dodge-patterns", "version": 1,
+//     "name": "My level",
+//     "every": [12, 20],       seconds between patterns mixed in at random (null = never)
+//     "mix": ["wall"],         which patterns those are (default: all of them)
+//     "sequence": [{ "at": 5, "pattern": "wall" }],   patterns at fixed times, seconds into the run
+//     "random": 1,             the random stream, as a share of its usual rocks
+//     "randomDuring": 0.35,    ... while a pattern is playing
+//     "patterns": {
+//       "wall": { "label": "Wall", "steps": [{ "at": 0, "shape": "wall", "side": "top" }] }
+//     }
+//   }
+//
+// Every step has a shape (see PATTERN_SHAPES for their parameters), "at"
+// (seconds into the pattern), "speed" (times the current ramped rock speed),
+// "size" (px, or null for the usual random sizes) and "type" (an
+// ASTEROID_TYPES id). All times in a pattern file are in seconds.
+// ============================================================
+
+// Parameter readers: each returns the value, or its default when it is
+// missing, and throws if it is out of range. `where` names it in errors.
+const PatternParams = {
+  number: (fallback, min, max) => (value, where) => {
+    if (value === undefined) return fallback;
+    if (typeof value !== "number" || !(value >= min && value <= max)) {
+      throw new Error(`${where} must be a number from ${min} to ${max}`);
+    }
+    return value;
+  },
+
+  integer: (fallback, min, max) => (value, where) => {
+    const n = PatternParams.number(fallback, min, max)(value, where);
+    if (!Number.isInteger(n)) throw new Error(`${where} must be a whole number`);
+    return n;
+  },
+
+  choice: (fallback, choices) => (value, where) => {
+    if (value === undefined) return fallback;
+    if (!choices.includes(value)) throw new Error(`${where} must be one of ${choices.join(", ")}`);
+    return value;
+  },
+
+  // A number in range, or "random" for a fresh one every time the step plays
+  numberOrRandom: (fallback, min, max) => (value, where) =>
+    value === "random" ? value : PatternParams.number(fallback, min, max)(value, where),
+
+  // A number in range, or null
+  optionalNumber: (min, max) => (value, where) =>
+    value === null ? null : PatternParams.number(null, min, max)(value, where),
+};
+
+// Parameters every step has, whatever its shape
+const PATTERN_STEP_PARAMS = {
+  at: PatternParams.number(0, 0, 600),
+  speed: PatternParams.number(1, 0.1, 5),
+  size: PatternParams.optionalNumber(2, 80),
+  type: PatternParams.choice("rock", ASTEROID_TYPE_IDS),
+};
+
+const SIDES = ["top", "right", "bottom", "left"];
+const CORNERS = ["topLeft", "topRight", "bottomLeft", "bottomRight"];
+
+// Each shape's own parameters, how long it takes to play out (seconds), and
+// rocks(step, rng, sim, reach): where its rocks start, as { delay, x, y,
+// angle } with delay in seconds from the start of the step. reach is the
+// largest radius a rock of the step can have, to keep them clear of gaps
+// and off the screen until they fly in.
+const PATTERN_SHAPES = {
+  // A line of rocks crossing the field from one side, with a gap to slip
+  // through. gap: where along the side (0-1); gapWidth: px
+  wall: {
+    params: {
+      side: PatternParams.choice("random", ["random", ...SIDES]),
+      count: PatternParams.integer(16, 1, 100),
+      gap: PatternParams.numberOrRandom("random", 0, 1),
+      gapWidth: PatternParams.number(90, 0, 600),
+    },
+    duration: () => 0,
+    rocks(step, rng, sim, reach) {
+      const side = step.side === "random" ? SIDES[rng.int(0, 3)] : step.side;
+      const gap = step.gap === "random" ? rng.range(0.15, 0.85) : step.gap;
+      const vertical = side === "left" || side === "right";
+      const length = vertical ? CONFIG.canvasHeight : CONFIG.canvasWidth;
+      const depth = vertical ? CONFIG.canvasWidth : CONFIG.canvasHeight;
+      const start = side === "top" || side === "left" ? -reach - 5 : depth + reach + 5;
+      const angle = { top: Math.PI / 2, right: Math.PI, bottom: -Math.PI / 2, left: 0 }[side];
+      const rocks = [];
+      for (let i = 0; i < step.count; i++) {
+        const along = ((i + 0.5) / step.count) * length;
+        if (step.gapWidth > 0 && Math.abs(along - gap * length) < step.gapWidth / 2 + reach) continue;
+        rocks.push({ delay: 0, x: vertical ? start : along, y: vertical ? along : start, angle });
+      }
+      return rocks;
+    },
+  },
+
+  // Rocks fired one after another out of a corner, their heading sweeping
+  // across the field. sweep: radians; direction: 1 or -1 (which way it turns)
+  spiral: {
+    params: {
+      corner: PatternParams.choice("random", ["random", ...CORNERS]),
+      count: PatternParams.integer(18, 1, 200),
+      interval: PatternParams.number(0.08, 0, 10),
+      sweep: PatternParams.number(Math.PI / 2, 0, Math.PI * 8),
+      direction: PatternParams.choice("random", ["random", 1, -1]),
+    },
+    duration: (step) => (step.count - 1) * step.interval,
+    rocks(step, rng, sim, reach) {
+      const corner = step.corner === "random" ? CORNERS[rng.int(0, 3)] : step.corner;
+      const direction = step.direction === "random" ? (rng.next() < 0.5 ? 1 : -1) : step.direction;
+      const x = corner.endsWith("Left") ? -reach : CONFIG.canvasWidth + reach;
+      const y = corner.startsWith("top") ? -reach : CONFIG.canvasHeight + reach;
+      const aim = Math.atan2(CONFIG.canvasHeight / 2 - y, CONFIG.canvasWidth / 2 - x);
+      const rocks = [];
+      for (let i = 0; i < step.count; i++) {
+        const t = step.count > 1 ? i / (step.count - 1) : 0.5;
+        rocks.push({ delay: i * step.interval, x, y, angle: aim + direction * (t - 0.5) * step.sweep });
+      }
+      return rocks;
+    },
+  },
+
+  // Evenly spaced lanes of rocks streaming across the field, neighbouring
+  // lanes in opposite directions. axis: "horizontal", "vertical" or "both"
+  // (a grid of crossing lanes); count: rocks per lane
+  lanes: {
+    params: {
+      axis: PatternParams.choice("horizontal", ["horizontal", "vertical", "both"]),
+      lanes: PatternParams.integer(4, 1, 20),
+      count: PatternParams.integer(5, 1, 50),
+      interval: PatternParams.number(0.35, 0, 10),
+    },
+    duration: (step) => (step.count - 1) * step.interval,
+    rocks(step, rng, sim, reach) {
+      const W = CONFIG.canvasWidth;
+      const H = CONFIG.canvasHeight;
+      const rocks = [];
+      const addLanes = (vertical) => {
+        for (let lane = 0; lane < step.lanes; lane++) {
+          const along = ((lane + 1) / (step.lanes + 1)) * (vertical ? W : H);
+          const forward = lane % 2 === 0;
+          const from = forward ? -reach - 5 : (vertical ? H : W) + reach + 5;
+          const angle = vertical ? (forward ? Math.PI / 2 : -Math.PI / 2) : forward ? 0 : Math.PI;
+          for (let i = 0; i < step.count; i++) {
+            const delay = i * step.interval;
+            rocks.push(vertical ? { delay, x: along, y: from, angle } : { delay, x: from, y: along, angle });
+          }
+        }
+      };
+      if (step.axis !== "vertical") addLanes(false);
+      if (step.axis !== "horizontal") addLanes(true);
+      return rocks;
+    },
+  },
+
+  // A ring of rocks around the ship (the one nearest the centre, with two)
+  // or the centre of the field, closing in, with a gap at a random angle.
+  // radius: px; gapWidth: radians. Rocks starting beyond the culling margin
+  // are kept until they fly in (see Asteroid.inbound)
+  ring: {
+    params: {
+      around: PatternParams.choice("ship", ["ship", "center"]),
+      count: PatternParams.integer(20, 1, 100),
+      radius: PatternParams.number(260, 40, 1000),
+      gapWidth: PatternParams.number(1, 0, Math.PI * 2),
+    },
+    duration: () => 0,
+    rocks(step, rng, sim) {
+      const W = CONFIG.canvasWidth;
+      const H = CONFIG.canvasHeight;
+      const target = step.around === "ship" ? sim.nearestShip(W / 2, H / 2) : null;
+      const cx = target ? target.x : W / 2;
+      const cy = target ? target.y : H / 2;
+      const gap = rng.range(0, Math.PI * 2);
+      const arc = Math.PI * 2 - step.gapWidth;
+      const rocks = [];
+      for (let i = 0; i < step.count; i++) {
+        // Spread over the arc, ends on the edges of the gap (a full ring
+        // doesn't put two rocks in the same place)
+        const t = step.gapWidth > 0 && step.count > 1 ? i / (step.count - 1) : i / step.count;
+        const a = gap + step.gapWidth / 2 + arc * t;
+        rocks.push({
+          delay: 0,
+          x: cx + Math.cos(a) * step.radius,
+          y: cy + Math.sin(a) * step.radius,
+          angle: a + Math.PI,
+        });
+      }
+      return rocks;
+    },
+  },
+};
+
+const PatternCodec = {
+  format: "asteroid-dodge-patterns",
+  version: 1,
+
+  // Throws on anything that isn't a well-formed pattern file
+  decode(text) {
+    return this.normalize(JSON.parse(text));
+  },
+
+  // A pattern file's data checked, with every default filled in. The result
+  // is itself a valid pattern file (replays store it as it is).
+  normalize(data) {
+    if (!data || data.format !== this.format) throw new Error("Not a pattern file");
+    if (data.version !== this.version) throw new Error(`Unsupported pattern file version ${data.version}`);
+    if (!data.patterns || typeof data.patterns !== "object" || Object.keys(data.patterns).length === 0) {
+      throw new Error("Pattern file has no patterns");
+    }
+
+    const patterns = {};
+    for (const [id, pattern] of Object.entries(data.patterns)) {
+      patterns[id] = this.normalizePattern(id, pattern);
+    }
+    const ids = Object.keys(patterns);
+    const known = (id, where) => {
+      if (!patterns[id]) throw new Error(`${where}: no pattern called "${id}"`);
+      return id;
+    };
+
+    let every = null;
+    if (data.every != null) {
+      const ok =
+        Array.isArray(data.every) &&
+        data.every.length === 2 &&
+        data.every.every((n) => typeof n === "number" && n >= 1 && n <= 600);
+      if (!ok || data.every[0] > data.every[1]) throw new Error("every must be [min, max] seconds, from 1 to 600");
+      every = [data.every[0], data.every[1]];
+    }
+    if (data.mix !== undefined && (!Array.isArray(data.mix) || data.mix.length === 0)) {
+      throw new Error("mix must list at least one pattern");
+    }
+    if (data.sequence !== undefined && !Array.isArray(data.sequence)) throw new Error("sequence must be a list");
+    const sequence = (data.sequence || []).map((entry, i) => ({
+      at: PatternParams.number(0, 0, 36000)((entry || {}).at, `sequence ${i + 1} at`),
+      pattern: known((entry || {}).pattern, `sequence ${i + 1}`),
+    }));
+
+    return {
+      format: this.format,
+      version: this.version,
+      name: typeof data.name === "string" && data.name.trim() ? data.name.trim().slice(0, 40) : "Custom patterns",
+      every,
+      mix: (data.mix || ids).map((id) => known(id, "mix")),
+      sequence: sequence.sort((a, b) => a.at - b.at),
+      random: PatternParams.number(1, 0, 5)(data.random, "random"),
+      randomDuring: PatternParams.number(0.35, 0, 5)(data.randomDuring, "randomDuring"),
+      patterns,
+    };
+  },
+
+  normalizePattern(id, pattern) {
+    if (!pattern || !Array.isArray(pattern.steps) || pattern.steps.length === 0) {
+      throw new Error(`Pattern "${id}" has no steps`);
+    }
+    const steps = pattern.steps.map((step, i) => {
+      const where = `Pattern "${id}" step ${i + 1}`;
+      const shape = PATTERN_SHAPES[(step || {}).shape];
+      if (!shape) throw new Error(`${where}: unknown shape "${(step || {}).shape}"`);
+      const out = { shape: step.shape };
+      for (const [name, read] of Object.entries({ ...PATTERN_STEP_PARAMS, ...shape.params })) {
+        out[name] = read(step[name], `${where} ${name}`);
+      }
+      return out;
+    });
+    return {
+      label: typeof pattern.label === "string" ? pattern.label.slice(0, 24) : "",
+      steps: steps.sort((a, b) => a.at - b.at),
+    };
+  },
+};
+
+// The patterns every run mixes in unless a pattern file is loaded
+const DEFAULT_PATTERNS = PatternCodec.normalize({
+  format: PatternCodec.format,
+  version: PatternCodec.version,
+  name: "Standard",
+  every: [14, 22],
+  patterns: {
+    wall: { label: "Wall", steps: [{ shape: "wall" }] },
+    doubleWall: {
+      label: "Double wall",
+      steps: [
+        { at: 0, shape: "wall", side: "top", count: 14 },
+        { at: 1.6, shape: "wall", side: "left", count: 14 },
+      ],
+    },
+    spiral: { label: "Spiral", steps: [{ shape: "spiral" }] },
+    crossfire: { label: "Crossfire", steps: [{ shape: "lanes", axis: "both", lanes: 2, count: 4, interval: 0.5 }] },
+    ring: { label: "Closing ring", steps: [{ shape: "ring", speed: 0.7 }] },
+  },
+});
+
+// ============================================================
+// Spawn director
+// ============================================================
+
+// Plays a pattern set through a run: starts patterns on the set's schedule,
+// spawns their rocks as they come due, and says how much of the random
+// stream to let through. Draws only from its own rng, so a pattern never
+// shifts the random rocks.
+class SpawnDirector {
+  constructor(patterns, rng) {
+    this.patterns = patterns;
+    this.rng = rng;
+    this.queue = []; // steps and rocks waiting for their tick: { tick, step, rock? }, in tick order
+    this.nextSequence = 0; // index into patterns.sequence
+    this.nextMixTick = patterns.every ? this.rollInterval() : Infinity;
+    this.busyUntil = 0; // tick the latest pattern finishes spawning
+    this.announced = null; // { label, tick } of the latest labelled pattern
+  }
+
+  rollInterval() {
+    const [min, max] = this.patterns.every;
+    return Math.round(this.rng.range(min, max) * TICK_RATE);
+  }
+
+  // Share of the random stream's rocks to spawn on `tick`
+  randomScale(tick) {
+    return tick < this.busyUntil ? this.patterns.randomDuring : this.patterns.random;
+  }
+
+  // Starts whatever is scheduled for this tick and spawns every rock due
+  update(sim) {
+    const { sequence, mix } = this.patterns;
+    while (this.nextSequence < sequence.length && sequence[this.nextSequence].at * TICK_RATE <= sim.tick) {
+      this.start(sequence[this.nextSequence++].pattern, sim);
+    }
+    if (sim.tick >= this.nextMixTick) {
+      this.start(mix[this.rng.int(0, mix.length - 1)], sim);
+      this.nextMixTick = sim.tick + this.rollInterval();
+    }
+
+    while (this.queue.length > 0 && this.queue[0].tick <= sim.tick) {
+      const { step, rock } = this.queue.shift();
+      if (rock) this.spawn(step, rock, sim);
+      else this.playStep(step, sim);
+    }
+  }
+
+  start(id, sim) {
+    const pattern = this.patterns.patterns[id];
+    let length = 0;
+    for (const step of pattern.steps) {
+      this.enqueue(sim.tick + Math.round(step.at * TICK_RATE), step);
+      length = Math.max(length, step.at + PATTERN_SHAPES[step.shape].duration(step));
+    }
+    this.busyUntil = Math.max(this.busyUntil, sim.tick + Math.round(length * TICK_RATE) + 1);
+    sim.events.push({ type: "pattern", id, label: pattern.label });
+    if (pattern.label) this.announced = { label: pattern.label, tick: sim.tick };
+  }
+
+  // A step works out where its rocks go when it starts (a ring closes in on
+  // wherever the ship is by then)
+  playStep(step, sim) {
+    const reach = step.size != null ? step.size : CONFIG.asteroidMaxSize * ASTEROID_TYPES[step.type].size;
+    for (const rock of PATTERN_SHAPES[step.shape].rocks(step, this.rng, sim, reach)) {
+      if (rock.delay > 0) this.enqueue(sim.tick + Math.round(rock.delay * TICK_RATE), step, rock);
+      else this.spawn(step, rock, sim);
+    }
+  }
+
+  enqueue(tick, step, rock = null) {
+    let i = this.queue.length;
+    while (i > 0 && this.queue[i - 1].tick > tick) i--;
+    this.queue.splice(i, 0, { tick, step, rock });
+  }
+
+  spawn(step, { x, y, angle }, sim) {
+    const speed = sim.params.asteroidBaseSpeed * ASTEROID_TYPES[step.type].speed * step.speed;
+    const asteroid = sim.asteroidPool.acquire(this.rng, speed, step.type);
+    asteroid.launch(x, y, step.size != null ? step.size : asteroid.size, angle, speed);
+    asteroid.inbound = true;
+    sim.asteroids.push(asteroid);
+  }
+}
@@ -0,0 +1,72 @@
+// ============================================================
+// ASTEROID DODGE — Power-up pickups
+// ============================================================
+// Depends on sim.js; DOM-free.
+//
+// Every so often a pickup appears somewhere on the field and waits a few
+// seconds to be collected by touching it. Spawn rates, odds and effect
+// tuning live in CONFIG; what each pickup does is apply(sim, ship) below,
+// ship being the one that collected it.
+// ============================================================
+
+const PICKUP_TYPES = {
+  shield: {
+    label: "Shield",
+    symbol: "S",
+    color: "#66ccff",
+    apply: (sim, ship) => {
+      ship.shield = true;
+    },
+  },
+  slow: {
+    label: "Slow",
+    symbol: "T",
+    color: "#88ff99",
+    apply: (sim) => sim.startEffect("slow", CONFIG.slowDuration),
+  },
+  shrink: {
+    label: "Shrink",
+    symbol: "½",
+    color: "#cc88ff",
+    apply: (sim, ship) => sim.startEffect("shrink", CONFIG.shrinkDuration, ship),
+  },
+  bomb: {
+    label: "Bomb",
+    symbol: "B",
+    color: "#ffaa33",
+    apply: (sim, ship) => sim.detonate(CONFIG.bombRadius, ship),
+  },
+};
+
+// The kinds CONFIG.pickupWeights can spawn; none means pickups are off
+function pickupKinds() {
+  return Object.keys(CONFIG.pickupWeights).filter((kind) => CONFIG.pickupWeights[kind] > 0);
+}
+
+class Pickup {
+  // Spawns at a random spot at least pickupMinShipDistance from the ship.
+  // rng: the simulation's pickup stream; tick: the current simulation tick
+  constructor(rng, ship, tick) {
+    const kinds = pickupKinds();
+    if (kinds.length === 0) throw new Error("No pickup kind has any weight");
+    const total = kinds.reduce((sum, kind) => sum + CONFIG.pickupWeights[kind], 0);
+    let roll = rng.range(0, total);
+    // Rounding can leave the roll just short of the last kind
+    this.kind = kinds.find((kind) => (roll -= CONFIG.pickupWeights[kind]) < 0) || kinds[kinds.length - 1];
+    this.size = CONFIG.pickupSize;
+
+    const margin = 40;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      this.x = rng.range(margin, CONFIG.canvasWidth - margin);
+      this.y = rng.range(margin, CONFIG.canvasHeight - margin);
+      if (dist(this.x, this.y, ship.x, ship.y) >= CONFIG.pickupMinShipDistance) break;
+    }
+
+    this.spawnTick = tick;
+    this.expireTick = tick + Math.round((CONFIG.pickupLifetime / 1000) * TICK_RATE);
+  }
+
+  touches(ship) {
+    return dist(this.x, this.y, ship.x, ship.y) < this.size + ship.size;
+  }
+}
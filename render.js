@@ -0,0 +1,1737 @@
+// ============================================================
+// ASTEROID DODGE — Canvas rendering & visual effects
+// ============================================================
+// Draws a Simulation plus the game's screens. Reads game state, never
+// changes it.
+// ============================================================
+
+// ============================================================
+// Starfield (pre-rendered background)
+// ============================================================
+// The stars are split into a few layers that twinkle together. Each layer
+// is drawn once to an offscreen canvas, so a frame costs one drawImage per
+// layer however many stars there are.
+
+const STAR_LAYERS = 4;
+
+class Star {
+  constructor(w, h) {
+    this.x = rand(0, w);
+    this.y = rand(0, h);
+    this.size = rand(0.5, 2);
+    this.brightness = rand(0.3, 1);
+  }
+
+  draw(ctx) {
+    ctx.globalAlpha = this.brightness;
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+class Starfield {
+  constructor(w, h, count) {
+    this.w = w;
+    this.h = h;
+    this.scale = 0; // device px per logical px the layers were drawn at
+    this.layers = [];
+    for (let i = 0; i < STAR_LAYERS; i++) {
+      this.layers.push({ stars: [], canvas: null, twinkleSpeed: rand(1, 4), twinkleOffset: rand(0, Math.PI * 2) });
+    }
+    for (let i = 0; i < count; i++) this.layers[i % STAR_LAYERS].stars.push(new Star(w, h));
+  }
+
+  prerender(scale) {
+    this.scale = scale;
+    for (const layer of this.layers) {
+      layer.canvas = layer.canvas || document.createElement("canvas");
+      layer.canvas.width = Math.ceil(this.w * scale);
+      layer.canvas.height = Math.ceil(this.h * scale);
+      const ctx = layer.canvas.getContext("2d");
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      ctx.fillStyle = "#fff";
+      for (const star of layer.stars) star.draw(ctx);
+    }
+  }
+
+  // scale: device px per logical px of the canvas drawn on; the layers are
+  // redrawn to match whenever it changes. twinkle: false holds them steady
+  draw(ctx, time, scale, twinkle = true) {
+    if (scale !== this.scale) this.prerender(scale);
+    for (const layer of this.layers) {
+      const wave = twinkle ? Math.sin(time * layer.twinkleSpeed + layer.twinkleOffset) : 0;
+      ctx.globalAlpha = 0.3 + 0.7 * (0.5 + 0.5 * wave);
+      ctx.drawImage(layer.canvas, 0, 0, this.w, this.h);
+    }
+    ctx.globalAlpha = 1;
+  }
+}
+
+// ============================================================
+// Explosion Particle
+// ============================================================
+
+const EXPLOSION_COLORS = ["#ff4444", "#ff8844", "#ffcc22", "#ffffff", "#ff6622", "#ffaa00"];
+
+// Pooled by the game (see Pool in sim.js), and drawn in batches by color
+// (Renderer.drawParticles)
+class Particle {
+  constructor(x, y, rng, colors) {
+    this.reset(x, y, rng, colors);
+  }
+
+  // colors: the palette a particle picks its color from
+  reset(x, y, rng, colors = EXPLOSION_COLORS) {
+    this.x = x;
+    this.y = y;
+    const angle = rng.range(0, Math.PI * 2);
+    const speed = rng.range(60, 250);
+    this.vx = Math.cos(angle) * speed;
+    this.vy = Math.sin(angle) * speed;
+    this.life = 1.0;
+    this.decay = rng.range(1.5, 3.5);
+    this.size = rng.range(1.5, 4);
+    this.color = colors[rng.int(0, colors.length - 1)];
+  }
+
+  update(dt) {
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.vx *= 1 - dt * 2;
+    this.vy *= 1 - dt * 2;
+    this.life -= this.decay * dt;
+  }
+}
+
+// ============================================================
+// Floating text ("+GRAZE 25"), drifting up and fading like a particle
+// ============================================================
+
+class FloatingText {
+  constructor(x, y, text, color) {
+    this.x = x;
+    this.y = y;
+    this.text = text;
+    this.color = color;
+    this.life = 1.0;
+  }
+
+  update(dt) {
+    this.y -= 40 * dt;
+    this.life -= dt;
+  }
+
+  draw(ctx) {
+    if (this.life <= 0) return;
+    ctx.globalAlpha = this.life;
+    ctx.fillStyle = this.color;
+    ctx.font = 'bold 13px "Courier New", monospace';
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(this.text, this.x, this.y);
+    ctx.globalAlpha = 1;
+  }
+}
+
+// ============================================================
+// Renderer
+// ============================================================
+
+// Blend two [r, g, b] colors; t = 0 gives a, 1 gives b
+function mixColor(a, b, t) {
+  const c = a.map((v, i) => Math.round(lerp(v, b[i], t)));
+  return `rgb(${c[0]}, ${c[1]}, ${c[2]})`;
+}
+
+// [r, g, b] as a CSS color at the given opacity
+function rgba(c, alpha) {
+  return `rgba(${c[0]}, ${c[1]}, ${c[2]}, ${alpha})`;
+}
+
+// The colors that carry meaning (Settings → Colors): what rocks turn during
+// a surge, the tint and edge glow warning of one, the HUD's surge text and
+// its good/bad (ahead of or behind a ghost). The colorblind-safe palettes
+// also give surging rocks a dashed outline and the arena hazard stripes,
+// so a surge never depends on color alone (high contrast does the same).
+const PALETTES = {
+  standard: {
+    label: "Standard",
+    surgeFill: [255, 102, 85],
+    surgeStroke: [255, 51, 34],
+    tint: [255, 30, 0],
+    warning: [255, 40, 20],
+    surgeText: [255, 51, 34],
+    warningText: [255, 140, 60],
+    good: "#66dd88",
+    bad: "#ff8866",
+    surgeCue: false,
+  },
+  // Deuteranopia and protanopia: yellow and orange against blue
+  redGreen: {
+    label: "Red-green safe",
+    surgeFill: [240, 228, 66],
+    surgeStroke: [230, 159, 0],
+    tint: [230, 159, 0],
+    warning: [230, 159, 0],
+    surgeText: [240, 228, 66],
+    warningText: [230, 159, 0],
+    good: "#56b4e9",
+    bad: "#e69f00",
+    surgeCue: true,
+  },
+  // Tritanopia: red and magenta against teal
+  blueYellow: {
+    label: "Blue-yellow safe",
+    surgeFill: [255, 85, 85],
+    surgeStroke: [220, 0, 40],
+    tint: [255, 0, 60],
+    warning: [255, 0, 90],
+    surgeText: [255, 68, 102],
+    warningText: [255, 90, 140],
+    good: "#44ddcc",
+    bad: "#ff4466",
+    surgeCue: true,
+  },
+};
+
+const PARTICLE_FADE_STEPS = 8; // opacity levels particles are batched into
+
+// Ship colors by player: P1 keeps the original blue, P2 flies orange.
+// sparks: the particles its wreck and revival throw off
+const PLAYER_STYLES = [
+  {
+    name: "P1",
+    color: "#7ab8ff",
+    glow: "rgba(100, 180, 255, 0.15)",
+    fill: "#e0e8ff",
+    highlight: "rgba(180, 220, 255, 0.5)",
+    sparks: ["#7ab8ff", "#b8d8ff", "#ffffff", "#4488ff"],
+  },
+  {
+    name: "P2",
+    color: "#ffaa55",
+    glow: "rgba(255, 170, 80, 0.15)",
+    fill: "#fff0e0",
+    highlight: "rgba(255, 220, 180, 0.5)",
+    sparks: ["#ffaa55", "#ffd0a0", "#ffffff", "#ff8833"],
+  },
+];
+
+// The ghost being raced (drawn translucent)
+const GHOST_STYLE = {
+  color: "#c0d8ff",
+  glow: "rgba(190, 215, 255, 0.2)",
+  fill: "#dde8ff",
+  highlight: "rgba(255, 255, 255, 0.5)",
+};
+
+// Seconds an achievement toast stays up, and of that the time it takes to
+// slide in (and out again)
+const TOAST_TIME = 3.5;
+const TOAST_SLIDE = 0.35;
+
+// Runs the Stats screen's trend line averages over
+const STATS_TREND_WINDOW = 10;
+
+// Stats screen figures: "42s", "12m 05s", "3h 12m"
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, "0")}s`;
+  return `${Math.floor(s / 3600)}h ${String(Math.floor(s / 60) % 60).padStart(2, "0")}m`;
+}
+
+// "840 px", "52k px", "1.3M px"
+function formatDistance(px) {
+  if (px >= 1e6) return `${(px / 1e6).toFixed(1)}M px`;
+  if (px >= 1e4) return `${Math.round(px / 1000)}k px`;
+  return `${Math.round(px)} px`;
+}
+
+// On-screen instructions in the words of the device the player last used
+// (see Renderer.prompts; keyboard ones are built from the key bindings)
+const PROMPTS = {
+  gamepad: {
+    move: "Left stick or d-pad to move",
+    confirm: "Press A or START",
+    finish: "START \u2192 Finish Run to end",
+    menu: "d-pad choose   A select   START/B resume",
+    players: "P1: pad 1   P2: pad 2",
+  },
+  touch: {
+    move: "Touch and drag anywhere to move",
+    confirm: "Tap",
+    menu: "Tap an option",
+    players: "Two players need a keyboard or two gamepads",
+  },
+};
+
+// e.g. "Arrow keys or WASD to move", "Press ENTER or SPACE"; in two-player
+// modes each player steers with one slot (PLAYER_KEY_SLOTS)
+function keyboardPrompts(settings) {
+  const names = (action) =>
+    settings.bindings[action].filter((key) => key !== null).map((key) => Settings.keyName(key).toUpperCase());
+
+  // Each slot read across up/left/down/right, when it is a complete set
+  const arrows = ["ArrowUp", "ArrowLeft", "ArrowDown", "ArrowRight"];
+  const slotName = (slot) => {
+    const keys = ["up", "left", "down", "right"].map((action) => settings.bindings[action][slot]);
+    if (keys.includes(null)) return null;
+    return keys.join() === arrows.join() ? "Arrow keys" : keys.map((k) => Settings.keyName(k).toUpperCase()).join("");
+  };
+  const sets = [0, 1].map(slotName).filter((name) => name !== null);
+  const players = PLAYER_KEY_SLOTS.map((slot, i) => `P${i + 1}: ${slotName(slot) || "unbound"}`);
+  const move = sets.length
+    ? sets.join(" or ")
+    : ["up", "left", "down", "right"].map((a) => names(a).join("/")).join(" ");
+
+  return {
+    move: `${move} to move`,
+    confirm: `Press ${names("start").join(" or ")}`,
+    finish: `${names("pause")[0]} \u2192 Finish Run to end`,
+    menu: `\u2191\u2193 choose   ENTER select   ${names("pause").join("/")} resume`,
+    players: players.join("   "),
+  };
+}
+
+class Renderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext("2d");
+    this.pixelRatio = 1;
+    this.resize();
+
+    // Background stars (persist across games)
+    this.starfield = new Starfield(CONFIG.canvasWidth, CONFIG.canvasHeight, CONFIG.starCount);
+
+    // Asteroids sorted by type each frame (arrays reused)
+    this.asteroidGroups = {};
+    for (const type of ASTEROID_TYPE_IDS) this.asteroidGroups[type] = [];
+  }
+
+  // Fits the canvas to the window, keeping the playfield's aspect ratio
+  // (the page background letterboxes the rest), with a backing store at the
+  // screen's pixel density so it stays sharp. Drawing is still done in
+  // logical px: render() scales the context to match.
+  resize() {
+    const canvas = this.canvas;
+    const border = canvas.offsetWidth - canvas.clientWidth || 0;
+    const fit = Math.min(
+      (window.innerWidth - border) / CONFIG.canvasWidth,
+      (window.innerHeight - border) / CONFIG.canvasHeight,
+    );
+    const cssWidth = Math.max(1, Math.floor(CONFIG.canvasWidth * fit));
+    const cssHeight = Math.max(1, Math.floor(CONFIG.canvasHeight * fit));
+    this.pixelRatio = window.devicePixelRatio || 1;
+    canvas.style.width = `${cssWidth}px`;
+    canvas.style.height = `${cssHeight}px`;
+    canvas.width = Math.round(cssWidth * this.pixelRatio);
+    canvas.height = Math.round(cssHeight * this.pixelRatio);
+  }
+
+  // alpha: fraction of a tick elapsed since the last update, for interpolation
+  render(game, alpha) {
+    const ctx = this.ctx;
+    const W = CONFIG.canvasWidth;
+    const H = CONFIG.canvasHeight;
+
+    // Zooming or moving to another screen can change the density without a resize
+    if ((window.devicePixelRatio || 1) !== this.pixelRatio) this.resize();
+    ctx.setTransform(this.canvas.width / W, 0, 0, this.canvas.height / H, 0, 0);
+
+    // Accessibility settings, for this frame
+    const settings = game.settings;
+    this.palette = PALETTES[settings.palette];
+    this.calm = game.reducedMotion;
+    this.contrast = settings.highContrast;
+    this.hudScale = this.contrast ? 1.25 : 1;
+
+    ctx.save();
+
+    // Screen shake offset
+    if (game.state === "gameover") {
+      ctx.translate(game.shakeX, game.shakeY);
+    }
+
+    // Background
+    ctx.fillStyle = this.contrast ? "#000" : "#0a0a12";
+    ctx.fillRect(-10, -10, W + 20, H + 20);
+
+    // Stars
+    this.starfield.draw(ctx, game.globalTime, this.canvas.width / W, !this.calm);
+
+    const sim = game.sim;
+    const inRun = game.state === "playing" || game.state === "paused" || game.state === "replay";
+    if (game.state === "replay") {
+      // Replay ticks advance at their own pace (and not at all while paused)
+      const pb = game.playback;
+      alpha = pb.playing && !pb.ended ? clamp(pb.clock + game.accumulator * TICK_RATE * pb.speed, 0, 1) : 1;
+    } else if (game.state === "paused") {
+      alpha = 1; // frozen on the last tick
+    }
+
+    // How red things look: creeps up through the warning, full during the
+    // surge, then fades out with the speed ramp
+    const heat = !inRun ? 0 : sim.surgeActive ? 1 : Math.max(sim.surgeLevel, sim.surgeWarning * 0.6);
+
+    // Surge tint overlay, and hazard stripes for palettes that cue surges
+    // without color
+    const surgeCue = inRun && sim.surgeActive && (this.palette.surgeCue || this.contrast);
+    if (heat > 0) {
+      ctx.fillStyle = rgba(this.palette.tint, 0.06 * heat);
+      ctx.fillRect(0, 0, W, H);
+    }
+    if (surgeCue) this.drawHazardStripes(W, H);
+    if (inRun && sim.surgeWarning > 0) {
+      this.drawWarningGlow(sim.surgeWarning, game.globalTime, W, H);
+    }
+
+    // Slow time: a cool tint over everything
+    if (inRun && sim.effectTime("slow") > 0) {
+      ctx.fillStyle = "rgba(60, 160, 255, 0.07)";
+      ctx.fillRect(0, 0, W, H);
+    }
+
+    // Power-ups waiting to be collected
+    if (inRun) {
+      for (const pickup of sim.pickups) {
+        this.drawPickup(pickup, sim.tick, game.globalTime);
+      }
+    }
+
+    // Asteroids, one batch per type (gravity wells' reach drawn underneath)
+    if (inRun || game.state === "gameover") {
+      for (const group of Object.values(this.asteroidGroups)) group.length = 0;
+      for (const asteroid of sim.asteroids) this.asteroidGroups[asteroid.type].push(asteroid);
+      for (const well of this.asteroidGroups.well) this.drawWellField(well, alpha, game.globalTime);
+      for (const [type, group] of Object.entries(this.asteroidGroups)) {
+        const kind = ASTEROID_TYPES[type];
+        this.drawAsteroids(
+          group,
+          mixColor(kind.fill, this.palette.surgeFill, heat),
+          this.contrast ? "#fff" : mixColor(kind.stroke, this.palette.surgeStroke, heat),
+          alpha,
+          surgeCue,
+        );
+      }
+    }
+
+    // The ghost being raced, under the ship
+    if (game.ghost && (game.state === "playing" || game.state === "paused")) {
+      this.drawGhost(game.ghost, alpha);
+    }
+
+    // Ships: blink while invulnerable, flash red just after a hit survived.
+    // A wrecked ship in a two-player run stays where it went down
+    if (game.state === "playing" || game.state === "paused" || (game.state === "replay" && !game.playback.ended)) {
+      const single = sim.ships.length === 1;
+      const flash = single && sim.hits > 0 && sim.elapsedTime - sim.lastHitTime < 0.25;
+      for (const ship of sim.ships) {
+        const style = PLAYER_STYLES[ship.player];
+        if (!ship.alive) {
+          this.drawWreck(ship, style, sim.rules.revive, game.globalTime);
+          continue;
+        }
+        // With reduced motion, a ship in its grace period is see-through instead
+        const invulnerable = sim.invulnerableTime(ship) > 0;
+        const blinkedOut = invulnerable && !this.calm && Math.floor(game.globalTime * 12) % 2 === 0;
+        ctx.globalAlpha = invulnerable && this.calm ? 0.45 : 1;
+        if (!blinkedOut) this.drawShip(ship, alpha, flash, style);
+        ctx.globalAlpha = 1;
+        if (ship.shield) this.drawShield(ship, alpha, game.globalTime);
+      }
+    }
+
+    // Debug: collision shapes at their exact tick positions (no interpolation)
+    if (game.showHitboxes && (inRun || game.state === "gameover")) {
+      this.drawHitboxes(sim);
+    }
+
+    // Particles (explosions, floating graze points)
+    if (game.particles) {
+      this.drawParticles(game.particles);
+    }
+
+    ctx.restore();
+
+    // --- HUD / Overlays (not affected by shake) ---
+
+    if (game.state === "title") {
+      this.renderTitle(game, ctx, W, H);
+    } else if (game.state === "settings") {
+      this.renderSettings(game, ctx, W, H);
+    } else if (game.state === "achievements") {
+      this.renderAchievements(game, ctx, W, H);
+    } else if (game.state === "stats") {
+      this.renderStats(game, ctx, W, H);
+    } else if (game.state === "playing") {
+      this.renderHUD(game, ctx, W, H);
+      if (game.input.touch.active) this.drawJoystick(game.input.touch);
+    } else if (game.state === "paused") {
+      this.renderHUD(game, ctx, W, H);
+      this.renderPauseMenu(game, ctx, W, H);
+    } else if (game.state === "gameover") {
+      this.renderGameOver(game, ctx, W, H);
+    } else if (game.state === "replay") {
+      this.renderReplayHUD(game, ctx, W, H);
+    }
+
+    if (game.state === "title" || game.state === "gameover") {
+      this.drawFullscreenButton(game.fullscreenButtonRect(), game.fullscreen);
+    }
+
+    if (game.showPerf) this.drawPerf(game, ctx, W);
+    if (game.toasts.length > 0) this.drawToast(game.toasts[0], ctx, W);
+
+    if (game.notice) {
+      ctx.textAlign = "center";
+      ctx.textBaseline = "bottom";
+      ctx.fillStyle = "#ff8866";
+      ctx.font = '14px "Courier New", monospace';
+      ctx.fillText(game.notice, W / 2, H - 12);
+    }
+  }
+
+  prompts(game) {
+    const device = game.input.device;
+    return device === "keyboard" ? keyboardPrompts(game.settings) : PROMPTS[device];
+  }
+
+  renderTitle(game, ctx, W, H) {
+    // Title
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    // Game title
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 42px "Courier New", monospace';
+    ctx.fillText("NOOB GAME 2", W / 2, H * 0.3);
+
+    // Subtitle
+    ctx.fillStyle = "#888";
+    ctx.font = '16px "Courier New", monospace';
+    ctx.fillText("Dodge the rocks. Survive the surges.", W / 2, H * 0.38);
+
+    // Controls
+    ctx.fillStyle = "#666";
+    ctx.font = '14px "Courier New", monospace';
+    const prompts = this.prompts(game);
+    const mode = GAME_MODES[game.mode];
+    ctx.fillText(mode.players > 1 ? prompts.players : prompts.move, W / 2, H * 0.45);
+
+    // Mode and difficulty selectors
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 18px "Courier New", monospace';
+    ctx.fillText(`\u25b2  ${mode.label.toUpperCase()}  \u25bc`, W / 2, H * 0.52);
+    ctx.fillStyle = "#888";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.fillText(mode.description, W / 2, H * 0.56);
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 18px "Courier New", monospace';
+    ctx.fillText(`\u25c0  ${DIFFICULTY_PRESETS[game.difficulty].label.toUpperCase()}  \u25b6`, W / 2, H * 0.62);
+
+    // Best score (for the selected mode and difficulty)
+    if (game.bestScore > 0) {
+      ctx.fillStyle = "#ffcc00";
+      ctx.font = '18px "Courier New", monospace';
+      ctx.fillText(`Best: ${mode.formatScore(game.bestScore)}`, W / 2, H * 0.68);
+    }
+
+    // A teammate's ghost, loaded from a file, to race on its board
+    const rival = game.rivalGhost;
+    if (rival && rival.mode === game.mode && rival.difficulty === game.difficulty) {
+      ctx.fillStyle = GHOST_STYLE.color;
+      ctx.font = '13px "Courier New", monospace';
+      const name = rival.name || "a ghost";
+      ctx.fillText(`Racing ${name}: ${mode.formatScore(rival.score)}  (G to race your own)`, W / 2, H * 0.715);
+    }
+
+    // Pulsing start prompt
+    const pulse = 0.5 + 0.5 * Math.sin(game.globalTime * 3);
+    ctx.fillStyle = `rgba(255, 255, 255, ${0.4 + pulse * 0.6})`;
+    ctx.font = 'bold 20px "Courier New", monospace';
+    ctx.fillText(`${prompts.confirm} to start`, W / 2, H * 0.75);
+
+    ctx.fillStyle = "#555";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.fillText("I import   O settings   T achievements   C stats   F fullscreen", W / 2, H * 0.8);
+
+    // Seed selection
+    ctx.fillStyle = "#666";
+    ctx.font = '14px "Courier New", monospace';
+    if (game.urlSeed) {
+      ctx.fillText(`Seed: ${game.urlSeed}`, W / 2, H * 0.86);
+    } else if (game.dailyChallenge) {
+      ctx.fillStyle = "#7ab8ff";
+      ctx.fillText(`Daily challenge: ${Seeds.daily()}  (D to turn off)`, W / 2, H * 0.86);
+    } else {
+      ctx.fillText("Random seed  (D for daily challenge)", W / 2, H * 0.86);
+    }
+
+    // Wave patterns
+    if (game.customPatterns) {
+      ctx.fillStyle = "#c8a0ff";
+      ctx.fillText(`Patterns: ${game.customPatterns.name}  (L for standard, unranked)`, W / 2, H * 0.91);
+    } else {
+      ctx.fillStyle = "#666";
+      ctx.fillText("Standard patterns  (L to load a pattern file)", W / 2, H * 0.91);
+    }
+  }
+
+  renderHUD(game, ctx, W, H) {
+    const sim = game.sim;
+    this.drawModeHUD(sim, ctx);
+
+    // Best score, mode and difficulty
+    const s = this.hudScale;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = this.dim("#666");
+    ctx.font = this.hudFont(14);
+    ctx.fillText(`Best: ${sim.rules.formatScore(game.bestScore)}`, W - 15, 17);
+    ctx.fillText(`${sim.rules.label} \u00b7 ${DIFFICULTY_PRESETS[sim.difficulty].label}`, W - 15, 17 + 20 * s);
+    if (game.ghost) this.drawGhostDelta(game, ctx, W);
+    if (game.input.device === "touch") {
+      this.drawPauseButton(game.pauseButtonRect());
+    } else if (sim.rules.endless) {
+      ctx.textBaseline = "bottom";
+      ctx.fillStyle = "#555";
+      ctx.font = '12px "Courier New", monospace';
+      ctx.fillText(this.prompts(game).finish, W - 15, H - 12);
+    }
+
+    // Seed
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    ctx.fillStyle = this.dim("#555");
+    ctx.font = this.hudFont(12);
+    ctx.fillText(`Seed: ${game.sim.seed}`, 15, H - 12);
+
+    this.drawSurgeIndicator(game.sim, game.globalTime, ctx, W);
+    this.drawPatternLabel(game.sim, ctx, W);
+    this.drawComboMeter(game.sim, ctx);
+    this.drawActivePowerUps(game.sim, ctx, H - 32 * this.hudScale);
+  }
+
+  // HUD text: larger in high contrast mode
+  hudFont(size, bold = false) {
+    return `${bold ? "bold " : ""}${Math.round(size * this.hudScale)}px "Courier New", monospace`;
+  }
+
+  // A dim HUD color, or near-white in high contrast mode
+  dim(color) {
+    return this.contrast ? "#e8e8e8" : color;
+  }
+
+  // How far ahead of (or behind) the ghost's run you are at the same moment
+  drawGhostDelta(game, ctx, W) {
+    const sim = game.sim;
+    const ghost = game.ghost;
+    const diff = Math.round((sim.score - ghost.scoreAt(sim.tick)) * 100) / 100;
+    const rival = ghost.data === game.rivalGhost ? ghost.data.name || "ghost" : "best";
+    const format = sim.rules.formatScore;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "top";
+    ctx.font = this.hudFont(14, true);
+    ctx.fillStyle = diff > 0 ? this.palette.good : diff < 0 ? this.palette.bad : this.dim("#aaa");
+    let text = `level with ${rival}`;
+    if (diff > 0) text = `+${format(diff)} ahead of ${rival}`;
+    if (diff < 0) text = `-${format(-diff)} behind ${rival}`;
+    ctx.fillText(text, W - 15, 17 + 40 * this.hudScale);
+  }
+
+  // The name of the wave pattern that just started, fading out under the
+  // surge indicator
+  drawPatternLabel(sim, ctx, W) {
+    const announced = sim.spawner.announced;
+    const age = announced ? (sim.tick - announced.tick) / TICK_RATE : Infinity;
+    if (age >= 2) return;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = `rgba(200, 160, 255, ${1 - age / 2})`;
+    ctx.font = this.hudFont(14, true);
+    ctx.fillText(announced.label.toUpperCase(), W / 2, 48 * this.hudScale);
+  }
+
+  // Modes scored in points: the graze combo under the mode's HUD lines, with
+  // a bar draining until it starts to decay
+  drawComboMeter(sim, ctx) {
+    if (!sim.rules.grazing) return;
+    const s = this.hudScale;
+    const y = (26 + sim.rules.hud(sim).length * 18) * s;
+    const active = sim.combo > 1;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = !active ? this.dim("#555") : sim.surgeActive ? "#ff8844" : "#66ddff";
+    ctx.font = this.hudFont(14, true);
+    ctx.fillText(`COMBO x${sim.combo.toFixed(2)}`, 15, y);
+
+    if (!active) return;
+    const barW = 100 * s;
+    const hold = CONFIG.comboHold > 0 ? sim.comboHoldTime / (CONFIG.comboHold / 1000) : 0;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.fillRect(15, y + 18 * s, barW, 3 * s);
+    ctx.fillStyle = sim.surgeActive ? "#ff8844" : "#66ddff";
+    ctx.fillRect(15, y + 18 * s, barW * hold, 3 * s);
+  }
+
+  // Active power-ups stacked up from `bottom`: shields, then timed effects
+  // with the seconds they have left. With two ships, the ones a single ship
+  // carries say whose they are
+  drawActivePowerUps(sim, ctx, bottom) {
+    const lines = [];
+    const label = (kind) => PICKUP_TYPES[kind].label.toUpperCase();
+    const owner = (ship) => (sim.ships.length > 1 ? `${PLAYER_STYLES[ship.player].name} ` : "");
+    for (const ship of sim.ships) {
+      if (ship.shield) lines.push(["shield", `${owner(ship)}SHIELD`]);
+    }
+    const slow = sim.effectTime("slow");
+    if (slow > 0) lines.push(["slow", `${label("slow")} ${slow.toFixed(1)}s`]);
+    for (const ship of sim.ships) {
+      const left = sim.effectTime("shrink", ship);
+      if (left > 0) lines.push(["shrink", `${owner(ship)}${label("shrink")} ${left.toFixed(1)}s`]);
+    }
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    ctx.font = this.hudFont(13, true);
+    lines.forEach(([kind, text], i) => {
+      ctx.fillStyle = PICKUP_TYPES[kind].color;
+      ctx.fillText(text, 15, bottom - i * 18 * this.hudScale);
+    });
+  }
+
+  // The mode's HUD lines down the top-left corner, the first one large
+  drawModeHUD(sim, ctx) {
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    sim.rules.hud(sim).forEach((line, i) => {
+      ctx.fillStyle = i === 0 ? "#fff" : this.dim("#aaa");
+      ctx.font = i === 0 ? this.hudFont(20, true) : this.hudFont(14);
+      ctx.fillText(line, 15, i === 0 ? 15 : (22 + i * 18) * this.hudScale);
+    });
+  }
+
+  // "SURGE!" while surging, or a countdown with a draining bar while warning
+  drawSurgeIndicator(sim, time, ctx, W) {
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    const palette = this.palette;
+    const s = this.hudScale;
+    if (sim.surgeActive) {
+      ctx.fillStyle = rgba(palette.surgeText, 1);
+      ctx.font = this.hudFont(24, true);
+      ctx.fillText("SURGE!", W / 2, 15);
+    } else if (sim.surgeWarning > 0) {
+      const blink = this.calm ? 1 : 0.6 + 0.4 * Math.sin(time * (8 + sim.surgeWarning * 16));
+      ctx.fillStyle = rgba(palette.warningText, blink);
+      ctx.font = this.hudFont(18, true);
+      ctx.fillText(`SURGE IN ${(sim.surgeTimer / 1000).toFixed(1)}`, W / 2, 17);
+
+      const barW = 120 * s;
+      ctx.fillStyle = "rgba(255, 255, 255, 0.15)";
+      ctx.fillRect(W / 2 - barW / 2, 40 * s, barW, 3 * s);
+      ctx.fillStyle = rgba(palette.warningText, 1);
+      ctx.fillRect(W / 2 - barW / 2, 40 * s, barW * (1 - sim.surgeWarning), 3 * s);
+    }
+  }
+
+  // Red glow along the arena edges, pulsing faster and brighter as the surge
+  // nears (brightening steadily with reduced motion)
+  drawWarningGlow(warning, time, W, H) {
+    const ctx = this.ctx;
+    const pulse = this.calm ? 0.5 : 0.5 + 0.5 * Math.sin(time * (6 + warning * 14));
+    const strength = warning * (0.35 + 0.25 * pulse);
+    const depth = 40;
+    const edges = [
+      [0, 0, 0, depth, 0, 0, W, depth], // top
+      [0, H, 0, H - depth, 0, H - depth, W, depth], // bottom
+      [0, 0, depth, 0, 0, 0, depth, H], // left
+      [W, 0, W - depth, 0, W - depth, 0, depth, H], // right
+    ];
+    for (const [x0, y0, x1, y1, rx, ry, rw, rh] of edges) {
+      const gradient = ctx.createLinearGradient(x0, y0, x1, y1);
+      gradient.addColorStop(0, rgba(this.palette.warning, strength));
+      gradient.addColorStop(1, rgba(this.palette.warning, 0));
+      ctx.fillStyle = gradient;
+      ctx.fillRect(rx, ry, rw, rh);
+    }
+  }
+
+  // Diagonal stripes along the top and bottom edges while a surge is on: the
+  // surge cue that doesn't rely on color
+  drawHazardStripes(W, H) {
+    const ctx = this.ctx;
+    const band = 8;
+    const stripe = 12;
+    ctx.save();
+    ctx.fillStyle = rgba(this.palette.warning, 0.7);
+    ctx.beginPath();
+    for (const y of [0, H - band]) {
+      ctx.rect(0, y, W, band);
+    }
+    ctx.clip();
+    ctx.beginPath();
+    for (let x = -band; x < W + band; x += stripe * 2) {
+      for (const y of [0, H - band]) {
+        ctx.moveTo(x, y + band);
+        ctx.lineTo(x + band, y);
+        ctx.lineTo(x + band + stripe, y);
+        ctx.lineTo(x + stripe, y + band);
+        ctx.closePath();
+      }
+    }
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // An achievement just unlocked, sliding down from the top edge and back
+  // (fading in and out with reduced motion)
+  drawToast(toast, ctx, W) {
+    const achievement = ACHIEVEMENTS[toast.id];
+    const shown = clamp(Math.min(toast.age, TOAST_TIME - toast.age) / TOAST_SLIDE, 0, 1);
+    const eased = shown * shown * (3 - 2 * shown); // smoothstep
+    const w = 300;
+    const h = 46;
+    const y = this.calm ? 64 : lerp(-h - 4, 64, eased);
+
+    ctx.globalAlpha = this.calm ? eased : 1;
+    ctx.fillStyle = "rgba(24, 18, 4, 0.9)";
+    ctx.fillRect(W / 2 - w / 2, y, w, h);
+    ctx.strokeStyle = "#ffcc00";
+    ctx.lineWidth = 2;
+    ctx.strokeRect(W / 2 - w / 2, y, w, h);
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#ffcc00";
+    ctx.font = 'bold 11px "Courier New", monospace';
+    ctx.fillText("\u2605 ACHIEVEMENT UNLOCKED \u2605", W / 2, y + 14);
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 16px "Courier New", monospace';
+    ctx.fillText(achievement.label, W / 2, y + 31);
+    ctx.globalAlpha = 1;
+  }
+
+  // Resume / Restart / Quit menu, or the 3-2-1 countdown after Resume
+  renderPauseMenu(game, ctx, W, H) {
+    const menu = game.pauseMenu;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    if (menu.countdown > 0) {
+      const pulse = menu.countdown % 1;
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.4 + pulse * 0.6})`;
+      ctx.font = `bold ${48 + pulse * 24}px "Courier New", monospace`;
+      ctx.fillText(String(Math.ceil(menu.countdown)), W / 2, H / 2);
+      return;
+    }
+
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, W, H);
+
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 36px "Courier New", monospace';
+    ctx.fillText("PAUSED", W / 2, H * 0.3);
+
+    game.pauseMenuItems().forEach((item, i) => {
+      const selected = i === menu.selected;
+      ctx.fillStyle = selected ? "#ffcc00" : "#aaa";
+      ctx.font = `${selected ? "bold " : ""}20px "Courier New", monospace`;
+      ctx.fillText(selected ? `\u25b6 ${item.label} \u25c0` : item.label, W / 2, game.pauseMenuItemY(i));
+    });
+
+    ctx.fillStyle = "#666";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.fillText(this.prompts(game).menu, W / 2, H * 0.8);
+  }
+
+  // Every achievement: a star and the date for unlocked ones, how far the
+  // rest have got
+  renderAchievements(game, ctx, W, H) {
+    const progress = game.achievements;
+    ctx.textBaseline = "middle";
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 32px "Courier New", monospace';
+    ctx.fillText("ACHIEVEMENTS", W / 2, H * 0.1);
+    const unlocked = ACHIEVEMENT_IDS.filter((id) => progress.unlocked[id]).length;
+    ctx.fillStyle = "#888";
+    ctx.font = '14px "Courier New", monospace';
+    ctx.fillText(
+      `${unlocked} of ${ACHIEVEMENT_IDS.length} unlocked \u00b7 ${progress.runs} runs played`,
+      W / 2,
+      H * 0.16,
+    );
+
+    ACHIEVEMENT_IDS.forEach((id, i) => {
+      const achievement = ACHIEVEMENTS[id];
+      const date = progress.unlocked[id];
+      const y = H * 0.22 + i * 43;
+
+      ctx.textAlign = "left";
+      ctx.fillStyle = date ? "#ffcc00" : "#555";
+      ctx.font = 'bold 20px "Courier New", monospace';
+      ctx.fillText(date ? "\u2605" : "\u2606", W * 0.08, y + 8);
+      ctx.fillStyle = date ? "#fff" : "#aaa";
+      ctx.font = 'bold 16px "Courier New", monospace';
+      ctx.fillText(achievement.label, W * 0.15, y);
+      ctx.fillStyle = date ? "#aaa" : "#666";
+      ctx.font = '12px "Courier New", monospace';
+      ctx.fillText(achievement.description, W * 0.15, y + 17);
+
+      ctx.textAlign = "right";
+      if (date) {
+        ctx.fillStyle = "#888";
+        ctx.fillText(date.slice(0, 10), W * 0.92, y + 8);
+        return;
+      }
+      const value = Math.min(AchievementStore.value(progress, id), achievement.goal);
+      const barW = 90;
+      ctx.fillText(`${Math.floor(value)}/${achievement.goal}`, W * 0.92, y + 2);
+      ctx.fillStyle = "rgba(255, 255, 255, 0.15)";
+      ctx.fillRect(W * 0.92 - barW, y + 14, barW, 4);
+      ctx.fillStyle = "#ffcc00";
+      ctx.fillRect(W * 0.92 - barW, y + 14, (barW * value) / achievement.goal, 4);
+    });
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#666";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.fillText(`${this.prompts(game).confirm} to go back`, W / 2, H * 0.95);
+  }
+
+  // Totals and averages of the runs kept, then a histogram of how long they
+  // lasted, the trend of the last few, where they ended and what hit
+  renderStats(game, ctx, W, H) {
+    const filter = game.statsView.filter;
+    const runs = game.statsRuns();
+    ctx.textBaseline = "middle";
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 32px "Courier New", monospace';
+    ctx.fillText("STATS", W / 2, H * 0.07);
+    ctx.font = 'bold 16px "Courier New", monospace';
+    const label = filter === "all" ? "All modes" : GAME_MODES[filter].label;
+    ctx.fillText(`\u25c0  ${label.toUpperCase()}  \u25b6`, W / 2, H * 0.13);
+
+    ctx.fillStyle = "#666";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.fillText(`\u2190\u2192 mode   ${this.prompts(game).confirm} to go back`, W / 2, H * 0.96);
+
+    if (runs.length === 0) {
+      ctx.fillStyle = "#888";
+      ctx.font = '14px "Courier New", monospace';
+      ctx.fillText("No runs yet. Play one and it shows up here.", W / 2, H / 2);
+      return;
+    }
+
+    // Totals and per-run averages
+    const { totals, averages, deaths } = Stats.summary(runs);
+    const rows = [
+      ["Time survived", formatDuration(totals.time), `${averages.time.toFixed(1)}s`],
+      ["Surges survived", String(totals.surges), averages.surges.toFixed(1)],
+      ["Time in surges", formatDuration(totals.surgeTime), `${averages.surgeTime.toFixed(1)}s`],
+      ["Distance flown", formatDistance(totals.distance), formatDistance(averages.distance)],
+    ];
+    const top = H * 0.19;
+    ctx.font = 'bold 14px "Courier New", monospace';
+    ctx.fillStyle = "#fff";
+    ctx.textAlign = "left";
+    ctx.fillText(`${runs.length} run${runs.length === 1 ? "" : "s"}`, W * 0.1, top);
+    ctx.fillStyle = "#666";
+    ctx.textAlign = "right";
+    ctx.fillText("Total", W * 0.68, top);
+    ctx.fillText("Per run", W * 0.9, top);
+    ctx.font = '14px "Courier New", monospace';
+    rows.forEach(([name, total, average], i) => {
+      const y = top + 20 + i * 18;
+      ctx.textAlign = "left";
+      ctx.fillStyle = "#aaa";
+      ctx.fillText(name, W * 0.1, y);
+      ctx.textAlign = "right";
+      ctx.fillStyle = "#ddd";
+      ctx.fillText(total, W * 0.68, y);
+      ctx.fillText(average, W * 0.9, y);
+    });
+
+    const times = runs.map((run) => run.time);
+    this.drawHistogram(Stats.histogram(times), { x: 40, y: 240, w: 240, h: 110 });
+    this.drawTrend(times, Stats.rollingAverage(times, STATS_TREND_WINDOW), { x: 330, y: 240, w: 230, h: 110 });
+    this.drawHeatmap(Stats.heatmap(runs, 12, 12), 12, 12, { x: 40, y: 400, w: 140, h: 140 });
+    this.drawDeaths(deaths, runs.length, W * 0.4, 400);
+  }
+
+  // A chart's heading, above its top left corner
+  drawChartTitle(text, area) {
+    const ctx = this.ctx;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "bottom";
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 13px "Courier New", monospace';
+    ctx.fillText(text, area.x, area.y - 8);
+  }
+
+  // Runs per survival-time bin, with the axis running from 0 to the last bin's end
+  drawHistogram({ size, counts }, area) {
+    const ctx = this.ctx;
+    this.drawChartTitle("Survival time", area);
+    const most = Math.max(...counts);
+    const barW = area.w / counts.length;
+    ctx.fillStyle = "#66ddff";
+    counts.forEach((count, i) => {
+      const h = (count / most) * area.h;
+      ctx.fillRect(area.x + i * barW + 1, area.y + area.h - h, barW - 2, h);
+    });
+
+    ctx.strokeStyle = "#555";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(area.x, area.y + area.h + 0.5);
+    ctx.lineTo(area.x + area.w, area.y + area.h + 0.5);
+    ctx.stroke();
+
+    ctx.fillStyle = "#888";
+    ctx.font = '11px "Courier New", monospace';
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.fillText("0s", area.x, area.y + area.h + 4);
+    ctx.textAlign = "right";
+    ctx.fillText(`${counts.length * size}s`, area.x + area.w, area.y + area.h + 4);
+    ctx.textAlign = "center";
+    ctx.fillText(`most: ${most} run${most === 1 ? "" : "s"}`, area.x + area.w / 2, area.y + area.h + 4);
+  }
+
+  // Every run's survival time as a dot, oldest to newest, under the line of
+  // their rolling average
+  drawTrend(times, averages, area) {
+    const ctx = this.ctx;
+    this.drawChartTitle(`Survival, ${STATS_TREND_WINDOW}-run average`, area);
+    const top = Math.max(...times) || 1;
+    const x = (i) => area.x + (times.length > 1 ? (i / (times.length - 1)) * area.w : area.w / 2);
+    const y = (time) => area.y + area.h - (time / top) * area.h;
+
+    ctx.fillStyle = "rgba(170, 170, 170, 0.35)";
+    times.forEach((time, i) => ctx.fillRect(x(i) - 1, y(time) - 1, 2, 2));
+
+    ctx.strokeStyle = "#ffcc00";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    averages.forEach((average, i) => (i === 0 ? ctx.moveTo(x(i), y(average)) : ctx.lineTo(x(i), y(average))));
+    ctx.stroke();
+
+    ctx.strokeStyle = "#555";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(area.x + 0.5, area.y + 0.5, area.w, area.h);
+
+    ctx.fillStyle = "#888";
+    ctx.font = '11px "Courier New", monospace';
+    ctx.textBaseline = "top";
+    ctx.textAlign = "left";
+    ctx.fillText(`${top.toFixed(0)}s`, area.x + 3, area.y + 3);
+    ctx.fillText("oldest", area.x, area.y + area.h + 4);
+    ctx.textAlign = "right";
+    const last = averages[averages.length - 1];
+    ctx.fillText(`latest: ${last.toFixed(1)}s`, area.x + area.w, area.y + area.h + 4);
+  }
+
+  // The arena in miniature, each cell as hot as the share of runs that
+  // ended there
+  drawHeatmap(cells, cols, rows, area) {
+    const ctx = this.ctx;
+    this.drawChartTitle("Where runs ended", area);
+    ctx.fillStyle = "#000";
+    ctx.fillRect(area.x, area.y, area.w, area.h);
+    const most = Math.max(...cells);
+    const cw = area.w / cols;
+    const ch = area.h / rows;
+    cells.forEach((count, i) => {
+      if (count === 0) return;
+      ctx.fillStyle = rgba(this.palette.warning, 0.2 + (0.8 * count) / most);
+      ctx.fillRect(area.x + (i % cols) * cw, area.y + Math.floor(i / cols) * ch, cw, ch);
+    });
+    ctx.strokeStyle = "#555";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(area.x + 0.5, area.y + 0.5, area.w, area.h);
+  }
+
+  // What ended the runs that ended on a hit, most often first
+  drawDeaths(deaths, runs, x, y) {
+    const ctx = this.ctx;
+    this.drawChartTitle("What hit you", { x, y });
+    const total = Object.values(deaths).reduce((sum, n) => sum + n, 0);
+    ctx.textBaseline = "top";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#888";
+    ctx.fillText(`${total} of ${runs} runs ended on a hit`, x, y);
+
+    const rocks = Object.keys(deaths).sort((a, b) => deaths[b] - deaths[a]);
+    rocks.forEach((rock, i) => {
+      const row = y + 24 + i * 20;
+      const type = ASTEROID_TYPES[rock];
+      ctx.fillStyle = type ? rgba(type.fill, 1) : "#aaa";
+      ctx.fillRect(x, row + 2, (deaths[rock] / total) * 120, 10);
+      ctx.fillStyle = "#ddd";
+      ctx.fillText(`${type ? type.label : rock}  ${deaths[rock]}`, x + 130, row);
+    });
+  }
+
+  renderSettings(game, ctx, W, H) {
+    const menu = game.settingsMenu;
+    const settings = game.settings;
+    ctx.textBaseline = "middle";
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 32px "Courier New", monospace';
+    ctx.fillText("SETTINGS", W / 2, H * 0.1);
+
+    const percent = (level) => `\u25c0 ${Math.round(level * 100)}% \u25b6`;
+    const values = {
+      volume: percent(settings.volume),
+      sfxVolume: percent(settings.sfxVolume),
+      musicVolume: percent(settings.musicVolume),
+      sound: !settings.sound ? "Off" : settings.muted ? "Muted" : "On",
+      screenShake: settings.screenShake ? "On" : "Off",
+      ghost: settings.ghost ? "On" : "Off",
+      palette: `\u25c0 ${PALETTES[settings.palette].label} \u25b6`,
+      reducedMotion: `\u25c0 ${this.motionLabel(game)} \u25b6`,
+      highContrast: settings.highContrast ? "On" : "Off",
+      difficulty: `\u25c0 ${DIFFICULTY_PRESETS[game.difficulty].label} \u25b6`,
+    };
+    const labels = {
+      volume: "Master volume",
+      sfxVolume: "Effects volume",
+      musicVolume: "Music volume",
+      sound: "Sound",
+      screenShake: "Screen shake",
+      ghost: "Ghost",
+      palette: "Colors",
+      reducedMotion: "Reduced motion",
+      highContrast: "High contrast",
+      difficulty: "Difficulty",
+    };
+    game.settingsRows().forEach((row, i) => {
+      const y = game.settingsRowY(i);
+      const selected = i === menu.selected;
+      ctx.font = `${selected ? "bold " : ""}16px "Courier New", monospace`;
+      ctx.fillStyle = selected ? "#ffcc00" : "#aaa";
+
+      const actions = {
+        exportScores: "Export score history",
+        importScores: "Import score history",
+        defaults: "Restore defaults",
+        back: "Back",
+      };
+      if (actions[row.id]) {
+        ctx.textAlign = "center";
+        ctx.fillText(actions[row.id], W / 2, y + 8);
+        return;
+      }
+      ctx.textAlign = "left";
+      ctx.fillText(row.id === "binding" ? BINDABLE_ACTIONS[row.action] : labels[row.id], W * 0.12, y);
+
+      if (row.id !== "binding") {
+        ctx.textAlign = "center";
+        ctx.fillText(values[row.id], W * 0.72, y);
+        return;
+      }
+      // Two key slots; the chosen one is boxed on the selected row
+      settings.bindings[row.action].forEach((key, slot) => {
+        const x = W * (slot === 0 ? 0.62 : 0.82);
+        const active = selected && slot === menu.slot;
+        const text = active && menu.capturing ? "press a key" : Settings.keyName(key);
+        ctx.textAlign = "center";
+        ctx.fillStyle = active ? "#ffcc00" : key === null ? "#555" : "#ddd";
+        ctx.fillText(text, x, y);
+        if (active) {
+          ctx.strokeStyle = "#ffcc00";
+          ctx.lineWidth = 1;
+          ctx.strokeRect(x - 52, y - 12, 104, 24);
+        }
+      });
+    });
+
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#666";
+    ctx.font = '13px "Courier New", monospace';
+    const hint = menu.capturing
+      ? "Press the new key   ESC cancel"
+      : "\u2191\u2193 choose  \u2190\u2192 change  ENTER rebind  BKSP clear  ESC back";
+    ctx.fillText(hint, W / 2, H * 0.95);
+  }
+
+  // "Auto" says what the system asks for
+  motionLabel(game) {
+    const choice = game.settings.reducedMotion;
+    if (choice !== "auto") return choice === "on" ? "On" : "Off";
+    return `Auto (${game.reducedMotion ? "on" : "off"})`;
+  }
+
+  renderGameOver(game, ctx, W, H) {
+    // Dim overlay
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(0, 0, W, H);
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    const sim = game.sim;
+    if (sim.rules.versus) {
+      this.renderVersusResult(game, ctx, W, H);
+      return;
+    }
+
+    // GAME OVER (or the way a timed / endless run finished)
+    const headings = { hit: "GAME OVER", time: "TIME UP", quit: "RUN COMPLETE" };
+    ctx.fillStyle = sim.endReason === "hit" ? "#ff4444" : "#7ab8ff";
+    ctx.font = 'bold 40px "Courier New", monospace';
+    ctx.fillText(headings[sim.endReason], W / 2, H * 0.2);
+
+    // Score
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 28px "Courier New", monospace';
+    ctx.fillText(sim.rules.formatScore(game.finalScore), W / 2, H * 0.3);
+
+    // New best? Runs on custom patterns don't count
+    if (!game.ranked) {
+      ctx.fillStyle = "#c8a0ff";
+      ctx.font = 'bold 16px "Courier New", monospace';
+      ctx.fillText(`UNRANKED \u00b7 ${sim.patterns.name.toUpperCase()}`, W / 2, H * 0.36);
+    } else if (game.scoreRank === 0) {
+      ctx.fillStyle = "#ffcc00";
+      ctx.font = 'bold 18px "Courier New", monospace';
+      ctx.fillText("NEW BEST!", W / 2, H * 0.36);
+    }
+
+    // The mode's summary
+    ctx.fillStyle = "#aaa";
+    ctx.font = '14px "Courier New", monospace';
+    ctx.fillText(sim.rules.summary(sim).join("   "), W / 2, H * 0.4);
+
+    // Seed, so the run can be shared
+    ctx.fillStyle = "#666";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.fillText(`Seed: ${sim.seed}   Surges survived: ${sim.surgesSurvived}`, W / 2, H * 0.435);
+
+    // Top scores: this browser's, or the global board's when a leaderboard
+    // server is configured and that tab is picked
+    const board = `${sim.rules.label} \u00b7 ${DIFFICULTY_PRESETS[sim.difficulty].label}`.toUpperCase();
+    const global = game.leaderboard && game.scoreTab === "global";
+    const tabs = global ? " LOCAL  [GLOBAL]" : "[LOCAL]  GLOBAL ";
+    ctx.fillStyle = "#888";
+    ctx.font = '16px "Courier New", monospace';
+    ctx.fillText(`— ${game.leaderboard ? tabs : "TOP SCORES"} (${board}) —`, W / 2, H * 0.475);
+
+    ctx.font = '15px "Courier New", monospace';
+    const entry = game.nameEntry;
+    if (global) {
+      this.drawGlobalScores(game, ctx, W, H);
+    } else {
+      (game.topScores || []).forEach((record, i) => {
+        const current = i === game.scoreRank;
+        const cursor = game.globalTime % 1 < 0.5 ? "_" : " ";
+        this.drawScoreRow(
+          sim,
+          ctx,
+          W / 2,
+          H * 0.525 + i * 21,
+          i + 1,
+          record,
+          current,
+          current && entry && entry.text + cursor,
+        );
+      });
+    }
+
+    // Name entry, then the restart prompt
+    if (game.gameOverReady && entry) {
+      const typing = game.input.device === "keyboard";
+      ctx.fillStyle = "#ffcc00";
+      ctx.font = 'bold 18px "Courier New", monospace';
+      ctx.fillText(typing ? "You made the board! Type your name" : "You made the board!", W / 2, H * 0.87);
+      ctx.fillStyle = "#777";
+      ctx.font = '13px "Courier New", monospace';
+      ctx.fillText(typing ? "ENTER save   ESC skip" : `${this.prompts(game).confirm} to continue`, W / 2, H * 0.92);
+    } else if (game.gameOverReady) {
+      const pulse = 0.5 + 0.5 * Math.sin(game.globalTime * 3);
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.4 + pulse * 0.6})`;
+      ctx.font = 'bold 18px "Courier New", monospace';
+      ctx.fillText(`${this.prompts(game).confirm} to retry`, W / 2, H * 0.92);
+
+      ctx.fillStyle = "#777";
+      ctx.font = '13px "Courier New", monospace';
+      const tab = game.leaderboard ? "   TAB: local/global" : "";
+      ctx.fillText(`R: watch replay   E: export replay   G: export ghost${tab}`, W / 2, H * 0.87);
+    }
+  }
+
+  // Versus has no score board: who outlasted whom, and the tally of rounds
+  // since the mode was picked
+  renderVersusResult(game, ctx, W, H) {
+    const sim = game.sim;
+    const winner = sim.winner === null ? null : PLAYER_STYLES[sim.winner];
+    ctx.fillStyle = winner ? winner.color : "#aaa";
+    ctx.font = 'bold 40px "Courier New", monospace';
+    const heading = sim.endReason === "hit" ? "DRAW" : "NO CONTEST";
+    ctx.fillText(winner ? `${winner.name} WINS` : heading, W / 2, H * 0.2);
+
+    ctx.fillStyle = "#fff";
+    ctx.font = 'bold 28px "Courier New", monospace';
+    ctx.fillText(sim.rules.formatScore(game.finalScore), W / 2, H * 0.3);
+
+    ctx.fillStyle = "#aaa";
+    ctx.font = '14px "Courier New", monospace';
+    ctx.fillText(sim.rules.summary(sim).join("   "), W / 2, H * 0.4);
+    ctx.fillStyle = "#666";
+    ctx.font = '13px "Courier New", monospace';
+    ctx.fillText(`Seed: ${sim.seed}`, W / 2, H * 0.435);
+
+    ctx.font = 'bold 22px "Courier New", monospace';
+    PLAYER_STYLES.forEach((style, i) => {
+      ctx.fillStyle = style.color;
+      ctx.fillText(`${style.name}  ${game.versusWins[i]}`, W / 2 + (i === 0 ? -70 : 70), H * 0.55);
+    });
+
+    if (game.gameOverReady) {
+      const pulse = 0.5 + 0.5 * Math.sin(game.globalTime * 3);
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.4 + pulse * 0.6})`;
+      ctx.font = 'bold 18px "Courier New", monospace';
+      ctx.fillText(`${this.prompts(game).confirm} to continue`, W / 2, H * 0.92);
+      ctx.fillStyle = "#777";
+      ctx.font = '13px "Courier New", monospace';
+      ctx.fillText("R: watch replay   E: export replay   I: import replay", W / 2, H * 0.87);
+    }
+  }
+
+  // Rank, score, name and date; the player's own run is highlighted.
+  // typing: the name as it is being entered, if it is
+  drawScoreRow(sim, ctx, x, y, rank, record, current, typing) {
+    const name = typing || record.name || "\u2014";
+    const date = record.date ? record.date.slice(0, 10) : "";
+    ctx.fillStyle = current ? "#ffcc00" : "#aaa";
+    ctx.fillText(
+      `${rank.toString().padStart(2, " ")}. ${sim.rules.formatScore(record.score).padEnd(15)} ${name.padEnd(13)} ${date.padEnd(10)}`,
+      x,
+      y,
+    );
+  }
+
+  // The last run's standings on the global board, or where its submission got to
+  drawGlobalScores(game, ctx, W, H) {
+    const view = game.globalBoard;
+    if (!view || view.status !== "ready") {
+      const messages = {
+        sending: "Sending\u2026",
+        queued: "Offline \u2014 your run will be sent when you're back",
+        rejected: "The leaderboard server turned this run down",
+        unavailable: "Couldn't load the leaderboard",
+      };
+      const waiting = game.nameEntry ? "Sign your run to send it" : "Nothing to send for this run";
+      ctx.fillStyle = "#888";
+      ctx.fillText(view ? messages[view.status] : waiting, W / 2, H * 0.525);
+      return;
+    }
+    view.rows.forEach((row, i) => {
+      const y = H * 0.525 + i * 21;
+      if (row) {
+        this.drawScoreRow(game.sim, ctx, W / 2, y, row.rank, row, row.id === view.id);
+      } else {
+        ctx.fillStyle = "#666";
+        ctx.fillText("\u22ee", W / 2, y);
+      }
+    });
+  }
+
+  renderReplayHUD(game, ctx, W, H) {
+    const pb = game.playback;
+
+    // Mode HUD + replay label
+    this.drawModeHUD(game.sim, ctx);
+
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#7ab8ff";
+    ctx.font = 'bold 16px "Courier New", monospace';
+    ctx.fillText(`REPLAY  ${pb.speed}x${pb.playing ? "" : "  PAUSED"}`, W - 15, 17);
+
+    // Verification result
+    const v = pb.verification;
+    const format = GAME_MODES[pb.replay.mode].formatScore;
+    ctx.font = '13px "Courier New", monospace';
+    if (v.verified) {
+      ctx.fillStyle = "#66dd88";
+      ctx.fillText(`VERIFIED ${format(pb.replay.score)}`, W - 15, 40);
+    } else {
+      ctx.fillStyle = "#ff6655";
+      ctx.fillText(`MISMATCH: claims ${format(pb.replay.score)}, sim ${format(v.score)}`, W - 15, 40);
+    }
+    if (!pb.configMatches) {
+      ctx.fillStyle = "#ffaa44";
+      ctx.fillText("recorded with a custom CONFIG", W - 15, 58);
+    }
+    if (pb.replay.patterns) {
+      ctx.fillStyle = "#c8a0ff";
+      ctx.fillText(`patterns: ${pb.replay.patterns.name}`, W - 15, pb.configMatches ? 58 : 76);
+    }
+
+    this.drawSurgeIndicator(game.sim, game.globalTime, ctx, W);
+    this.drawPatternLabel(game.sim, ctx, W);
+    this.drawComboMeter(game.sim, ctx);
+
+    // Progress bar
+    const bar = game.replayBarRect();
+    this.drawActivePowerUps(game.sim, ctx, bar.y - 30);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.fillRect(bar.x, bar.y, bar.w, bar.h);
+    ctx.fillStyle = "#7ab8ff";
+    ctx.fillRect(bar.x, bar.y, (bar.w * pb.frame) / pb.replay.frames.length, bar.h);
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "#666";
+    ctx.font = '12px "Courier New", monospace';
+    const { seed, mode, difficulty } = pb.replay;
+    ctx.fillText(
+      `Seed: ${seed}   ${GAME_MODES[mode].label} \u00b7 ${DIFFICULTY_PRESETS[difficulty].label}`,
+      W / 2,
+      bar.y - 20,
+    );
+    ctx.fillText("SPACE play/pause   \u2190\u2192 seek   \u2191\u2193 speed   ESC back", W / 2, bar.y + 16);
+  }
+
+  // alpha: how far between the previous and current tick to draw (0..1)
+  drawShip(ship, alpha, flash = false, style = PLAYER_STYLES[0]) {
+    const ctx = this.ctx;
+    const s = ship.size;
+    const x = lerp(ship.prevX, ship.x, alpha);
+    const y = lerp(ship.prevY, ship.y, alpha);
+
+    // Outer glow
+    ctx.fillStyle = style.glow;
+    ctx.beginPath();
+    ctx.arc(x, y, s * 1.6, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Ship body (circle)
+    ctx.fillStyle = flash ? "#ff7766" : style.fill;
+    ctx.strokeStyle = flash ? "#ff3322" : style.color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, y, s, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // Inner highlight
+    ctx.fillStyle = style.highlight;
+    ctx.beginPath();
+    ctx.arc(x - s * 0.25, y - s * 0.25, s * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // The ghost's ship, translucent, with a trail fading out behind it; once
+  // its run is over, an X where it went down (if it did)
+  drawGhost(ghost, alpha) {
+    const ctx = this.ctx;
+    const trail = ghost.trail;
+    ctx.save();
+    ctx.strokeStyle = GHOST_STYLE.color;
+    ctx.lineWidth = 2;
+    for (let i = 1; i < trail.length; i++) {
+      ctx.globalAlpha = (0.3 * i) / trail.length;
+      ctx.beginPath();
+      ctx.moveTo(trail[i - 1].x, trail[i - 1].y);
+      ctx.lineTo(trail[i].x, trail[i].y);
+      ctx.stroke();
+    }
+    const { x, y } = ghost.ship;
+    if (!ghost.finished) {
+      ctx.globalAlpha = 0.35;
+      this.drawShip(ghost.ship, alpha, false, GHOST_STYLE);
+    } else if (ghost.data.endReason === "hit") {
+      const r = 6;
+      ctx.globalAlpha = 0.6;
+      ctx.beginPath();
+      ctx.moveTo(x - r, y - r);
+      ctx.lineTo(x + r, y + r);
+      ctx.moveTo(x + r, y - r);
+      ctx.lineTo(x - r, y + r);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // A dashed outline where a ship went down; in co-op, with a pulsing ring
+  // showing how close its partner has to come to bring it back
+  drawWreck(ship, style, revivable, time) {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([3, 4]);
+    ctx.beginPath();
+    ctx.arc(ship.x, ship.y, ship.size, 0, Math.PI * 2);
+    ctx.stroke();
+    if (revivable) {
+      ctx.globalAlpha = 0.25 + 0.2 * Math.sin(time * 5);
+      ctx.beginPath();
+      ctx.arc(ship.x, ship.y, ship.size + CONFIG.reviveDistance + CONFIG.shipSize, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Two bars in a box, bottom-right, for touch players to pause with
+  drawPauseButton(rect) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+    ctx.fillStyle = "rgba(255, 255, 255, 0.5)";
+    ctx.fillRect(rect.x + rect.w * 0.3, rect.y + rect.h * 0.25, rect.w * 0.14, rect.h * 0.5);
+    ctx.fillRect(rect.x + rect.w * 0.56, rect.y + rect.h * 0.25, rect.w * 0.14, rect.h * 0.5);
+  }
+
+  // Frame rate, frame and work times (smoothed) and entity counts, for
+  // stress testing (the ` key, or ?perf)
+  drawPerf(game, ctx, W) {
+    const perf = game.perf;
+    const rocks = game.sim ? game.sim.asteroids.length : 0;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(W / 2 - 200, 48, 400, 18);
+    ctx.fillStyle = perf.fps >= 55 ? "#66dd88" : "#ff8866";
+    ctx.font = '12px "Courier New", monospace';
+    ctx.fillText(
+      `${perf.fps.toFixed(0)} fps  frame ${perf.frameMs.toFixed(1)}ms  work ${perf.workMs.toFixed(1)}ms  ` +
+        `rocks ${rocks}  particles ${game.particles.length}`,
+      W / 2,
+      51,
+    );
+  }
+
+  // Four corner brackets: pointing out to go fullscreen, in to leave it
+  drawFullscreenButton(rect, fullscreen) {
+    const ctx = this.ctx;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+
+    const cx = rect.x + rect.w / 2;
+    const cy = rect.y + rect.h / 2;
+    const reach = rect.w * 0.28;
+    const arm = rect.w * 0.14;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const [sx, sy] of [
+      [-1, -1],
+      [1, -1],
+      [1, 1],
+      [-1, 1],
+    ]) {
+      const x = cx + sx * reach;
+      const y = cy + sy * reach;
+      ctx.moveTo(x - sx * arm, y);
+      ctx.lineTo(fullscreen ? x - sx * arm : x, fullscreen ? y - sy * arm : y);
+      ctx.lineTo(x, y - sy * arm);
+    }
+    ctx.stroke();
+  }
+
+  // Touch joystick: its base where the finger went down, the knob under the
+  // finger (held to the base's rim)
+  drawJoystick(touch) {
+    const ctx = this.ctx;
+    const { origin, current } = touch;
+    const dx = current.x - origin.x;
+    const dy = current.y - origin.y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    const reach = Math.min(1, JOYSTICK_RADIUS / (len || 1));
+
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.25)";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(origin.x, origin.y, JOYSTICK_RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.3)";
+    ctx.beginPath();
+    ctx.arc(origin.x + dx * reach, origin.y + dy * reach, 18, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // A pulsing ring around the ship while the shield is up (steady with
+  // reduced motion)
+  drawShield(ship, alpha, time) {
+    const ctx = this.ctx;
+    const x = lerp(ship.prevX, ship.x, alpha);
+    const y = lerp(ship.prevY, ship.y, alpha);
+    ctx.strokeStyle = PICKUP_TYPES.shield.color;
+    ctx.globalAlpha = this.calm ? 0.75 : 0.6 + 0.3 * Math.sin(time * 6);
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, y, ship.size + 5, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+  }
+
+  // Bobbing token with its kind's symbol; blinks through its last 1.5s
+  drawPickup(pickup, tick, time) {
+    const ticksLeft = pickup.expireTick - tick;
+    const expiring = ticksLeft < 1.5 * TICK_RATE;
+    if (expiring && !this.calm && Math.floor(time * 8) % 2 === 0) return;
+
+    const ctx = this.ctx;
+    const type = PICKUP_TYPES[pickup.kind];
+    const r = pickup.size * (this.calm ? 1 : 1 + 0.12 * Math.sin(time * 5));
+    // With reduced motion an expiring pickup fades instead of blinking
+    const alpha = expiring && this.calm ? 0.5 : 1;
+
+    ctx.fillStyle = type.color;
+    ctx.globalAlpha = 0.2 * alpha;
+    ctx.beginPath();
+    ctx.arc(pickup.x, pickup.y, r * 1.8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = alpha;
+
+    ctx.strokeStyle = type.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(pickup.x, pickup.y, r, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = 'bold 10px "Courier New", monospace';
+    ctx.fillText(type.symbol, pickup.x, pickup.y + 1);
+    ctx.globalAlpha = 1;
+  }
+
+  // Occupied spatial hash cells, every rock's true outline (yellow if it got
+  // the exact test this tick) and the ship's collision circle
+  drawHitboxes(sim) {
+    const ctx = this.ctx;
+    const size = sim.hash.cellSize;
+    ctx.lineWidth = 1;
+
+    ctx.strokeStyle = "rgba(80, 140, 255, 0.35)";
+    sim.hash.forEachCell((cx, cy) => ctx.strokeRect(cx * size, cy * size, size, size));
+
+    const candidates = new Set(sim.collisionCandidates);
+    for (const asteroid of sim.asteroids) {
+      const points = asteroidPolygon(asteroid, asteroid.x, asteroid.y, asteroid.rotation);
+      ctx.strokeStyle = candidates.has(asteroid) ? "#ffee33" : "#33ff77";
+      ctx.beginPath();
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.stroke();
+    }
+
+    if (!sim.over) {
+      ctx.strokeStyle = "#33eeff";
+      for (const ship of sim.liveShips) {
+        ctx.beginPath();
+        ctx.arc(ship.x, ship.y, ship.size, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+
+    ctx.fillStyle = "rgba(120, 200, 255, 0.8)";
+    ctx.font = '11px "Courier New", monospace';
+    ctx.textAlign = "right";
+    ctx.textBaseline = "bottom";
+    ctx.fillText(
+      `hitboxes (H)  rocks ${sim.asteroids.length}  tested ${candidates.size}`,
+      CONFIG.canvasWidth - 8,
+      CONFIG.canvasHeight - 4,
+    );
+  }
+
+  // Rocks sharing a color go into one path, filled and stroked once, with
+  // each polygon placed and rotated by hand instead of through the context
+  drawAsteroids(asteroids, fill, stroke, alpha, dashed = false) {
+    if (asteroids.length === 0) return;
+    const ctx = this.ctx;
+    ctx.fillStyle = fill;
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = this.contrast ? 2 : 1.5;
+    ctx.beginPath();
+    for (const asteroid of asteroids) {
+      const x = lerp(asteroid.prevX, asteroid.x, alpha);
+      const y = lerp(asteroid.prevY, asteroid.y, alpha);
+      const rotation = lerp(asteroid.prevRotation, asteroid.rotation, alpha);
+      for (let i = 0; i < asteroid.vertices.length; i++) {
+        const v = asteroid.vertices[i];
+        const px = x + Math.cos(v.angle + rotation) * v.r;
+        const py = y + Math.sin(v.angle + rotation) * v.r;
+        if (i === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+      }
+      ctx.closePath();
+    }
+    ctx.fill();
+    ctx.stroke();
+
+    // Surging rocks in the colorblind palettes and high contrast
+    if (dashed) {
+      ctx.strokeStyle = "#fff";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 3]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+
+  // A gravity well's reach: a faint disc with rings drifting inward
+  drawWellField(well, alpha, time) {
+    const ctx = this.ctx;
+    const x = lerp(well.prevX, well.x, alpha);
+    const y = lerp(well.prevY, well.y, alpha);
+    ctx.fillStyle = "rgba(120, 80, 255, 0.06)";
+    ctx.beginPath();
+    ctx.arc(x, y, CONFIG.wellRadius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(150, 100, 255, 0.25)";
+    ctx.lineWidth = 1;
+    for (let i = 0; i < 3; i++) {
+      const r = (1 - ((time * 0.5 + i / 3) % 1)) * CONFIG.wellRadius;
+      ctx.beginPath();
+      ctx.arc(x, y, Math.max(r, well.size), 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  // Particles batched by color and fade (in PARTICLE_FADE_STEPS steps), one
+  // fill per batch; anything else in the list (floating text) draws itself
+  drawParticles(particles) {
+    const ctx = this.ctx;
+    const batches = new Map();
+    for (const p of particles) {
+      if (!(p instanceof Particle)) {
+        p.draw(ctx);
+        continue;
+      }
+      if (p.life <= 0) continue;
+      const fade = Math.ceil(p.life * PARTICLE_FADE_STEPS);
+      const key = `${p.color}/${fade}`;
+      if (!batches.has(key)) batches.set(key, { color: p.color, fade, particles: [] });
+      batches.get(key).particles.push(p);
+    }
+    for (const batch of batches.values()) {
+      ctx.globalAlpha = batch.fade / PARTICLE_FADE_STEPS;
+      ctx.fillStyle = batch.color;
+      ctx.beginPath();
+      for (const p of batch.particles) {
+        ctx.moveTo(p.x + p.size * p.life, p.y);
+        ctx.arc(p.x, p.y, p.size * p.life, 0, Math.PI * 2);
+      }
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+  }
+}
@@ -0,0 +1,197 @@
+// ============================================================
+// ASTEROID DODGE — Replays (recording, file format, verification)
+// ============================================================
+// Depends on sim.js and patterns.js; DOM-free like them.
+//
+// A replay is the seed, difficulty, mode, the CONFIG in effect, the pattern
+// file if one was loaded and the (quantized) movement input of every fixed
+// tick, for every ship. Because all gameplay randomness comes from the seed,
+// feeding the same inputs back in reproduces the run exactly.
+
+const ReplayCodec = {
+  format: "asteroid-dodge-replay",
+  version: 3, // v1 recorded variable frame times, v2 only 4-bit key masks
+
+  // Distinct codes one movement vector packs into
+  get inputCodes() {
+    return (2 * INPUT_STEPS + 1) ** 2;
+  },
+
+  // A movement vector packed into one integer: each axis is quantized to
+  // -INPUT_STEPS..INPUT_STEPS, exactly as Simulation.step sees it. One
+  // vector per ship (two-player modes) packs into one integer too, the
+  // first ship's in the high digits.
+  packInput(inputs) {
+    if (Array.isArray(inputs)) return inputs.reduce((code, move) => code * this.inputCodes + this.packInput(move), 0);
+    const { x, y } = quantizeInput(inputs);
+    const span = 2 * INPUT_STEPS + 1;
+    return (x * INPUT_STEPS + INPUT_STEPS) * span + (y * INPUT_STEPS + INPUT_STEPS);
+  },
+
+  // players: ships the code holds input for; more than one unpacks to an
+  // array, one vector per ship
+  unpackInput(code, players = 1) {
+    if (players > 1) {
+      const moves = [];
+      for (let i = 0; i < players; i++) {
+        moves.unshift(this.unpackInput(code % this.inputCodes));
+        code = Math.floor(code / this.inputCodes);
+      }
+      return moves;
+    }
+    const span = 2 * INPUT_STEPS + 1;
+    return {
+      x: (Math.floor(code / span) - INPUT_STEPS) / INPUT_STEPS,
+      y: ((code % span) - INPUT_STEPS) / INPUT_STEPS,
+    };
+  },
+
+  // Run-length encode as a flat [value, count, value, count, ...] array
+  rle(values) {
+    const out = [];
+    for (const v of values) {
+      if (out.length > 0 && out[out.length - 2] === v) out[out.length - 1]++;
+      else out.push(v, 1);
+    }
+    return out;
+  },
+
+  unrle(pairs) {
+    const out = [];
+    for (let i = 0; i < pairs.length; i += 2) {
+      for (let j = 0; j < pairs[i + 1]; j++) out.push(pairs[i]);
+    }
+    return out;
+  },
+
+  encode(replay) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      seed: replay.seed,
+      difficulty: replay.difficulty,
+      mode: replay.mode,
+      score: replay.score,
+      date: replay.date,
+      config: replay.config,
+      patterns: replay.patterns,
+      tickRate: TICK_RATE,
+      simVersion: SIM_VERSION,
+      inputs: this.rle(replay.frames),
+    });
+  },
+
+  // Whether a recorded CONFIG value has the type and shape of the current
+  // one: finite numbers for numbers, arrays of the same length, and objects
+  // whose shared keys fit in turn
+  fitsConfig(value, current) {
+    if (typeof current === "number") return Number.isFinite(value);
+    if (Array.isArray(current)) {
+      return (
+        Array.isArray(value) && value.length === current.length && value.every((v, i) => this.fitsConfig(v, current[i]))
+      );
+    }
+    if (current && typeof current === "object") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+      return Object.keys(current).every((key) => !(key in value) || this.fitsConfig(value[key], current[key]));
+    }
+    return typeof value === typeof current;
+  },
+
+  // Throws on anything that isn't a well-formed replay file
+  decode(text) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== this.format) throw new Error("Not a replay file");
+    if (data.version !== this.version) throw new Error(`Unsupported replay version ${data.version}`);
+    if (!GAME_MODES[data.mode]) throw new Error(`Unknown mode "${data.mode}"`);
+    const maxCode = this.inputCodes ** (GAME_MODES[data.mode].players || 1);
+    const isIntPairs = (a) =>
+      Array.isArray(a) &&
+      a.length % 2 === 0 &&
+      a.every((n, i) => Number.isInteger(n) && n >= 0 && (i % 2 === 1 || n < maxCode));
+    if (typeof data.seed !== "string" || typeof data.score !== "number") throw new Error("Replay is missing its seed");
+    if (!DIFFICULTY_PRESETS[data.difficulty]) throw new Error(`Unknown difficulty "${data.difficulty}"`);
+    if (data.tickRate !== TICK_RATE) throw new Error(`Replay was recorded at ${data.tickRate} ticks/s`);
+    if ((data.simVersion || 1) !== SIM_VERSION) throw new Error("Replay is from a different version of the game");
+    if (!isIntPairs(data.inputs)) throw new Error("Replay input data is corrupt");
+
+    const frames = this.unrle(data.inputs);
+    if (frames.length === 0) throw new Error("Replay input data is corrupt");
+
+    const config = data.config && typeof data.config === "object" ? data.config : {};
+    for (const key of Object.keys(CONFIG)) {
+      if (key in config && !this.fitsConfig(config[key], CONFIG[key])) {
+        throw new Error(`Replay setting "${key}" is corrupt`);
+      }
+    }
+
+    return {
+      seed: data.seed,
+      difficulty: data.difficulty,
+      mode: data.mode,
+      score: data.score,
+      date: typeof data.date === "string" ? data.date : null,
+      config,
+      patterns: data.patterns ? PatternCodec.normalize(data.patterns) : null,
+      frames,
+    };
+  },
+};
+
+class ReplayRecorder {
+  // patterns: the run's pattern file, null for the built-in one
+  constructor(seed, difficulty = "normal", mode = "classic", patterns = null) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.mode = mode;
+    this.config = JSON.parse(JSON.stringify(CONFIG));
+    this.patterns = patterns;
+    this.frames = []; // one packed input per tick
+  }
+
+  record(code) {
+    this.frames.push(code);
+  }
+
+  finish(score) {
+    return {
+      seed: this.seed,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      score,
+      date: new Date().toISOString(),
+      config: this.config,
+      patterns: this.patterns,
+      frames: this.frames,
+    };
+  }
+}
+
+// Swap in a replay's CONFIG for as long as it's being simulated. Returns a
+// function that puts the current CONFIG back.
+function useReplayConfig(config) {
+  const saved = { ...CONFIG };
+  for (const key of Object.keys(CONFIG)) {
+    if (key in config) CONFIG[key] = config[key];
+  }
+  return () => Object.assign(CONFIG, saved);
+}
+
+// Re-simulates a replay from scratch and checks the ship dies on the last
+// recorded tick at exactly the claimed time.
+function verifyReplay(replay) {
+  const restoreConfig = useReplayConfig(replay.config);
+  try {
+    const sim = new Simulation(replay.seed, replay.difficulty, replay.mode, replay.patterns);
+    for (const code of replay.frames) {
+      if (sim.over) break;
+      sim.step(ReplayCodec.unpackInput(code, sim.ships.length));
+    }
+    // Endless runs stop where the player finished them
+    if (!sim.over && sim.rules.endless) sim.end("quit");
+    const verified = sim.over && sim.tick === replay.frames.length && sim.score === replay.score;
+    return { verified, score: sim.score };
+  } finally {
+    restoreConfig();
+  }
+}
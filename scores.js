@@ -0,0 +1,236 @@
+// ============================================================
+// ASTEROID DODGE — Score persistence
+// ============================================================
+// Depends on sim.js, difficulty.js and modes.js. Uses the global
+// localStorage, which Node tests supply as a stub.
+// ============================================================
+
+// Scores are kept on separate boards, one per mode and difficulty preset,
+// each a list of records, best first:
+//
+//   { id, score, time, date, name, mode, difficulty, seed, surges,
+//     nearMisses, graze, version }
+//
+// score is what the board ranks by (GAME_MODES[mode].score), time the
+// seconds survived, surges the surges survived, graze the points scored
+// grazing and version the GAME_VERSION that played it. Boards saved as bare
+// numbers, before records existed, are converted when first read; their
+// records only know score, mode and difficulty, with null for the rest.
+//
+// Modes scored in points (GAME_MODES[mode].grazing) ranked seconds survived
+// before grazing existed. Their stored or imported records without a
+// `graze` field are from then, and have their seconds converted to points.
+
+const ScoreManager = {
+  _key: "asteroidDodgeScores",
+  defaultBoard: "normal",
+  nameLength: 12,
+  historyFormat: "asteroid-dodge-scores",
+
+  // Board id for a mode + difficulty. Classic boards are just the difficulty
+  // id, as they were before modes existed.
+  board(mode, difficulty) {
+    return mode === "classic" ? difficulty : `${mode}.${difficulty}`;
+  },
+
+  parseBoard(board) {
+    const [mode, difficulty] = board.includes(".") ? board.split(".") : ["classic", board];
+    return { mode, difficulty };
+  },
+
+  // The default board keeps the original key, so scores saved before
+  // difficulty presets existed carry over as Classic / Normal
+  _boardKey(board) {
+    return board === this.defaultBoard ? this._key : `${this._key}.${board}`;
+  },
+
+  // A record of a finished run
+  record(sim, name = "") {
+    return {
+      id: this._newId(),
+      score: sim.score,
+      time: sim.elapsedTime,
+      date: new Date().toISOString(),
+      name: name.slice(0, this.nameLength),
+      mode: sim.mode,
+      difficulty: sim.difficulty,
+      seed: sim.seed,
+      surges: sim.surgesSurvived,
+      nearMisses: sim.nearMisses,
+      graze: sim.grazePoints,
+      version: GAME_VERSION,
+    };
+  },
+
+  _newId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  },
+
+  // A complete record from whatever was stored or imported (a bare number
+  // is an old-style score), or null if it isn't one. The board it is on
+  // decides its mode and difficulty.
+  _normalize(entry, board) {
+    if (typeof entry === "number") entry = { score: entry };
+    if (!entry || typeof entry !== "object" || !Number.isFinite(entry.score)) return null;
+    const text = (value) => (typeof value === "string" ? value : null);
+    const number = (value) => (Number.isFinite(value) ? value : null);
+    return {
+      id: text(entry.id) || this._newId(),
+      score: entry.score,
+      time: number(entry.time),
+      date: text(entry.date),
+      name: (text(entry.name) || "").slice(0, this.nameLength),
+      ...this.parseBoard(board),
+      seed: text(entry.seed),
+      surges: number(entry.surges),
+      nearMisses: number(entry.nearMisses),
+      graze: number(entry.graze),
+      version: text(entry.version),
+    };
+  },
+
+  // A stored or imported entry from before its board was scored in points,
+  // converted (a new object); anything else is returned as it is
+  _fromSeconds(entry, board) {
+    const rules = GAME_MODES[this.parseBoard(board).mode];
+    if (!rules || !rules.grazing) return entry;
+    if (typeof entry === "number") entry = { score: entry };
+    if (!entry || typeof entry !== "object" || !Number.isFinite(entry.score) || "graze" in entry) return entry;
+    return { ...entry, score: rules.fromSeconds(entry.score), graze: 0 };
+  },
+
+  _load(board) {
+    let raw;
+    try {
+      raw = JSON.parse(localStorage.getItem(this._boardKey(board)));
+    } catch {
+      return [];
+    }
+    if (!Array.isArray(raw)) return [];
+    const converted = raw.map((entry) => this._fromSeconds(entry, board));
+    const records = converted.map((entry) => this._normalize(entry, board)).filter(Boolean);
+    // Migrate for good
+    if (raw.some((entry, i) => typeof entry === "number" || converted[i] !== entry)) this._save(board, records);
+    return records;
+  },
+
+  _save(board, records) {
+    try {
+      localStorage.setItem(this._boardKey(board), JSON.stringify(records));
+    } catch {
+      /* silently fail if storage full */
+    }
+  },
+
+  getScores(board = this.defaultBoard) {
+    return this._load(board).sort((a, b) => b.score - a.score);
+  },
+
+  getBest(board = this.defaultBoard) {
+    const scores = this.getScores(board);
+    return scores.length > 0 ? scores[0].score : 0;
+  },
+
+  // Adds a record (or a bare score) to the board. Returns its place on the
+  // board (0 = best), or -1 if it didn't make the cut. Ties go to the
+  // earlier run.
+  addScore(entry, board = this.defaultBoard) {
+    const record = this._normalize(entry, board);
+    if (!record) return -1;
+    const scores = this.getScores(board);
+    scores.push(record);
+    scores.sort((a, b) => b.score - a.score);
+    const kept = scores.slice(0, CONFIG.maxScoresSaved);
+    this._save(board, kept);
+    return kept.indexOf(record);
+  },
+
+  // The player's name on a record already saved (entered after the run)
+  rename(board, id, name) {
+    const scores = this.getScores(board);
+    const record = scores.find((r) => r.id === id);
+    if (!record) return;
+    record.name = name.slice(0, this.nameLength);
+    this._save(board, scores);
+  },
+
+  // Ids of every board with something saved
+  boards() {
+    const boards = [];
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key === this._key) boards.push(this.defaultBoard);
+        else if (key.startsWith(`${this._key}.`)) boards.push(key.slice(this._key.length + 1));
+      }
+    } catch {
+      /* storage unavailable: no boards */
+    }
+    return boards;
+  },
+
+  // ---- History files ----
+
+  // Every board as one JSON file, to move scores to another browser
+  exportAll() {
+    const boards = {};
+    for (const board of this.boards()) boards[board] = this.getScores(board);
+    return JSON.stringify({
+      format: this.historyFormat,
+      version: 1,
+      gameVersion: GAME_VERSION,
+      exported: new Date().toISOString(),
+      boards,
+    });
+  },
+
+  // Merges an exported history into the boards here: records already
+  // present (same id) are skipped and each board is trimmed as usual.
+  // Returns how many imported records made it onto a board.
+  importAll(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error("Not a score history file");
+    }
+    if (!data || data.format !== this.historyFormat || !data.boards || typeof data.boards !== "object") {
+      throw new Error("Not a score history file");
+    }
+
+    let added = 0;
+    for (const [board, entries] of Object.entries(data.boards)) {
+      // Only ids the game itself would build: anything else would be a
+      // board no screen ever shows
+      const { mode, difficulty } = this.parseBoard(board);
+      if (!GAME_MODES[mode] || !DIFFICULTY_PRESETS[difficulty] || this.board(mode, difficulty) !== board) continue;
+      if (!Array.isArray(entries)) continue;
+
+      const scores = this.getScores(board);
+      const ids = new Set(scores.map((r) => r.id));
+      const incoming = entries
+        .map((entry) => this._normalize(this._fromSeconds(entry, board), board))
+        .filter((r) => r && !ids.has(r.id));
+      const kept = scores
+        .concat(incoming)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, CONFIG.maxScoresSaved);
+      added += incoming.filter((r) => kept.includes(r)).length;
+      this._save(board, kept);
+    }
+    return added;
+  },
+
+  // Wipes every board (the ?reset URL flag)
+  clearAll() {
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+      for (const key of keys) {
+        if (key === this._key || key.startsWith(`${this._key}.`)) localStorage.removeItem(key);
+      }
+    } catch {
+      /* storage unavailable: nothing to clear */
+    }
+  },
+};
@@ -0,0 +1,145 @@
+// ============================================================
+// ASTEROID DODGE — Player settings
+// ============================================================
+// Key bindings, sound, screen shake, racing ghosts, accessibility options,
+// the last difficulty played and the name signed on high scores, kept
+// in localStorage next to the scores. DOM-free.
+//
+// Keys are KeyboardEvent.key values, with single characters lowercased so
+// Shift or Caps Lock don't matter. Each action has two binding slots.
+// ============================================================
+
+const BINDABLE_ACTIONS = {
+  up: "Move up",
+  down: "Move down",
+  left: "Move left",
+  right: "Move right",
+  start: "Start / retry",
+  pause: "Pause",
+};
+
+// The 0..1 levels: master, sound effects, music
+const SETTINGS_VOLUMES = ["volume", "sfxVolume", "musicVolume"];
+
+// Settings picked from a list, cycled with ←/→ (palettes are in render.js)
+const SETTINGS_CHOICES = {
+  palette: ["standard", "redGreen", "blueYellow"],
+  reducedMotion: ["auto", "on", "off"], // auto: follow the system's prefers-reduced-motion
+};
+
+const SETTINGS_DEFAULTS = {
+  bindings: {
+    up: ["ArrowUp", "w"],
+    down: ["ArrowDown", "s"],
+    left: ["ArrowLeft", "a"],
+    right: ["ArrowRight", "d"],
+    start: ["Enter", " "],
+    pause: ["Escape", "p"],
+  },
+  volume: 0.8, // master volume, 0..1
+  sfxVolume: 0.8,
+  musicVolume: 0.5,
+  muted: false, // M; keeps the levels
+  sound: true, // off: no audio at all (see audio.js)
+  screenShake: true,
+  ghost: true, // race the best run's ghost (ghosts.js)
+  palette: "standard", // colors that carry meaning (SETTINGS_CHOICES)
+  reducedMotion: "auto", // no shake, twinkle or blinking, softer explosions
+  highContrast: false, // bolder rocks, brighter and larger HUD text
+  difficulty: "normal",
+  playerName: "", // signed on high scores
+};
+
+const Settings = {
+  _key: "asteroidDodgeSettings",
+
+  defaults() {
+    return JSON.parse(JSON.stringify(SETTINGS_DEFAULTS));
+  },
+
+  // Stored settings over the defaults; anything missing or invalid falls
+  // back to its default, so older saves keep working as settings are added
+  load() {
+    const settings = this.defaults();
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(this._key));
+    } catch {
+      stored = null;
+    }
+    if (!stored || typeof stored !== "object") return settings;
+
+    for (const action of Object.keys(BINDABLE_ACTIONS)) {
+      const keys = stored.bindings && stored.bindings[action];
+      if (Array.isArray(keys) && keys.length === 2 && keys.every((k) => k === null || typeof k === "string")) {
+        settings.bindings[action] = keys.map((k) => (k === null ? null : this.normalizeKey(k)));
+      }
+    }
+    for (const name of SETTINGS_VOLUMES) {
+      if (typeof stored[name] === "number") settings[name] = clamp(stored[name], 0, 1);
+    }
+    for (const name of ["muted", "sound", "screenShake", "ghost", "highContrast"]) {
+      if (typeof stored[name] === "boolean") settings[name] = stored[name];
+    }
+    for (const [name, choices] of Object.entries(SETTINGS_CHOICES)) {
+      if (choices.includes(stored[name])) settings[name] = stored[name];
+    }
+    if (DIFFICULTY_PRESETS[stored.difficulty]) settings.difficulty = stored.difficulty;
+    if (typeof stored.playerName === "string")
+      settings.playerName = stored.playerName.slice(0, ScoreManager.nameLength);
+    return settings;
+  },
+
+  save(settings) {
+    try {
+      localStorage.setItem(this._key, JSON.stringify(settings));
+    } catch {
+      /* silently fail if storage full */
+    }
+  },
+
+  normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  },
+
+  // How a key is written on screen
+  keyName(key) {
+    if (key === null) return "—";
+    const names = { " ": "Space", Escape: "Esc", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+  },
+
+  // The action a key is bound to, or null
+  actionFor(settings, key) {
+    const k = this.normalizeKey(key);
+    return Object.keys(BINDABLE_ACTIONS).find((action) => settings.bindings[action].includes(k)) || null;
+  },
+
+  // Whether a key press is the given hotkey (in either case). A key bound
+  // to an action only ever does that, so rebound controls never set off
+  // a menu hotkey
+  isHotkey(settings, key, hotkey) {
+    return this.normalizeKey(key) === hotkey && !this.actionFor(settings, key);
+  },
+
+  // Binds `key` to one of the action's two slots. A key can only do one
+  // thing: if another action already has it, nothing changes and that
+  // action is returned. Returns null on success.
+  rebind(settings, action, slot, key) {
+    const k = this.normalizeKey(key);
+    const owner = this.actionFor(settings, k);
+    if (owner && owner !== action) return owner;
+    const keys = settings.bindings[action];
+    if (keys[1 - slot] === k) keys[1 - slot] = null; // moving it between this action's slots
+    keys[slot] = k;
+    return null;
+  },
+
+  // Empties a slot; refused (false) if it would leave the action unbound
+  unbind(settings, action, slot) {
+    const keys = settings.bindings[action];
+    if (keys[1 - slot] === null) return false;
+    keys[slot] = null;
+    return true;
+  },
+};
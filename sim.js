@@ -0,0 +1,1019 @@
+// ============================================================
+// ASTEROID DODGE — Configuration & Simulation Core
+// ============================================================
+// Tweak any value in CONFIG to adjust difficulty and feel.
+// All speeds are in pixels per second. All times in milliseconds.
+//
+// Nothing in this file touches the DOM: the browser game (game.js) and Node
+// (headless.js) both drive the same Simulation through step(inputs, dt),
+// where inputs is a movement vector { x, y } from any device.
+// ============================================================
+
+const CONFIG = {
+  // --- Canvas ---
+  // The logical playfield, in the px everything else is measured in. The
+  // canvas is scaled to fit the window at this aspect ratio (letterboxed),
+  // so screen size never changes the game.
+  canvasWidth: 600,
+  canvasHeight: 600,
+
+  // --- Ship ---
+  shipSpeed: 200, // px/sec, instant response (no accel)
+  shipSize: 4, // collision radius & draw scale
+
+  // --- Asteroids ---
+  asteroidBaseSpeed: 155, // px/sec baseline
+  asteroidSpeedVariance: 90, // +/- random on top of base (high = chaotic)
+  asteroidMinSize: 4, // smallest asteroid radius
+  asteroidMaxSize: 14, // largest asteroid radius
+  asteroidSpawnInterval: 200, // ms between spawn batches
+  asteroidBatchSize: 3, // asteroids per spawn batch
+  asteroidAngleSpread: 1.3, // radians of aim randomness (high = unpredictable)
+  asteroidVertices: [5, 8], // min/max vertices for shape
+  asteroidRotationSpeed: 3, // max radians/sec spin
+
+  // --- Asteroid types (asteroids.js) ---
+  // Relative odds of each type: [at the start of a run, after asteroidTypeRampTime]
+  asteroidTypeWeights: {
+    rock: [1, 1],
+    splitter: [0.03, 0.08],
+    seeker: [0, 0.04],
+    giant: [0.005, 0.012],
+    well: [0, 0.003],
+  },
+  asteroidTypeRampTime: 120, // seconds for the odds to go from start to end
+  splitterSplitDistance: 150, // px from the centre where a splitter breaks up
+  splitterFragments: 3,
+  splitterFragmentScale: 0.5, // fragment size relative to the splitter
+  splitterFragmentSpread: 1.2, // radians the fragments fan out over
+  seekerTurnRate: 0.9, // max radians/sec a seeker turns toward the ship
+  seekerHomingTime: 4000, // ms a seeker homes before flying straight
+  wellRadius: 140, // px reach of a gravity well
+  wellPull: 260, // px/sec² pull on rocks at a well's centre, fading to 0 at wellRadius
+  wellShipPull: 70, // px/sec drift on the ship at a well's centre, fading likewise
+
+  // --- Speed Surges ---
+  surgeInterval: [4000, 7000], // ms between surges (random in range)
+  surgeDuration: [1500, 2500], // ms a surge lasts
+  surgeMultiplier: 1.5, // asteroid speed multiplier during surge
+  surgeWarningTime: 1500, // ms of on-screen warning before a surge hits (0 = none)
+  surgeRampTime: 300, // ms to ease speed into and out of a surge (0 = hard step)
+
+  // --- Near misses & grazing ---
+  nearMissDistance: 16, // px beyond the ship's edge a rock must pass within to count (the graze band)
+  survivalPoints: 10, // points per second survived, in modes scored in points
+  grazePoints: 25, // points per graze, times the combo multiplier
+  comboStep: 0.25, // multiplier gained per graze
+  comboSurgeBoost: 2, // combo gains are multiplied by this during a surge
+  comboMax: 5, // highest combo multiplier
+  comboHold: 1500, // ms after a graze before the combo starts to decay
+  comboDecayRate: 1, // multiplier lost per second while decaying (never below 1)
+
+  // --- Power-ups (pickups.js) ---
+  pickupSpawnInterval: [7000, 12000], // ms between pickups appearing (random in range)
+  pickupWeights: { shield: 3, slow: 3, shrink: 2, bomb: 2 }, // relative odds of each kind (0 = never)
+  pickupLifetime: 6000, // ms a pickup waits to be collected
+  pickupSize: 8, // pickup collection radius
+  pickupMinShipDistance: 120, // px; pickups never appear right on top of the ship
+  slowDuration: 4000, // ms of slow time
+  slowFactor: 0.5, // asteroid speed multiplier while slowed (stacks with surges)
+  shrinkDuration: 6000, // ms the ship stays shrunk
+  shrinkScale: 0.5, // ship size multiplier while shrunk
+  bombRadius: 140, // px around the ship a bomb clears
+
+  // --- Two players (modes with players: 2) ---
+  playerSpacing: 80, // px between the two ships at the start
+  reviveDistance: 12, // px between a ship's edge and its partner's wreck that revives it (co-op)
+
+  // --- Ghosts (ghosts.js) ---
+  ghostSampleInterval: 100, // ms between the points of a ghost's path
+  ghostTrailLength: 500, // ms of fading trail behind a ghost
+
+  // --- Visual ---
+  starCount: 80, // background star particles
+  explosionParticleCount: 30, // particles on death
+  screenShakeDuration: 400, // ms of screen shake on death
+  screenShakeIntensity: 8, // px max shake offset
+
+  // --- Scoring ---
+  maxScoresSaved: 10,
+};
+
+// ============================================================
+// Simulation timing
+// ============================================================
+// Gameplay always advances in fixed ticks, independent of the display's
+// refresh rate. Not part of CONFIG: replays are only valid at this rate.
+
+const TICK_RATE = 120; // simulation ticks per second
+const TICK_DT = 1 / TICK_RATE; // seconds per tick
+const MAX_FRAME_TIME = 0.05; // never catch up more than 50ms of stalled time at once
+
+// Bump whenever a change makes the same seed + inputs play out (or score)
+// differently. Replays only verify against the version they were recorded with.
+const SIM_VERSION = 10;
+
+// The game's release, stamped on saved score records
+const GAME_VERSION = "2.1.0";
+
+// Analog movement is snapped to steps of 1/INPUT_STEPS per axis before the
+// simulation sees it, so a replay can store exactly what was played.
+const INPUT_STEPS = 64;
+
+function quantizeInput(inputs) {
+  const snap = (v) => Math.round(clamp(v || 0, -1, 1) * INPUT_STEPS) / INPUT_STEPS;
+  return { x: snap(inputs.x), y: snap(inputs.y) };
+}
+
+// ============================================================
+// Utility helpers
+// ============================================================
+
+// Cosmetic-only randomness (stars, screen shake). Anything that can affect
+// gameplay must go through the run's seeded Rng instead.
+function rand(min, max) {
+  return Math.random() * (max - min) + min;
+}
+
+function dist(x1, y1, x2, y2) {
+  const dx = x1 - x2;
+  const dy = y1 - y2;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function clamp(val, min, max) {
+  return Math.max(min, Math.min(max, val));
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+// Removes array[i] in O(1) by moving the last item into its place (order is
+// not kept). Returns the removed item.
+function swapRemove(array, i) {
+  const item = array[i];
+  const last = array.pop();
+  if (i < array.length) array[i] = last;
+  return item;
+}
+
+// ============================================================
+// Object pool
+// ============================================================
+// Recycles short-lived objects (asteroids, particles) so heavy spawning
+// doesn't churn the garbage collector. Pooled classes have a reset() taking
+// the same arguments as their constructor, and must set every field there.
+
+class Pool {
+  constructor(create) {
+    this.create = create; // (...args) -> a new object
+    this.free = [];
+  }
+
+  acquire(...args) {
+    const item = this.free.pop();
+    if (!item) {
+      const created = this.create(...args);
+      created.pool = this;
+      return created;
+    }
+    item.reset(...args);
+    return item;
+  }
+
+  // Only takes back what it handed out; anything else is left to the GC
+  release(item) {
+    if (item.pool === this) this.free.push(item);
+  }
+}
+
+// ============================================================
+// Seeded random (mulberry32)
+// ============================================================
+// Every gameplay decision draws from a per-run Rng so that two runs with the
+// same seed face the exact same asteroid field and surge schedule.
+
+// FNV-1a: turns any seed string into a 32-bit integer state
+function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+class Rng {
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+  }
+
+  // Float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  int(min, max) {
+    return Math.floor(this.range(min, max + 1));
+  }
+}
+
+const Seeds = {
+  // Same for everyone on the same (UTC) day
+  daily() {
+    return `daily-${new Date().toISOString().slice(0, 10)}`;
+  },
+
+  random() {
+    return Math.floor(Math.random() * 36 ** 6)
+      .toString(36)
+      .padStart(6, "0");
+  },
+
+  // ?seed=<anything> pins every run to that seed
+  fromQuery(search) {
+    const seed = new URLSearchParams(search).get("seed");
+    return seed ? seed.trim().slice(0, 32) : null;
+  },
+};
+
+// ============================================================
+// Ship
+// ============================================================
+
+class Ship {
+  // player: 0 for the first (or only) ship, 1 for the second
+  constructor(x, y, player = 0) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x; // position at the start of the current tick, for interpolation
+    this.prevY = y;
+    this.size = CONFIG.shipSize;
+    this.player = player;
+    this.alive = true; // false while wrecked, in two-player modes
+    this.shield = false; // absorbs the next hit
+    this.effects = {}; // timed effects on this ship alone ('shrink') -> tick they run to
+    this.invulnerableUntil = 0; // tick a grace period (after a survived hit or a revive) runs to
+    this.grazing = new Set(); // rocks currently inside its near-miss band
+  }
+
+  // move: { x, y }, each -1..1. A stick pushed halfway moves at half speed;
+  // anything longer than 1 (keyboard diagonals) is scaled back to full speed.
+  update(dt, move) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    let dx = move.x;
+    let dy = move.y;
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len > 1) {
+      dx /= len;
+      dy /= len;
+    }
+
+    this.x += dx * CONFIG.shipSpeed * dt;
+    this.y += dy * CONFIG.shipSpeed * dt;
+
+    // Clamp to canvas
+    this.x = clamp(this.x, this.size, CONFIG.canvasWidth - this.size);
+    this.y = clamp(this.y, this.size, CONFIG.canvasHeight - this.size);
+  }
+}
+
+// ============================================================
+// Asteroid
+// ============================================================
+
+// px past the edge of the field (on top of its radius) a rock can be
+// before it's culled
+const CULL_MARGIN = 60;
+
+class Asteroid {
+  // baseSpeed: px/sec before variance, normally the difficulty-ramped value;
+  // type: an ASTEROID_TYPES id (asteroids.js), which scales size and speed
+  constructor(rng, baseSpeed = CONFIG.asteroidBaseSpeed, type = "rock") {
+    this.vertices = [];
+    this.reset(rng, baseSpeed, type);
+  }
+
+  // A fresh rock, drawing exactly what a new one would from `rng` (the
+  // Simulation recycles them through a Pool)
+  reset(rng, baseSpeed = CONFIG.asteroidBaseSpeed, type = "rock") {
+    const kind = ASTEROID_TYPES[type];
+    this.type = type;
+    this.age = 0; // seconds since it spawned
+    this.size = rng.range(CONFIG.asteroidMinSize, CONFIG.asteroidMaxSize) * kind.size;
+    this.rotation = 0;
+    this.rotationSpeed = rng.range(-CONFIG.asteroidRotationSpeed, CONFIG.asteroidRotationSpeed);
+
+    // Build irregular polygon shape (cached offsets from center), reusing
+    // the vertex objects a recycled rock already has
+    const vertCount = rng.int(CONFIG.asteroidVertices[0], CONFIG.asteroidVertices[1]);
+    this.vertices.length = Math.min(this.vertices.length, vertCount);
+    for (let i = 0; i < vertCount; i++) {
+      const angle = (i / vertCount) * Math.PI * 2;
+      const r = this.size * rng.range(0.7, 1.0);
+      if (i < this.vertices.length) {
+        this.vertices[i].angle = angle;
+        this.vertices[i].r = r;
+      } else {
+        this.vertices.push({ angle, r });
+      }
+    }
+
+    // Spawn from a random edge
+    this._spawnFromEdge(rng, baseSpeed * kind.speed);
+
+    // Set by the Simulation so a rock is only ever counted once
+    this.hitShip = false;
+    this.nearMissed = false;
+
+    // Set for pattern rocks, which can start further out than the culling
+    // margin; cleared once the rock reaches the field
+    this.inbound = false;
+  }
+
+  _spawnFromEdge(rng, baseSpeed) {
+    const W = CONFIG.canvasWidth;
+    const H = CONFIG.canvasHeight;
+    const margin = this.size + 5;
+    const edge = rng.int(0, 3); // 0=top, 1=right, 2=bottom, 3=left
+
+    let aimX, aimY;
+
+    switch (edge) {
+      case 0: // top
+        this.x = rng.range(0, W);
+        this.y = -margin;
+        aimX = rng.range(0, W);
+        aimY = rng.range(H * 0.3, H);
+        break;
+      case 1: // right
+        this.x = W + margin;
+        this.y = rng.range(0, H);
+        aimX = rng.range(0, W * 0.7);
+        aimY = rng.range(0, H);
+        break;
+      case 2: // bottom
+        this.x = rng.range(0, W);
+        this.y = H + margin;
+        aimX = rng.range(0, W);
+        aimY = rng.range(0, H * 0.7);
+        break;
+      case 3: // left
+        this.x = -margin;
+        this.y = rng.range(0, H);
+        aimX = rng.range(W * 0.3, W);
+        aimY = rng.range(0, H);
+        break;
+    }
+
+    // Direction toward the aim point with some random spread
+    const baseAngle = Math.atan2(aimY - this.y, aimX - this.x);
+    const angle = baseAngle + rng.range(-CONFIG.asteroidAngleSpread / 2, CONFIG.asteroidAngleSpread / 2);
+
+    // Speed
+    const speed = baseSpeed + rng.range(-CONFIG.asteroidSpeedVariance, CONFIG.asteroidSpeedVariance);
+    this.baseVx = Math.cos(angle) * speed;
+    this.baseVy = Math.sin(angle) * speed;
+    this.vx = this.baseVx;
+    this.vy = this.baseVy;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+  }
+
+  // Sends the rock off from (x, y) at a new size, heading and speed (a
+  // splitter's fragments)
+  launch(x, y, size, angle, speed) {
+    for (const v of this.vertices) v.r *= size / this.size;
+    this.size = size;
+    this.x = this.prevX = x;
+    this.y = this.prevY = y;
+    this.baseVx = this.vx = Math.cos(angle) * speed;
+    this.baseVy = this.vy = Math.sin(angle) * speed;
+  }
+
+  update(dt, speedMultiplier) {
+    this.age += dt;
+    this.prevX = this.x;
+    this.prevY = this.y;
+    this.prevRotation = this.rotation;
+    this.vx = this.baseVx * speedMultiplier;
+    this.vy = this.baseVy * speedMultiplier;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.rotation += this.rotationSpeed * dt;
+  }
+
+  // Past the culling margin. An inbound rock isn't culled while it's still
+  // flying toward the field
+  isOffScreen() {
+    const W = CONFIG.canvasWidth;
+    const H = CONFIG.canvasHeight;
+    if (this.inbound) {
+      if (this.x >= 0 && this.x <= W && this.y >= 0 && this.y <= H) {
+        this.inbound = false;
+      } else {
+        const closingX = this.x < 0 ? this.baseVx > 0 : this.x <= W || this.baseVx < 0;
+        const closingY = this.y < 0 ? this.baseVy > 0 : this.y <= H || this.baseVy < 0;
+        if (closingX && closingY) return false;
+      }
+    }
+    const margin = this.size + CULL_MARGIN;
+    return this.x < -margin || this.x > W + margin || this.y < -margin || this.y > H + margin;
+  }
+}
+
+// ============================================================
+// Collision (spatial hash broad phase + exact polygon test)
+// ============================================================
+
+// Uniform grid. Each item is filed under every cell its bounding box touches,
+// so a query only has to look at the handful of items near it.
+class SpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // cell key -> items (arrays are reused between ticks)
+  }
+
+  clear() {
+    for (const items of this.cells.values()) items.length = 0;
+  }
+
+  // Unique for cell coordinates within +/-2048, far beyond any playfield,
+  // and small enough to stay a small integer (fast Map lookups)
+  _key(cx, cy) {
+    return (cx + 2048) * 4096 + (cy + 2048);
+  }
+
+  insert(item, minX, minY, maxX, maxY) {
+    const size = this.cellSize;
+    for (let cx = Math.floor(minX / size); cx <= Math.floor(maxX / size); cx++) {
+      for (let cy = Math.floor(minY / size); cy <= Math.floor(maxY / size); cy++) {
+        const key = this._key(cx, cy);
+        let items = this.cells.get(key);
+        if (!items) {
+          items = [];
+          this.cells.set(key, items);
+        }
+        items.push(item);
+      }
+    }
+  }
+
+  // Every item filed under a cell the box touches, each listed once
+  query(minX, minY, maxX, maxY) {
+    const size = this.cellSize;
+    const found = new Set();
+    for (let cx = Math.floor(minX / size); cx <= Math.floor(maxX / size); cx++) {
+      for (let cy = Math.floor(minY / size); cy <= Math.floor(maxY / size); cy++) {
+        const items = this.cells.get(this._key(cx, cy));
+        if (items) for (const item of items) found.add(item);
+      }
+    }
+    return [...found];
+  }
+
+  // fn(cellX, cellY, items) for every occupied cell
+  forEachCell(fn) {
+    for (const [key, items] of this.cells) {
+      if (items.length > 0) fn(Math.floor(key / 4096) - 2048, (key % 4096) - 2048, items);
+    }
+  }
+}
+
+// World-space corners of an asteroid's polygon at the given pose
+function asteroidPolygon(asteroid, x, y, rotation) {
+  return asteroid.vertices.map((v) => ({
+    x: x + Math.cos(v.angle + rotation) * v.r,
+    y: y + Math.sin(v.angle + rotation) * v.r,
+  }));
+}
+
+function distToSegmentSq(px, py, a, b) {
+  const abx = b.x - a.x;
+  const aby = b.y - a.y;
+  const lenSq = abx * abx + aby * aby;
+  const t = lenSq > 0 ? clamp(((px - a.x) * abx + (py - a.y) * aby) / lenSq, 0, 1) : 0;
+  const dx = a.x + abx * t - px;
+  const dy = a.y + aby * t - py;
+  return dx * dx + dy * dy;
+}
+
+// Exact circle vs polygon; works for concave outlines too
+function circleHitsPolygon(cx, cy, radius, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[j];
+    const b = points[i];
+    if (distToSegmentSq(cx, cy, a, b) <= radius * radius) return true;
+    // Even-odd ray cast, for a circle entirely inside the rock
+    if (b.y > cy !== a.y > cy && cx < ((a.x - b.x) * (cy - b.y)) / (a.y - b.y) + b.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Ship vs asteroid across the tick that just ran. Both poses are sampled
+// along the tick finely enough that they move at most half a ship radius
+// relative to each other between samples, so fast rocks can't slip through.
+function shipHitsAsteroid(ship, asteroid) {
+  const relX = ship.x - ship.prevX - (asteroid.x - asteroid.prevX);
+  const relY = ship.y - ship.prevY - (asteroid.y - asteroid.prevY);
+  const spin = Math.abs(asteroid.rotation - asteroid.prevRotation) * asteroid.size;
+  const sweep = Math.sqrt(relX * relX + relY * relY) + spin;
+  const steps = clamp(Math.ceil(sweep / (ship.size * 0.5)), 1, 16);
+
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const sx = lerp(ship.prevX, ship.x, t);
+    const sy = lerp(ship.prevY, ship.y, t);
+    const ax = lerp(asteroid.prevX, asteroid.x, t);
+    const ay = lerp(asteroid.prevY, asteroid.y, t);
+
+    // Bounding circles first; the polygon test only runs when they overlap
+    const reach = ship.size + asteroid.size;
+    if ((sx - ax) ** 2 + (sy - ay) ** 2 > reach * reach) continue;
+
+    const rotation = lerp(asteroid.prevRotation, asteroid.rotation, t);
+    if (circleHitsPolygon(sx, sy, ship.size, asteroidPolygon(asteroid, ax, ay, rotation))) return true;
+  }
+  return false;
+}
+
+// ============================================================
+// Simulation (one run, advanced one tick at a time)
+// ============================================================
+
+class Simulation {
+  // difficulty: a DIFFICULTY_PRESETS id (difficulty.js)
+  // mode: a GAME_MODES id (modes.js)
+  // patterns: a normalized pattern file (patterns.js), null for the built-in one
+  constructor(seed, difficulty = "normal", mode = "classic", patterns = null) {
+    this.seed = String(seed);
+    this.rng = new Rng(this.seed);
+    this.director = new DifficultyDirector(difficulty);
+    this.difficulty = difficulty;
+    this.params = this.director.paramsAt(0); // current ramped spawn/speed values
+    this.rules = GAME_MODES[mode];
+    if (!this.rules) throw new Error(`Unknown mode "${mode}"`);
+    this.mode = mode;
+
+    // One ship, or two side by side. this.ship is the first one: the only
+    // one outside two-player modes
+    const players = this.rules.players || 1;
+    this.ships = [];
+    for (let i = 0; i < players; i++) {
+      const offset = (i - (players - 1) / 2) * CONFIG.playerSpacing;
+      this.ships.push(new Ship(CONFIG.canvasWidth / 2 + offset, CONFIG.canvasHeight / 2, i));
+    }
+    this.ship = this.ships[0];
+    this.asteroids = [];
+    this.asteroidPool = new Pool((rng, baseSpeed, type) => new Asteroid(rng, baseSpeed, type));
+    this.elapsedTime = 0; // seconds played
+    this.tick = 0;
+    this.over = false;
+    this.endReason = null; // 'hit' | 'time' | 'quit' once over
+    this.events = []; // what happened on the last tick: { type, x, y } (see step)
+
+    // Mode rules
+    this.lives = this.rules.lives;
+    this.hits = 0;
+    this.lastHitTime = 0; // elapsedTime of the latest hit (0 before any)
+    this.bestCleanStreak = 0; // longest hit-free stretch that has ended
+    this.revives = 0; // wrecks brought back (co-op)
+    this.winner = null; // versus: the player whose ship was left flying, once over (null: a draw)
+
+    // Near misses: rocks currently inside the band around a ship (its
+    // grazing set) count once they leave it without hitting. Each one is a
+    // graze, worth grazePoints times the combo, which grows with every graze
+    // and decays once they stop coming
+    this.nearMisses = 0;
+    this.grazePoints = 0;
+    this.combo = 1;
+    this.bestCombo = 1;
+    this.comboHoldUntil = 0; // tick the combo starts to decay after
+
+    // Spawn timer
+    this.spawnTimer = 0;
+
+    // Scripted wave patterns draw from their own stream, like power-ups
+    this.patterns = patterns || DEFAULT_PATTERNS;
+    this.spawner = new SpawnDirector(this.patterns, new Rng(`${this.seed}/patterns`));
+
+    // Power-ups draw from their own stream, so they never change the rocks
+    this.pickupRng = new Rng(`${this.seed}/pickups`);
+    this.pickupTimer = this.pickupRng.range(CONFIG.pickupSpawnInterval[0], CONFIG.pickupSpawnInterval[1]);
+    this.pickups = [];
+    this.effects = {}; // timed effects on the whole field ('slow') -> tick they run to
+
+    // Collision broad phase, rebuilt every tick
+    this.hash = new SpatialHash(CONFIG.asteroidMaxSize * 2);
+    this.collisionCandidates = []; // asteroids near enough to get the exact test
+
+    // Surge state
+    this.surgeActive = false;
+    this.surgesSurvived = 0; // surges that ended with the run still going
+    this.surgeTimer = this.rng.range(CONFIG.surgeInterval[0], CONFIG.surgeInterval[1]);
+    this.surgeDurationTimer = 0;
+    this.surgeLevel = 0; // 0 = calm speed, 1 = full surge speed; eases between the two
+    this.speedMultiplier = 1;
+  }
+
+  get score() {
+    return this.rules.score(this);
+  }
+
+  // Survival plus graze points, for modes scored in points
+  get points() {
+    return this.survivalPoints + this.grazePoints;
+  }
+
+  get survivalPoints() {
+    return Math.floor(this.elapsedTime * CONFIG.survivalPoints);
+  }
+
+  // Seconds before the combo starts to decay
+  get comboHoldTime() {
+    return Math.max(0, this.comboHoldUntil - this.tick) / TICK_RATE;
+  }
+
+  // Seconds since the last hit, or the longest such stretch if that was longer
+  get cleanStreak() {
+    return Math.max(this.bestCleanStreak, this.elapsedTime - this.lastHitTime);
+  }
+
+  // Seconds of grace a ship has left after a survived hit or a revive
+  invulnerableTime(ship = this.ship) {
+    return Math.max(0, ship.invulnerableUntil - this.tick) / TICK_RATE;
+  }
+
+  // Seconds left on a timed power-up effect, 0 if inactive: on the field
+  // ('slow') or, given a ship as owner, on that ship ('shrink')
+  effectTime(name, owner = this) {
+    return Math.max(0, (owner.effects[name] || 0) - this.tick) / TICK_RATE;
+  }
+
+  // Ships still flying (all of them, outside two-player modes)
+  get liveShips() {
+    return this.ships.filter((ship) => ship.alive);
+  }
+
+  // The live ship closest to (x, y) (the first ship once none are left)
+  nearestShip(x, y) {
+    let nearest = null;
+    for (const ship of this.ships) {
+      if (ship.alive && (!nearest || dist(x, y, ship.x, ship.y) < dist(x, y, nearest.x, nearest.y))) nearest = ship;
+    }
+    return nearest || this.ship;
+  }
+
+  // A rock that is gone stops counting toward any ship's graze
+  forget(asteroid) {
+    for (const ship of this.ships) ship.grazing.delete(asteroid);
+  }
+
+  // Seconds until a timed mode ends (Infinity without a time limit)
+  get timeLeft() {
+    return this.rules.timeLimit ? Math.max(0, this.rules.timeLimit - this.elapsedTime) : Infinity;
+  }
+
+  // Progress through the warning window before the next surge: 0 while calm,
+  // rising to 1 the moment the surge hits. Always 0 during a surge.
+  get surgeWarning() {
+    if (this.surgeActive || CONFIG.surgeWarningTime <= 0 || this.surgeTimer > CONFIG.surgeWarningTime) return 0;
+    return clamp(1 - this.surgeTimer / CONFIG.surgeWarningTime, 0, 1);
+  }
+
+  // Advances the run by one tick. inputs: movement vector { x, y }, or one
+  // per ship in two-player modes. Returns true on the tick the run ends;
+  // does nothing once it is over. this.events then lists what happened
+  // during the tick: 'hit' (with the player hit and the type of rock that
+  // hit them), 'nearMiss' (a graze, with the points it scored and the
+  // combo it scored at), 'pickup' (with kind and player), 'shieldBreak',
+  // 'revive' (with player), 'bomb' (with the rocks cleared),
+  // 'split' (a splitter breaking up), 'pattern' (with the id and label of a
+  // wave pattern starting) and 'surge' as one begins.
+  step(inputs, dt = TICK_DT) {
+    if (this.over) return false;
+    this.tick++;
+    this.elapsedTime += dt;
+    this.events = [];
+
+    // Ships (a wreck stays where it went down)
+    const moves = Array.isArray(inputs) ? inputs : [inputs];
+    this.ships.forEach((ship, i) => {
+      ship.size = CONFIG.shipSize * (this.effectTime("shrink", ship) > 0 ? CONFIG.shrinkScale : 1);
+      if (ship.alive) {
+        ship.update(dt, quantizeInput(moves[i] || { x: 0, y: 0 }));
+      } else {
+        ship.prevX = ship.x;
+        ship.prevY = ship.y;
+      }
+    });
+
+    // Difficulty ramps with time survived
+    this.params = this.director.paramsAt(this.elapsedTime);
+
+    // Surge system
+    this.updateSurge(dt);
+    if (this.effectTime("slow") > 0) this.speedMultiplier *= CONFIG.slowFactor;
+
+    // Spawn asteroids: scripted patterns, then the random stream (thinned
+    // out while a pattern plays)
+    this.spawner.update(this);
+    this.spawnTimer += dt * 1000;
+    if (this.spawnTimer >= this.params.asteroidSpawnInterval) {
+      this.spawnTimer -= this.params.asteroidSpawnInterval;
+      const batch = Math.round(this.params.asteroidBatchSize * this.spawner.randomScale(this.tick));
+      for (let i = 0; i < batch; i++) {
+        const type = rollAsteroidType(this.rng, this.elapsedTime);
+        this.asteroids.push(this.asteroidPool.acquire(this.rng, this.params.asteroidBaseSpeed, type));
+      }
+    }
+
+    // Update asteroids: their type's behavior (homing, gravity, splitting),
+    // then movement
+    for (let i = this.asteroids.length - 1; i >= 0; i--) {
+      const asteroid = this.asteroids[i];
+      const behavior = ASTEROID_TYPES[asteroid.type].update;
+      if (behavior && behavior(asteroid, this, dt)) {
+        this.forget(asteroid);
+        this.asteroidPool.release(swapRemove(this.asteroids, i));
+        continue;
+      }
+      asteroid.update(dt, this.speedMultiplier);
+      if (asteroid.isOffScreen()) {
+        this.asteroidPool.release(swapRemove(this.asteroids, i));
+      }
+    }
+
+    this.updatePickups(dt);
+
+    // Collision: broad phase on the spatial hash (boxes cover each object's
+    // whole path this tick), then the exact test against the rock's polygon
+    this.hash.clear();
+    for (const a of this.asteroids) {
+      this.hash.insert(
+        a,
+        Math.min(a.prevX, a.x) - a.size,
+        Math.min(a.prevY, a.y) - a.size,
+        Math.max(a.prevX, a.x) + a.size,
+        Math.max(a.prevY, a.y) + a.size,
+      );
+    }
+    // Each live ship is tested on its own; in two-player modes a hit
+    // wrecks a ship, and the run ends once too few are left flying
+    this.collisionCandidates = [];
+    for (const ship of this.ships) {
+      if (!ship.alive) continue;
+      const candidates = this.hash.query(
+        Math.min(ship.prevX, ship.x) - ship.size,
+        Math.min(ship.prevY, ship.y) - ship.size,
+        Math.max(ship.prevX, ship.x) + ship.size,
+        Math.max(ship.prevY, ship.y) + ship.size,
+      );
+      this.collisionCandidates.push(...candidates);
+      if (this.invulnerableTime(ship) > 0) continue;
+      for (const asteroid of candidates) {
+        if (!asteroid.hitShip && shipHitsAsteroid(ship, asteroid)) {
+          asteroid.hitShip = true; // a rock only ever counts as one hit
+          if (this.hit(asteroid, ship)) return true;
+          break;
+        }
+      }
+    }
+    if (this.ships.length > 1) {
+      if (this.checkSurvivors()) return true;
+      this.updateRevives();
+    }
+    this.updateNearMisses();
+    this.updateCombo(dt);
+
+    if (this.rules.timeLimit && this.tick >= this.rules.timeLimit * TICK_RATE) {
+      this.end("time");
+      return true;
+    }
+    return false;
+  }
+
+  // Applies the mode's rules to a hit on `ship`; returns true if it ended
+  // the run
+  hit(asteroid, ship = this.ship) {
+    this.forget(asteroid);
+    if (ship.shield) {
+      ship.shield = false;
+      this.events.push({ type: "shieldBreak", x: ship.x, y: ship.y });
+      return false;
+    }
+
+    this.hits++;
+    this.combo = 1;
+    this.events.push({ type: "hit", x: ship.x, y: ship.y, player: ship.player, rock: asteroid.type });
+    this.bestCleanStreak = this.cleanStreak;
+    this.lastHitTime = this.elapsedTime;
+    if (this.ships.length > 1) {
+      // Wrecked: it stays where it went down (see checkSurvivors)
+      ship.alive = false;
+      ship.grazing.clear();
+      return false;
+    }
+
+    this.lives--;
+    if (this.lives <= 0) {
+      this.end("hit");
+      return true;
+    }
+    if (this.rules.respawn) {
+      ship.x = ship.prevX = CONFIG.canvasWidth / 2;
+      ship.y = ship.prevY = CONFIG.canvasHeight / 2;
+      ship.grazing.clear();
+    }
+    ship.invulnerableUntil = this.tick + Math.round((this.rules.invulnerability || 0) * TICK_RATE);
+    return false;
+  }
+
+  // Two-player modes: versus ends once one ship (or none) is left flying,
+  // co-op once none is. Returns true if the run ended
+  checkSurvivors() {
+    const alive = this.liveShips;
+    if (alive.length > (this.rules.versus ? 1 : 0)) return false;
+    this.winner = alive.length === 1 ? alive[0].player : null;
+    this.end("hit");
+    return true;
+  }
+
+  // Co-op: a ship touching its partner's wreck brings it back, with a
+  // moment's grace
+  updateRevives() {
+    if (!this.rules.revive) return;
+    for (const wreck of this.ships) {
+      if (wreck.alive) continue;
+      const reach = (ship) => ship.size + wreck.size + CONFIG.reviveDistance;
+      if (!this.ships.some((s) => s.alive && dist(s.x, s.y, wreck.x, wreck.y) < reach(s))) continue;
+      wreck.alive = true;
+      wreck.invulnerableUntil = this.tick + Math.round((this.rules.invulnerability || 0) * TICK_RATE);
+      this.revives++;
+      this.events.push({ type: "revive", x: wreck.x, y: wreck.y, player: wreck.player });
+    }
+  }
+
+  // Counts rocks that came within nearMissDistance of a ship's edge and
+  // have now left that band without hitting. Nothing counts for a ship
+  // while it is invulnerable (or wrecked).
+  updateNearMisses() {
+    for (const ship of this.ships) {
+      if (!ship.alive || this.invulnerableTime(ship) > 0) {
+        ship.grazing.clear();
+        continue;
+      }
+      const band = ship.size + CONFIG.nearMissDistance;
+      const inBand = new Set();
+      for (const asteroid of this.hash.query(ship.x - band, ship.y - band, ship.x + band, ship.y + band)) {
+        if (asteroid.hitShip || asteroid.nearMissed) continue;
+        const reach = band + asteroid.size;
+        if ((ship.x - asteroid.x) ** 2 + (ship.y - asteroid.y) ** 2 > reach * reach) continue;
+        if (
+          circleHitsPolygon(ship.x, ship.y, band, asteroidPolygon(asteroid, asteroid.x, asteroid.y, asteroid.rotation))
+        ) {
+          inBand.add(asteroid);
+        }
+      }
+      for (const asteroid of ship.grazing) {
+        if (inBand.has(asteroid) || asteroid.hitShip || asteroid.nearMissed) continue;
+        asteroid.nearMissed = true;
+        this.nearMisses++;
+        this.graze(asteroid);
+      }
+      ship.grazing = inBand;
+    }
+  }
+
+  // Scores a graze at the current combo, then builds the combo (faster
+  // during a surge)
+  graze(asteroid) {
+    const points = Math.round(CONFIG.grazePoints * this.combo);
+    this.grazePoints += points;
+    this.events.push({ type: "nearMiss", x: asteroid.x, y: asteroid.y, points, combo: this.combo });
+
+    const gain = CONFIG.comboStep * (this.surgeActive ? CONFIG.comboSurgeBoost : 1);
+    this.combo = Math.min(CONFIG.comboMax, this.combo + gain);
+    this.bestCombo = Math.max(this.bestCombo, this.combo);
+    this.comboHoldUntil = this.tick + Math.round((CONFIG.comboHold / 1000) * TICK_RATE);
+  }
+
+  updateCombo(dt) {
+    if (this.tick > this.comboHoldUntil) this.combo = Math.max(1, this.combo - CONFIG.comboDecayRate * dt);
+  }
+
+  // Spawns, expires and collects power-ups
+  updatePickups(dt) {
+    this.pickupTimer -= dt * 1000;
+    if (this.pickupTimer <= 0) {
+      this.pickupTimer += this.pickupRng.range(CONFIG.pickupSpawnInterval[0], CONFIG.pickupSpawnInterval[1]);
+      if (pickupKinds().length > 0) this.pickups.push(new Pickup(this.pickupRng, this.ship, this.tick));
+    }
+
+    for (let i = this.pickups.length - 1; i >= 0; i--) {
+      const pickup = this.pickups[i];
+      const ship = this.ships.find((s) => s.alive && pickup.touches(s));
+      if (ship) {
+        this.pickups.splice(i, 1);
+        this.events.push({ type: "pickup", kind: pickup.kind, x: pickup.x, y: pickup.y, player: ship.player });
+        PICKUP_TYPES[pickup.kind].apply(this, ship);
+      } else if (this.tick >= pickup.expireTick) {
+        this.pickups.splice(i, 1);
+      }
+    }
+  }
+
+  // Starts (or restarts) a timed effect lasting `ms`, on the field or on
+  // the ship given as owner (see effectTime)
+  startEffect(name, ms, owner = this) {
+    owner.effects[name] = this.tick + Math.round((ms / 1000) * TICK_RATE);
+  }
+
+  // Clears every rock within `radius` of a ship
+  detonate(radius, ship = this.ship) {
+    const cleared = [];
+    for (let i = this.asteroids.length - 1; i >= 0; i--) {
+      const a = this.asteroids[i];
+      if (dist(a.x, a.y, ship.x, ship.y) > radius + a.size) continue;
+      cleared.push({ x: a.x, y: a.y });
+      this.forget(a);
+      this.asteroidPool.release(swapRemove(this.asteroids, i));
+    }
+    this.events.push({ type: "bomb", x: ship.x, y: ship.y, radius, cleared });
+  }
+
+  // Ends the run: 'hit' (out of lives), 'time' (time limit) or 'quit'
+  // (the player finishing an endless mode)
+  end(reason) {
+    this.over = true;
+    this.endReason = reason;
+  }
+
+  updateSurge(dt) {
+    if (this.rules.permanentSurge) {
+      if (!this.surgeActive) this.events.push({ type: "surge" });
+      this.surgeActive = true;
+      this.surgeLevel = 1;
+      this.speedMultiplier = this.params.surgeMultiplier;
+      return;
+    }
+    const dtMs = dt * 1000;
+
+    if (this.surgeActive) {
+      // Currently surging
+      this.surgeDurationTimer -= dtMs;
+      if (this.surgeDurationTimer <= 0) {
+        this.surgeActive = false;
+        this.surgesSurvived++;
+        // Set timer for next surge
+        this.surgeTimer = this.rng.range(CONFIG.surgeInterval[0], CONFIG.surgeInterval[1]);
+      }
+    } else {
+      // Counting down to next surge; the last surgeWarningTime ms of the
+      // countdown are telegraphed to the player (see surgeWarning)
+      this.surgeTimer -= dtMs;
+      if (this.surgeTimer <= 0) {
+        this.surgeActive = true;
+        this.events.push({ type: "surge" });
+        this.surgeDurationTimer = this.rng.range(CONFIG.surgeDuration[0], CONFIG.surgeDuration[1]);
+      }
+    }
+
+    // Ease toward the target speed instead of snapping to it
+    const target = this.surgeActive ? 1 : 0;
+    if (CONFIG.surgeRampTime > 0) {
+      const step = dtMs / CONFIG.surgeRampTime;
+      this.surgeLevel =
+        target > this.surgeLevel ? Math.min(target, this.surgeLevel + step) : Math.max(target, this.surgeLevel - step);
+    } else {
+      this.surgeLevel = target;
+    }
+    const eased = this.surgeLevel * this.surgeLevel * (3 - 2 * this.surgeLevel); // smoothstep
+    this.speedMultiplier = lerp(1, this.params.surgeMultiplier, eased);
+  }
+
+  // Once the run is over, asteroids keep drifting at normal speed behind the
+  // game-over screen. Purely cosmetic: nothing here affects the result.
+  drift(dt) {
+    for (let i = this.asteroids.length - 1; i >= 0; i--) {
+      this.asteroids[i].update(dt, 1);
+      if (this.asteroids[i].isOffScreen()) {
+        this.asteroidPool.release(swapRemove(this.asteroids, i));
+      }
+    }
+  }
+}
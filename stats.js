@@ -0,0 +1,150 @@
+// ============================================================
+// ASTEROID DODGE — Lifetime statistics
+// ============================================================
+// Depends on sim.js and modes.js. Uses the global localStorage, which
+// Node tests supply as a stub.
+//
+// Every run played (not watched) is kept as
+//
+//   { date, mode, difficulty, score, time, surges, surgeTime, distance,
+//     endReason, death }
+//
+// time is the seconds survived, surges the surges survived, surgeTime the
+// seconds spent in a surge, distance the pixels the ships flew and death
+// where the run-ending hit happened and what did it, { x, y, rock } (null
+// for runs that didn't end on a hit). The last StatsStore.historyLength
+// runs are kept, oldest first; the Stats screen draws its totals and
+// charts from them.
+// ============================================================
+
+// Samples a live run. Call update() once per tick, after the simulation
+// has stepped, then finish() once it's over.
+class StatsRecorder {
+  constructor(sim) {
+    this.mode = sim.mode;
+    this.difficulty = sim.difficulty;
+    this.surgeTicks = 0;
+    this.distance = 0;
+    this.lastHit = null; // { x, y, rock }
+  }
+
+  update(sim) {
+    if (sim.surgeActive) this.surgeTicks++;
+    for (const ship of sim.ships) {
+      this.distance += Math.hypot(ship.x - ship.prevX, ship.y - ship.prevY);
+    }
+    for (const event of sim.events) {
+      if (event.type === "hit") this.lastHit = { x: Math.round(event.x), y: Math.round(event.y), rock: event.rock };
+    }
+  }
+
+  // The finished run's entry
+  finish(sim) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      date: new Date().toISOString(),
+      mode: this.mode,
+      difficulty: this.difficulty,
+      score: round(sim.score),
+      time: round(sim.tick / TICK_RATE),
+      surges: sim.surgesSurvived,
+      surgeTime: round(this.surgeTicks / TICK_RATE),
+      distance: Math.round(this.distance),
+      endReason: sim.endReason,
+      death: sim.endReason === "hit" ? this.lastHit : null,
+    };
+  }
+}
+
+const StatsStore = {
+  _key: "asteroidDodgeStats",
+  historyLength: 1000,
+
+  // The kept runs, oldest first, skipping any that are corrupt
+  load() {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(this._key));
+    } catch {
+      return [];
+    }
+    return Array.isArray(stored) ? stored.filter((run) => this._valid(run)) : [];
+  },
+
+  _valid(run) {
+    if (!run || typeof run !== "object" || !GAME_MODES[run.mode]) return false;
+    const numbers = ["score", "time", "surges", "surgeTime", "distance"];
+    if (!numbers.every((field) => Number.isFinite(run[field]) && run[field] >= 0)) return false;
+    const death = run.death;
+    return death === null || (Boolean(death) && Number.isFinite(death.x) && Number.isFinite(death.y));
+  },
+
+  // Adds a finished run, dropping the oldest past historyLength
+  add(run) {
+    const runs = this.load();
+    runs.push(run);
+    try {
+      localStorage.setItem(this._key, JSON.stringify(runs.slice(-this.historyLength)));
+    } catch {
+      /* silently fail if storage full */
+    }
+  },
+
+  // Wipes every run (the ?reset URL flag)
+  clear() {
+    try {
+      localStorage.removeItem(this._key);
+    } catch {
+      /* storage unavailable: nothing to clear */
+    }
+  },
+};
+
+// What the Stats screen shows, worked out from a list of runs
+const Stats = {
+  // Totals and per-run averages of the summed fields, and deaths by rock type
+  summary(runs) {
+    const fields = ["time", "surges", "surgeTime", "distance"];
+    const totals = Object.fromEntries(fields.map((field) => [field, 0]));
+    const deaths = {};
+    for (const run of runs) {
+      for (const field of fields) totals[field] += run[field];
+      if (run.death) deaths[run.death.rock] = (deaths[run.death.rock] || 0) + 1;
+    }
+    const averages = Object.fromEntries(fields.map((field) => [field, runs.length ? totals[field] / runs.length : 0]));
+    return { runs: runs.length, totals, averages, deaths };
+  },
+
+  // Counts of values in equal bins from 0, the bin size a round number
+  // picked so there are at most maxBins of them
+  histogram(values, maxBins = 12) {
+    const top = Math.max(0, ...values);
+    const sizes = [1, 2, 5, 10, 15, 20, 30, 60, 120, 300, 600, 1800, 3600];
+    const size = sizes.find((s) => top / s < maxBins) || Math.ceil(top / (maxBins - 1));
+    const counts = new Array(Math.max(1, Math.floor(top / size) + 1)).fill(0);
+    for (const value of values) counts[Math.floor(value / size)]++;
+    return { size, counts };
+  },
+
+  // Mean of each value and the up to window - 1 before it
+  rollingAverage(values, window = 10) {
+    let sum = 0;
+    return values.map((value, i) => {
+      sum += value;
+      if (i >= window) sum -= values[i - window];
+      return sum / Math.min(i + 1, window);
+    });
+  },
+
+  // Deaths counted on a cols × rows grid over the arena, row by row
+  heatmap(runs, cols, rows) {
+    const cells = new Array(cols * rows).fill(0);
+    for (const run of runs) {
+      if (!run.death) continue;
+      const col = clamp(Math.floor((run.death.x / CONFIG.canvasWidth) * cols), 0, cols - 1);
+      const row = clamp(Math.floor((run.death.y / CONFIG.canvasHeight) * rows), 0, rows - 1);
+      cells[row * cols + col]++;
+    }
+    return cells;
+  },
+};
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { memoryStorage } = require("./helpers.js");
+
+const storage = memoryStorage();
+const { TICK_RATE, Simulation, AchievementStore, AchievementTracker } = loadCore({ localStorage: storage });
+
+// Plays a Zen run (hits don't end it) for `seconds` with input(tick);
+// returns the tracker and the tick each achievement unlocked on
+function playZen(seconds, input, seed = "achievements") {
+  const sim = new Simulation(seed, "normal", "zen");
+  const tracker = new AchievementTracker(AchievementStore.empty());
+  const unlockedAt = {};
+  while (sim.tick < seconds * TICK_RATE) {
+    const move = input(sim.tick);
+    sim.step(move);
+    for (const id of tracker.update(sim, move)) unlockedAt[id] = sim.tick;
+  }
+  return { sim, tracker, unlockedAt };
+}
+
+test("run achievements unlock on the tick their goal is reached", () => {
+  const { sim, tracker, unlockedAt } = playZen(125, () => ({ x: 0, y: 0 }));
+  assert.equal(unlockedAt.survive30, 30 * TICK_RATE);
+  assert.equal(unlockedAt.survive60, 60 * TICK_RATE);
+  assert.equal(unlockedAt.survive120, 120 * TICK_RATE);
+  assert.ok(sim.surgesSurvived >= 5, `${sim.surgesSurvived} surges`);
+
+  // Sitting still the whole run sits out every surge
+  assert.equal(tracker.run.stillSurges, sim.surgesSurvived);
+  assert.ok(unlockedAt.stillSurge > 0);
+  assert.ok(unlockedAt.surges5 > unlockedAt.stillSurge);
+  assert.equal(tracker.progress.best.time, 125);
+
+  // Nothing unlocks twice
+  assert.deepEqual([...tracker.update(sim, { x: 0, y: 0 })], []);
+});
+
+test("moving during a surge doesn't count as sitting it out", () => {
+  // Steady before and after surges, weaving through them
+  const weave = (sim) => (tick) => (sim.surgeActive ? { x: tick % 40 < 20 ? 1 : -1, y: 0 } : { x: 0, y: 0 });
+  const sim = new Simulation("achievements", "normal", "zen");
+  const tracker = new AchievementTracker(AchievementStore.empty());
+  const input = weave(sim);
+  while (sim.surgesSurvived < 2) {
+    const move = input(sim.tick);
+    sim.step(move);
+    tracker.update(sim, move);
+  }
+  assert.equal(tracker.run.stillSurges, 0);
+  assert.equal(tracker.progress.unlocked.stillSurge, undefined);
+});
+
+test("steering on a surge's first or last tick doesn't count as sitting it out", () => {
+  // The ticks the first surge starts and ends on, sitting still
+  const sim = new Simulation("edges", "normal", "zen");
+  let first = 0;
+  while (sim.surgesSurvived === 0) {
+    sim.step({ x: 0, y: 0 });
+    if (sim.events.some((event) => event.type === "surge")) first = sim.tick;
+  }
+  const last = sim.tick;
+
+  for (const tick of [first, last]) {
+    const run = new Simulation("edges", "normal", "zen");
+    const tracker = new AchievementTracker(AchievementStore.empty());
+    while (run.surgesSurvived === 0) {
+      const move = run.tick + 1 === tick ? { x: 1, y: 0 } : { x: 0, y: 0 };
+      run.step(move);
+      tracker.update(run, move);
+    }
+    assert.equal(run.tick, last);
+    assert.equal(tracker.run.stillSurges, 0, `steered on tick ${tick}`);
+  }
+});
+
+test("runs and best-beating streaks are counted across runs", () => {
+  const progress = AchievementStore.empty();
+  const finish = (ranked, beatBest) => new AchievementTracker(progress).finish(ranked, beatBest);
+
+  assert.deepEqual([...finish(true, true)], []);
+  finish(true, true);
+  finish(false, false); // unranked: the streak carries on
+  assert.equal(progress.streak, 2);
+  assert.deepEqual([...finish(true, true)], ["streak3"]);
+  finish(true, false);
+  assert.equal(progress.streak, 0);
+
+  for (let i = 0; i < 4; i++) finish(false, false);
+  assert.deepEqual([...finish(false, false)], ["runs10"]);
+  assert.equal(progress.runs, 10);
+  assert.equal(AchievementStore.value(progress, "runs50"), 10);
+});
+
+test("progress is saved, and corrupt storage starts over", () => {
+  const { tracker } = playZen(35, () => ({ x: 0, y: 0 }), "saved");
+  AchievementStore.save(tracker.progress);
+  const loaded = AchievementStore.load();
+  assert.equal(typeof loaded.unlocked.survive30, "string");
+  assert.equal(loaded.best.time, tracker.progress.best.time);
+  assert.equal(AchievementStore.value(loaded, "survive60"), loaded.best.time);
+
+  storage.setItem(
+    "asteroidDodgeAchievements",
+    JSON.stringify({ unlocked: { survive30: 5, madeUp: "2024-01-01" }, best: { time: "lots" }, runs: -3, streak: 2.5 }),
+  );
+  const fresh = (progress) => JSON.parse(JSON.stringify(progress));
+  assert.deepEqual(fresh(AchievementStore.load()), fresh(AchievementStore.empty()));
+  storage.setItem("asteroidDodgeAchievements", "{not json");
+  assert.equal(AchievementStore.load().runs, 0);
+
+  AchievementStore.clear();
+  assert.equal(storage.getItem("asteroidDodgeAchievements"), null);
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { withConfig } = require("./helpers.js");
+
+const { CONFIG, TICK_RATE, Rng, Asteroid, Simulation, asteroidTypeWeightsAt, rollAsteroidType } = loadCore();
+
+const NO_INPUT = { x: 0, y: 0 };
+
+// A rock of the given type at (x, y) moving at (vx, vy), alone on the field
+function place(sim, type, x, y, vx = 0, vy = 0) {
+  const rock = new Asteroid(sim.rng, CONFIG.asteroidBaseSpeed, type);
+  rock.x = rock.prevX = x;
+  rock.y = rock.prevY = y;
+  rock.baseVx = vx;
+  rock.baseVy = vy;
+  sim.asteroids.push(rock);
+  return rock;
+}
+
+// Steps with spawning turned off
+function stepQuiet(sim, ticks = 1) {
+  sim.spawnTimer = -Infinity;
+  for (let i = 0; i < ticks && !sim.over; i++) sim.step(NO_INPUT);
+}
+
+test("type odds move from their start to their end values over the ramp", () => {
+  const start = asteroidTypeWeightsAt(0);
+  const end = asteroidTypeWeightsAt(CONFIG.asteroidTypeRampTime * 2);
+  assert.equal(start.seeker, CONFIG.asteroidTypeWeights.seeker[0]);
+  assert.equal(end.seeker, CONFIG.asteroidTypeWeights.seeker[1]);
+  const middle = asteroidTypeWeightsAt(CONFIG.asteroidTypeRampTime / 2).splitter;
+  assert.ok(middle > start.splitter && middle < end.splitter);
+
+  // A type with no odds never turns up
+  withConfig(CONFIG, { asteroidTypeWeights: { rock: [0, 0], giant: [1, 1] } }, () => {
+    const rng = new Rng("odds");
+    for (let i = 0; i < 50; i++) assert.equal(rollAsteroidType(rng, 0), "giant");
+  });
+});
+
+test("types scale size and speed", () => {
+  const rock = new Asteroid(new Rng("same"), 100, "rock");
+  const giant = new Asteroid(new Rng("same"), 100, "giant");
+  assert.equal(giant.size, rock.size * 3);
+  assert.ok(Math.hypot(giant.baseVx, giant.baseVy) < Math.hypot(rock.baseVx, rock.baseVy));
+});
+
+test("a splitter breaks into fragments near the middle of the screen", () => {
+  const sim = new Simulation("splitter", "normal", "zen");
+  const cx = CONFIG.canvasWidth / 2;
+  const cy = CONFIG.canvasHeight / 2;
+  sim.ship.x = sim.ship.prevX = 30;
+  const splitter = place(sim, "splitter", cx - CONFIG.splitterSplitDistance - 20, cy, 240, 0);
+
+  stepQuiet(sim, TICK_RATE / 20);
+  assert.deepEqual([...sim.asteroids], [splitter]);
+  stepQuiet(sim, TICK_RATE / 4);
+  assert.ok(!sim.asteroids.includes(splitter));
+  assert.equal(sim.asteroids.length, CONFIG.splitterFragments);
+  for (const fragment of sim.asteroids) {
+    assert.equal(fragment.type, "rock");
+    assert.ok(Math.abs(fragment.size - splitter.size * CONFIG.splitterFragmentScale) < 1e-9);
+    assert.ok(fragment.baseVx > 0); // fanned out along the splitter's heading
+  }
+});
+
+test("a seeker turns toward the ship, then gives up", () => {
+  const sim = new Simulation("seeker", "normal", "zen");
+  const seeker = place(sim, "seeker", 100, 100, 80, 0);
+  stepQuiet(sim, TICK_RATE);
+  // The ship is below and to the right: the seeker has started turning down
+  assert.ok(seeker.baseVy > 0);
+  assert.ok(Math.abs(Math.hypot(seeker.baseVx, seeker.baseVy) - 80) < 1e-6);
+
+  seeker.age = CONFIG.seekerHomingTime / 1000;
+  const heading = Math.atan2(seeker.baseVy, seeker.baseVx);
+  stepQuiet(sim, TICK_RATE / 2);
+  assert.ok(Math.abs(Math.atan2(seeker.baseVy, seeker.baseVx) - heading) < 1e-9);
+});
+
+test("a gravity well bends rocks and the ship toward it", () => {
+  const sim = new Simulation("well", "normal", "zen");
+  const ship = sim.ship;
+  const well = place(sim, "well", ship.x + 60, ship.y - 200);
+  const rock = place(sim, "rock", well.x - 60, well.y, 0, 0);
+  const far = place(sim, "rock", well.x - CONFIG.wellRadius - 10, well.y, 0, 0);
+  const shipX = ship.x;
+
+  stepQuiet(sim, 2);
+  assert.ok(rock.baseVx > 0);
+  assert.equal(far.baseVx, 0);
+  assert.equal(ship.x, shipX); // out of reach
+
+  well.x = well.prevX = ship.x + 60;
+  well.y = well.prevY = ship.y;
+  stepQuiet(sim, TICK_RATE / 2);
+  assert.ok(ship.x > shipX);
+});
+
+test("runs with every type replay the same", () => {
+  const weights = { rock: [1, 1], splitter: [0.3, 0.3], seeker: [0.3, 0.3], giant: [0.3, 0.3], well: [0.05, 0.05] };
+  const play = () => {
+    let summary;
+    withConfig(CONFIG, { asteroidTypeWeights: weights }, () => {
+      const sim = new Simulation("all-types", "normal", "zen");
+      const types = new Set();
+      for (let i = 0; i < 20 * TICK_RATE; i++) {
+        sim.step({ x: Math.sin(i / 50), y: Math.cos(i / 70) });
+        for (const a of sim.asteroids) types.add(a.type);
+      }
+      summary = { hits: sim.hits, nearMisses: sim.nearMisses, types: types.size };
+    });
+    return summary;
+  };
+  const first = play();
+  assert.equal(first.types, 5);
+  assert.deepEqual(play(), first);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+
+const { Rng, Ship, Asteroid, SpatialHash, circleHitsPolygon, shipHitsAsteroid } = loadCore();
+
+// A stationary rock of radius 10 with a deep notch cut in at angle 0
+function notchedRock(x, y) {
+  const rock = new Asteroid(new Rng("notch"));
+  rock.size = 10;
+  rock.vertices = [];
+  for (let i = 0; i < 8; i++) {
+    rock.vertices.push({ angle: (i / 8) * Math.PI * 2, r: i === 0 ? 2 : 10 });
+  }
+  rock.x = rock.prevX = x;
+  rock.y = rock.prevY = y;
+  rock.rotation = rock.prevRotation = 0;
+  return rock;
+}
+
+test("circleHitsPolygon: edge contact, containment and clear misses", () => {
+  const square = [
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+    { x: 10, y: 10 },
+    { x: 0, y: 10 },
+  ];
+  assert.equal(circleHitsPolygon(5, 5, 1, square), true); // fully inside
+  assert.equal(circleHitsPolygon(12, 5, 2.5, square), true); // overlapping an edge
+  assert.equal(circleHitsPolygon(13, 5, 2.5, square), false);
+  assert.equal(circleHitsPolygon(12, 12, 2, square), false); // near a corner, not touching
+});
+
+test("a ship sitting in a rock's notch survives", () => {
+  const rock = notchedRock(100, 100);
+  const ship = new Ship(108, 100);
+  // Well inside the rock's bounding circle, but clear of its outline
+  assert.ok(ship.x - rock.x < ship.size + rock.size);
+  assert.equal(shipHitsAsteroid(ship, rock), false);
+
+  const solid = new Ship(100, 108);
+  assert.equal(shipHitsAsteroid(solid, rock), true);
+});
+
+test("rotation matters: turning the notch away exposes the ship", () => {
+  const rock = notchedRock(100, 100);
+  rock.rotation = Math.PI / 2;
+  assert.equal(shipHitsAsteroid(new Ship(108, 100), rock), true);
+});
+
+test("SpatialHash returns nearby items once and skips distant ones", () => {
+  const hash = new SpatialHash(32);
+  const near = { id: "near" };
+  const wide = { id: "wide" };
+  const far = { id: "far" };
+  hash.insert(near, 10, 10, 20, 20);
+  hash.insert(wide, -40, 0, 100, 20); // spans several cells
+  hash.insert(far, 500, 500, 510, 510);
+
+  // Spread into a local array: the hash lives in another VM realm
+  const found = [...hash.query(0, 0, 40, 40)].map((item) => item.id);
+  assert.deepEqual(found.sort(), ["near", "wide"]);
+  assert.equal(hash.query(1000, 1000, 1001, 1001).length, 0);
+
+  hash.clear();
+  assert.equal(hash.query(0, 0, 40, 40).length, 0);
+});
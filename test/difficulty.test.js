@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+
+const { CONFIG, DIFFICULTY_PRESETS, DIFFICULTY_IDS, DIFFICULTY_LIMITS, DifficultyDirector, Simulation } = loadCore();
+
+test("every preset ramps every limited value", () => {
+  assert.deepEqual([...DIFFICULTY_IDS], ["easy", "normal", "hard", "insane"]);
+  for (const id of DIFFICULTY_IDS) {
+    for (const key of Object.keys(DIFFICULTY_LIMITS)) {
+      assert.ok(DIFFICULTY_PRESETS[id][key], `${id} is missing ${key}`);
+    }
+  }
+});
+
+test("DifficultyDirector follows the preset from start to end of its ramp", () => {
+  const director = new DifficultyDirector("normal");
+  const ramp = DIFFICULTY_PRESETS.normal.asteroidSpawnInterval;
+  assert.equal(director.paramsAt(0).asteroidSpawnInterval, CONFIG.asteroidSpawnInterval * ramp.from);
+  assert.equal(director.paramsAt(ramp.over).asteroidSpawnInterval, CONFIG.asteroidSpawnInterval * ramp.to);
+  assert.equal(director.paramsAt(ramp.over * 10).asteroidSpawnInterval, CONFIG.asteroidSpawnInterval * ramp.to);
+
+  // Eased: halfway in time is halfway in value, but the first quarter moves less than a quarter
+  const mid = director.paramsAt(ramp.over / 2).asteroidSpawnInterval;
+  assert.ok(Math.abs(mid - (CONFIG.asteroidSpawnInterval * (ramp.from + ramp.to)) / 2) < 1e-9);
+  const quarter = director.paramsAt(ramp.over / 4).asteroidSpawnInterval;
+  const linearQuarter = CONFIG.asteroidSpawnInterval * (ramp.from + (ramp.to - ramp.from) / 4);
+  assert.ok(quarter > linearQuarter);
+});
+
+test("stepped ramps hold whole-rock batch sizes between steps", () => {
+  const director = new DifficultyDirector("insane");
+  const ramp = DIFFICULTY_PRESETS.insane.asteroidBatchSize;
+  const sizes = new Set();
+  for (let t = 0; t <= ramp.over; t += 1) {
+    const size = director.paramsAt(t).asteroidBatchSize;
+    assert.ok(Number.isInteger(size));
+    sizes.add(size);
+  }
+  assert.equal(sizes.size, ramp.steps + 1);
+});
+
+test("DIFFICULTY_LIMITS clamp whatever the preset asks for", () => {
+  const director = new DifficultyDirector("insane");
+  const original = CONFIG.asteroidSpawnInterval;
+  CONFIG.asteroidSpawnInterval = 1;
+  try {
+    assert.equal(director.paramsAt(0).asteroidSpawnInterval, DIFFICULTY_LIMITS.asteroidSpawnInterval[0]);
+  } finally {
+    CONFIG.asteroidSpawnInterval = original;
+  }
+});
+
+test("unknown presets are rejected", () => {
+  assert.throws(() => new DifficultyDirector("nightmare"), /Unknown difficulty/);
+  assert.throws(() => new Simulation("seed", "nightmare"), /Unknown difficulty/);
+});
+
+test("Simulation spawns rocks with its preset's ramped values", () => {
+  const sim = new Simulation("ramped", "hard");
+  const inputs = { x: 0, y: 0 };
+  while (sim.asteroids.length === 0) sim.step(inputs);
+  assert.deepEqual({ ...sim.params }, { ...new DifficultyDirector("hard").paramsAt(sim.elapsedTime) });
+  assert.equal(sim.asteroids.length, sim.params.asteroidBatchSize);
+  for (const rock of sim.asteroids) {
+    const speed = Math.hypot(rock.baseVx, rock.baseVy);
+    assert.ok(Math.abs(speed - sim.params.asteroidBaseSpeed) <= CONFIG.asteroidSpeedVariance + 1e-9);
+  }
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { memoryStorage } = require("./helpers.js");
+
+const { TICK_RATE, Simulation, ScoreManager, GhostCodec, GhostRecorder, Ghost, GhostStore } = loadCore({
+  localStorage: memoryStorage(),
+});
+
+// A Zen run weaving about for `seconds`, sampled tick by tick; returns the
+// ghost and the ship's position and score on every tick
+function recordRun(seconds, seed = "ghost") {
+  const sim = new Simulation(seed, "normal", "zen");
+  const recorder = new GhostRecorder(sim);
+  const path = [{ x: sim.ship.x, y: sim.ship.y, score: sim.score }];
+  while (sim.tick < seconds * TICK_RATE) {
+    sim.step({ x: Math.sin(sim.tick / 50), y: Math.cos(sim.tick / 80) });
+    recorder.sample(sim);
+    path.push({ x: sim.ship.x, y: sim.ship.y, score: sim.score });
+  }
+  sim.end("quit");
+  return { ghost: recorder.finish(sim, ScoreManager.record(sim, "Ace")), path, sim };
+}
+
+test("a ghost retraces the run it was recorded from", () => {
+  const { ghost, path } = recordRun(10);
+  assert.equal(ghost.ticks, 10 * TICK_RATE);
+  assert.equal(ghost.xs.length, Math.ceil(ghost.ticks / ghost.interval) + 1);
+
+  const racer = new Ghost(ghost);
+  for (let tick = 1; tick <= ghost.ticks; tick++) {
+    racer.update(tick);
+    // Within a pixel or two between samples, to the pixel on them
+    const slack = tick % ghost.interval === 0 ? 0.5 : 3;
+    assert.ok(Math.abs(racer.ship.x - path[tick].x) <= slack, `x at tick ${tick}`);
+    assert.ok(Math.abs(racer.ship.y - path[tick].y) <= slack, `y at tick ${tick}`);
+    if (tick % ghost.interval === 0) assert.ok(Math.abs(racer.scoreAt(tick) - path[tick].score) < 0.01);
+  }
+  assert.ok(racer.trail.length > 0);
+
+  // Over: it stays put, its trail drains and it keeps its final score
+  racer.update(ghost.ticks + 5);
+  assert.equal(racer.finished, true);
+  assert.equal(racer.scoreAt(ghost.ticks + 5), ghost.score);
+  assert.equal(racer.ship.x, ghost.xs[ghost.xs.length - 1]);
+});
+
+test("ghost files round-trip and stay compact", () => {
+  const { ghost } = recordRun(60, "compact");
+  const text = GhostCodec.encode(ghost);
+  assert.ok(text.length < 12000, `${text.length} bytes for a minute`);
+
+  const again = GhostCodec.decode(text);
+  assert.deepEqual([...again.xs], [...ghost.xs]);
+  assert.deepEqual([...again.ys], [...ghost.ys]);
+  assert.deepEqual([...again.scores], [...ghost.scores]);
+  assert.equal(again.name, "Ace");
+  assert.equal(again.endReason, "quit");
+  assert.equal(again.ticks, ghost.ticks);
+});
+
+test("malformed ghost files are rejected with a reason", () => {
+  const { ghost } = recordRun(2, "bad");
+  const file = (fields) => JSON.stringify({ ...JSON.parse(GhostCodec.encode(ghost)), ...fields });
+  assert.throws(() => GhostCodec.decode("nope"), /Not a ghost file/);
+  assert.throws(() => GhostCodec.decode(file({ format: "asteroid-dodge-replay" })), /Not a ghost file/);
+  assert.throws(() => GhostCodec.decode(file({ version: 7 })), /Unsupported ghost version/);
+  assert.throws(() => GhostCodec.decode(file({ mode: "coop" })), /Co-op has no ghosts/);
+  assert.throws(() => GhostCodec.decode(file({ interval: 0 })), /timing is corrupt/);
+  assert.throws(() => GhostCodec.decode(file({ xs: [1, 2] })), /path is corrupt/);
+});
+
+test("the store keeps one ghost per board and follows a rename", () => {
+  const { ghost } = recordRun(2, "stored");
+  assert.equal(GhostStore.load("zen.normal"), null);
+  GhostStore.save("zen.normal", ghost);
+  assert.equal(GhostStore.load("zen.hard"), null);
+
+  GhostStore.rename("zen.normal", "someone-else", "Nope");
+  assert.equal(GhostStore.load("zen.normal").name, "Ace");
+  GhostStore.rename("zen.normal", ghost.recordId, "Bea");
+  assert.equal(GhostStore.load("zen.normal").name, "Bea");
+
+  GhostStore.clearAll();
+  assert.equal(GhostStore.load("zen.normal"), null);
+});
@@ -0,0 +1,28 @@
+// Helpers shared by the test files (not a test file itself)
+
+// A localStorage stand-in that keeps everything in memory
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    key: (i) => [...data.keys()][i] ?? null,
+    get length() {
+      return data.size;
+    },
+  };
+}
+
+// Runs fn with some of a loaded core's CONFIG overridden, then puts it back
+function withConfig(CONFIG, overrides, fn) {
+  const saved = { ...CONFIG };
+  Object.assign(CONFIG, overrides);
+  try {
+    fn();
+  } finally {
+    Object.assign(CONFIG, saved);
+  }
+}
+
+module.exports = { memoryStorage, withConfig };
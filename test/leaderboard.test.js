@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { memoryStorage } = require("./helpers.js");
+const { createServer } = require("../leaderboard-server.js");
+
+const entry = (id, score, name = "") => ({ id, score, name, date: "2026-01-01T00:00:00.000Z" });
+
+test("MemoryLeaderboard ranks entries and serves the top and a window around one", async () => {
+  const { MemoryLeaderboard } = loadCore();
+  const board = new MemoryLeaderboard();
+  for (let i = 1; i <= 20; i++) await board.submit("hard", entry(`run${i}`, i));
+
+  assert.deepEqual({ ...(await board.submit("hard", entry("tie", 15))) }, { rank: 7 }); // behind the earlier 15
+  assert.deepEqual({ ...(await board.submit("hard", entry("run20", 20))) }, { rank: 1 }); // a resend counts once
+
+  const top = await board.top("hard", 3);
+  assert.deepEqual(
+    [...top.map((e) => [e.rank, e.id])],
+    [
+      [1, "run20"],
+      [2, "run19"],
+      [3, "run18"],
+    ],
+  );
+  const around = await board.around("hard", "run2", 2);
+  assert.deepEqual([...around.map((e) => e.rank)], [18, 19, 20, 21]);
+
+  await assert.rejects(board.submit("nope.hard", entry("x", 1)), (err) => err.status === 400);
+  await assert.rejects(board.submit("hard", { id: "x", score: "lots" }), (err) => err.status === 400);
+  await assert.rejects(board.around("hard", "missing", 2), (err) => err.status === 404);
+});
+
+test("Leaderboard queues runs while offline and sends them in order later", async () => {
+  const storage = memoryStorage();
+  const { Leaderboard, MemoryLeaderboard } = loadCore({ localStorage: storage });
+  const server = new MemoryLeaderboard();
+  let online = false;
+  const backend = {
+    submit: (board, e) => (online ? server.submit(board, e) : Promise.reject(new Error("Failed to fetch"))),
+    top: (board, limit) => server.top(board, limit),
+    around: (board, id, span) => server.around(board, id, span),
+  };
+  const client = new Leaderboard(backend);
+
+  assert.deepEqual({ ...(await client.submit("normal", entry("a", 5))) }, { queued: true });
+  assert.deepEqual({ ...(await client.submit("normal", entry("b", 9))) }, { queued: true });
+  assert.equal(client.queue.length, 2);
+
+  // A new browser session sees the same queue
+  online = true;
+  const results = await new Leaderboard(backend).flush();
+  assert.deepEqual([...Object.keys(results)], ["a", "b"]);
+  assert.equal(client.queue.length, 0);
+  assert.deepEqual([...(await server.top("normal", 10)).map((e) => e.id)], ["b", "a"]);
+
+  // Entries the server refuses are dropped instead of retried forever
+  assert.ok((await client.submit("bogus.board", entry("c", 1))).rejected);
+  assert.equal(client.queue.length, 0);
+});
+
+test("standings show the top, or the top few and the run's neighbourhood", async () => {
+  const { Leaderboard, MemoryLeaderboard } = loadCore({ localStorage: memoryStorage() });
+  const client = new Leaderboard(new MemoryLeaderboard());
+  for (let i = 1; i <= 30; i++) await client.submit("easy", entry(`run${i}`, i));
+
+  assert.equal((await client.standings("easy", "run25", 6)).length, 10);
+  const rows = await client.standings("easy", "run3", 28);
+  assert.deepEqual([...rows.map((e) => e && e.rank)], [1, 2, 3, 4, null, 26, 27, 28, 29, 30]);
+});
+
+test("HttpLeaderboard talks to the mock server", async () => {
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}/`;
+  try {
+    const { HttpLeaderboard } = loadCore({ fetch });
+    const client = new HttpLeaderboard(base);
+    assert.deepEqual({ ...(await client.submit("zen.normal", entry("a b/c", 3, "ACE"))) }, { rank: 1 });
+    await client.submit("zen.normal", entry("other", 7));
+
+    const top = await client.top("zen.normal", 5);
+    assert.deepEqual(
+      top.map((e) => [e.rank, e.id, e.name]),
+      [
+        [1, "other", ""],
+        [2, "a b/c", "ACE"],
+      ],
+    );
+    assert.equal((await client.around("zen.normal", "a b/c", 1)).length, 2);
+
+    await assert.rejects(client.submit("zen.normal", { score: 1 }), (err) => err.status === 400);
+    await assert.rejects(client.around("zen.normal", "missing", 1), (err) => err.status === 404);
+
+    // Broken percent-encoding, in the board or the id, is the caller's mistake, not a crash
+    for (const path of ["boards/%E0%A4%A/scores", "boards/zen.normal/scores/%E0%A4%A/around"]) {
+      const res = await fetch(base + path);
+      assert.equal(res.status, 400);
+      assert.deepEqual(await res.json(), { error: "Bad URL encoding" });
+    }
+  } finally {
+    server.close();
+  }
+});
+
+test("HttpLeaderboard rejects without a status when the server is unreachable", async () => {
+  const { HttpLeaderboard } = loadCore({ fetch: () => Promise.reject(new TypeError("Failed to fetch")) });
+  await assert.rejects(new HttpLeaderboard("http://offline.invalid").top("normal", 10), (err) => !err.status);
+});
@@ -0,0 +1,288 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+
+const { CONFIG, TICK_RATE, MODE_IDS, Asteroid, Simulation, ScoreManager, ReplayCodec, ReplayRecorder, verifyReplay } =
+  loadCore();
+
+const NO_INPUT = { x: 0, y: 0 };
+
+// A still rock sitting right on the ship (the first one, by default)
+function parkRock(sim, ship = sim.ship) {
+  const rock = new Asteroid(sim.rng);
+  rock.x = rock.prevX = ship.x;
+  rock.y = rock.prevY = ship.y;
+  rock.baseVx = rock.baseVy = 0;
+  sim.asteroids.push(rock);
+  return rock;
+}
+
+// A small rock that will skim past just outside the ship, left to right
+function skimRock(sim) {
+  const ship = sim.ship;
+  const rock = new Asteroid(sim.rng);
+  rock.handPlaced = true;
+  rock.size = CONFIG.asteroidMinSize;
+  rock.x = rock.prevX = ship.x - 60;
+  rock.y = rock.prevY = ship.y + ship.size + rock.size + CONFIG.nearMissDistance / 2;
+  rock.baseVx = 240;
+  rock.baseVy = 0;
+  rock.rotationSpeed = 0;
+  sim.asteroids.push(rock);
+  return rock;
+}
+
+// Steps with nothing but hand-placed rocks in the field
+function stepClear(sim, ticks = 1) {
+  for (let i = 0; i < ticks && !sim.over; i++) {
+    sim.asteroids = sim.asteroids.filter((a) => a.handPlaced);
+    sim.step(NO_INPUT);
+  }
+}
+
+test("unknown modes are rejected", () => {
+  assert.ok(MODE_IDS.includes("classic"));
+  assert.throws(() => new Simulation("seed", "normal", "tag"), /Unknown mode/);
+});
+
+test("Zen never ends on a hit and counts each rock once", () => {
+  const sim = new Simulation("zen", "normal", "zen");
+  stepClear(sim, 2 * TICK_RATE);
+  const rock = parkRock(sim);
+  rock.handPlaced = true;
+  assert.equal(sim.step(NO_INPUT), false);
+  assert.equal(sim.hits, 1);
+  assert.deepEqual({ ...sim.events[0] }, { type: "hit", x: sim.ship.x, y: sim.ship.y, player: 0, rock: "rock" });
+
+  // Still overlapping, but already counted
+  stepClear(sim, TICK_RATE);
+  assert.equal(sim.over, false);
+  assert.equal(sim.hits, 1);
+
+  // Scored on the longest clean stretch: the 2s before the hit
+  assert.ok(Math.abs(sim.score - 2) < 0.02);
+  stepClear(sim, 2 * TICK_RATE);
+  assert.ok(sim.score > 2.9);
+});
+
+test("3 Lives respawns with grace after a hit and ends on the third", () => {
+  const sim = new Simulation("lives", "normal", "lives");
+  for (let life = 3; life > 0; life--) {
+    sim.ship.x = sim.ship.prevX = 100;
+    const rock = parkRock(sim);
+    rock.handPlaced = true;
+    const ended = sim.step(NO_INPUT);
+    assert.equal(sim.lives, life - 1);
+    if (life > 1) {
+      assert.equal(ended, false);
+      assert.equal(sim.ship.x, CONFIG.canvasWidth / 2);
+      assert.equal(sim.invulnerableTime(), sim.rules.invulnerability);
+
+      // Rocks pass straight through during the grace period
+      parkRock(sim).handPlaced = true;
+      stepClear(sim, TICK_RATE);
+      assert.equal(sim.lives, life - 1);
+      sim.asteroids = [];
+      stepClear(sim, TICK_RATE);
+      assert.equal(sim.invulnerableTime(), 0);
+    } else {
+      assert.equal(ended, true);
+      assert.equal(sim.endReason, "hit");
+    }
+  }
+});
+
+test("Time Attack ends at the time limit and scores near misses", () => {
+  const sim = new Simulation("attack", "normal", "timeAttack");
+  const ship = sim.ship;
+
+  // A rock skimming past just outside the ship
+  const rock = new Asteroid(sim.rng);
+  rock.handPlaced = true;
+  rock.size = CONFIG.asteroidMinSize;
+  rock.x = rock.prevX = ship.x - 60;
+  rock.y = rock.prevY = ship.y + ship.size + rock.size + CONFIG.nearMissDistance / 2;
+  rock.baseVx = 240;
+  rock.baseVy = 0;
+  rock.rotationSpeed = 0;
+  sim.asteroids.push(rock);
+
+  let events = [];
+  while (!sim.over) {
+    stepClear(sim);
+    events = events.concat(sim.events);
+  }
+  assert.equal(sim.endReason, "time");
+  assert.equal(sim.tick, sim.rules.timeLimit * TICK_RATE);
+  assert.equal(sim.nearMisses, 1);
+  assert.equal(sim.score, 1);
+  assert.deepEqual(
+    events.filter((e) => e.type !== "surge" && e.type !== "pattern").map((e) => e.type),
+    ["nearMiss"],
+  );
+});
+
+test("a rock that hits is not a near miss", () => {
+  const sim = new Simulation("graze-hit", "normal", "zen");
+  const rock = parkRock(sim);
+  rock.handPlaced = true;
+  rock.baseVx = 240;
+  stepClear(sim, TICK_RATE);
+  assert.equal(sim.hits, 1);
+  assert.equal(sim.nearMisses, 0);
+});
+
+test("grazes score points with a combo that builds, decays and resets on a hit", () => {
+  const sim = new Simulation("graze", "normal", "lives");
+  sim.surgeTimer = Infinity;
+  const grazes = () => {
+    skimRock(sim);
+    let events = [];
+    for (let i = 0; i < TICK_RATE; i++) {
+      stepClear(sim);
+      events = events.concat(sim.events.filter((e) => e.type === "nearMiss"));
+    }
+    return events.map((e) => [e.points, e.combo]);
+  };
+
+  assert.deepEqual(grazes(), [[25, 1]]);
+  assert.deepEqual(grazes(), [[31, 1.25]]);
+  assert.equal(sim.combo, 1.5);
+  assert.equal(sim.grazePoints, 56);
+  assert.equal(sim.score, Math.floor(sim.elapsedTime * CONFIG.survivalPoints) + 56);
+
+  // Held for a moment, then back down to 1
+  stepClear(sim, TICK_RATE / 2);
+  assert.equal(sim.combo, 1.5);
+  assert.ok(sim.comboHoldTime > 0);
+  stepClear(sim, 2 * TICK_RATE);
+  assert.equal(sim.combo, 1);
+  assert.equal(sim.bestCombo, 1.5);
+
+  // Builds twice as fast in a surge; a hit loses it
+  sim.surgeActive = true;
+  sim.surgeDurationTimer = Infinity;
+  grazes();
+  assert.equal(sim.combo, 1 + 2 * CONFIG.comboStep);
+  parkRock(sim).handPlaced = true;
+  stepClear(sim);
+  assert.equal(sim.lives, 2);
+  assert.equal(sim.combo, 1);
+});
+
+test("Hardcore surges from the first tick and never lets up", () => {
+  const sim = new Simulation("hardcore", "normal", "hardcore");
+  for (let i = 0; i < 20 * TICK_RATE; i++) {
+    sim.updateSurge(1 / TICK_RATE);
+    assert.equal(sim.surgeActive, true);
+    assert.equal(sim.speedMultiplier, sim.params.surgeMultiplier);
+    assert.equal(sim.surgeWarning, 0);
+  }
+});
+
+test("a finished Zen run replays and verifies", () => {
+  const sim = new Simulation("zen-replay", "hard", "zen");
+  const recorder = new ReplayRecorder(sim.seed, "hard", "zen");
+  for (let i = 0; i < 15 * TICK_RATE; i++) {
+    const phase = Math.floor(i / 70) % 4;
+    const inputs = [
+      { x: -1, y: 0 },
+      { x: 0, y: -1 },
+      { x: 1, y: 0 },
+      { x: 0, y: 1 },
+    ][phase];
+    recorder.record(ReplayCodec.packInput(inputs));
+    sim.step(inputs);
+  }
+  sim.end("quit");
+  const replay = ReplayCodec.decode(ReplayCodec.encode(recorder.finish(sim.score)));
+  assert.equal(replay.mode, "zen");
+  assert.equal(verifyReplay(replay).verified, true);
+});
+
+test("co-op ships go down one at a time and a partner revives a wreck", () => {
+  const sim = new Simulation("coop", "normal", "coop");
+  const [p1, p2] = sim.ships;
+  assert.equal(p2.x - p1.x, CONFIG.playerSpacing);
+  stepClear(sim, TICK_RATE);
+
+  parkRock(sim, p2);
+  assert.equal(sim.step(NO_INPUT), false);
+  assert.equal(p2.alive, false);
+  assert.deepEqual(
+    { ...sim.events.find((e) => e.type === "hit") },
+    { type: "hit", x: p2.x, y: p2.y, player: 1, rock: "rock" },
+  );
+  sim.asteroids = [];
+
+  // P1 flies over to the wreck, which holds still
+  const wreckX = p2.x;
+  const revives = [];
+  for (let i = 0; i < TICK_RATE && p2.alive === false; i++) {
+    sim.asteroids = sim.asteroids.filter((a) => a.handPlaced);
+    sim.step([
+      { x: 1, y: 0 },
+      { x: -1, y: 0 },
+    ]);
+    revives.push(...sim.events.filter((e) => e.type === "revive"));
+  }
+  assert.equal(p2.alive, true);
+  assert.equal(p2.x, wreckX);
+  assert.equal(sim.revives, 1);
+  assert.deepEqual(
+    revives.map((e) => e.player),
+    [1],
+  );
+  assert.equal(sim.invulnerableTime(p2), sim.rules.invulnerability);
+
+  // The run ends when neither ship is left flying
+  stepClear(sim, 3 * TICK_RATE);
+  parkRock(sim, p1);
+  parkRock(sim, p2);
+  assert.equal(sim.step(NO_INPUT), true);
+  assert.equal(sim.endReason, "hit");
+  assert.equal(sim.winner, null);
+});
+
+test("versus is won by the ship left flying, and a double knockout is a draw", () => {
+  const sim = new Simulation("versus", "normal", "versus");
+  stepClear(sim, TICK_RATE);
+  parkRock(sim, sim.ships[0]);
+  assert.equal(sim.step(NO_INPUT), true);
+  assert.equal(sim.winner, 1);
+  assert.deepEqual([...sim.rules.summary(sim)], ["P2 outlasted P1"]);
+
+  const draw = new Simulation("versus", "normal", "versus");
+  stepClear(draw, TICK_RATE);
+  for (const ship of draw.ships) parkRock(draw, ship);
+  assert.equal(draw.step(NO_INPUT), true);
+  assert.equal(draw.winner, null);
+});
+
+test("a two-player run replays and verifies", () => {
+  const sim = new Simulation("coop-replay", "normal", "coop");
+  const recorder = new ReplayRecorder(sim.seed, "normal", "coop");
+  while (!sim.over && sim.tick < 20 * TICK_RATE) {
+    const inputs = [
+      { x: Math.sin(sim.tick / 40), y: Math.cos(sim.tick / 90) },
+      { x: Math.cos(sim.tick / 60), y: -Math.sin(sim.tick / 30) },
+    ];
+    recorder.record(ReplayCodec.packInput(inputs));
+    sim.step(inputs);
+  }
+  sim.end("quit");
+  const replay = ReplayCodec.decode(ReplayCodec.encode(recorder.finish(sim.score)));
+  const result = verifyReplay(replay);
+  assert.equal(result.verified, true);
+  assert.equal(result.score, sim.score);
+});
+
+test("each mode and difficulty has its own board", () => {
+  assert.equal(ScoreManager.board("classic", "normal"), "normal");
+  assert.equal(ScoreManager.board("classic", "hard"), "hard");
+  assert.equal(ScoreManager.board("zen", "hard"), "zen.hard");
+  const ids = new Set();
+  for (const mode of MODE_IDS)
+    for (const difficulty of ["easy", "normal"]) ids.add(ScoreManager.board(mode, difficulty));
+  assert.equal(ids.size, MODE_IDS.length * 2);
+});
@@ -0,0 +1,241 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+
+const { CONFIG, TICK_RATE, Simulation, PatternCodec, DEFAULT_PATTERNS, ReplayCodec, ReplayRecorder, verifyReplay } =
+  loadCore();
+
+const NO_INPUT = { x: 0, y: 0 };
+
+// A pattern file playing `patterns` on `sequence` and nothing else
+function level(patterns, sequence, fields = {}) {
+  return PatternCodec.normalize({
+    format: PatternCodec.format,
+    version: PatternCodec.version,
+    name: "Test",
+    every: null,
+    random: 0,
+    randomDuring: 0,
+    patterns,
+    sequence,
+    ...fields,
+  });
+}
+
+function patternEvents(sim, ticks) {
+  const events = [];
+  for (let i = 0; i < ticks && !sim.over; i++) {
+    sim.step(NO_INPUT);
+    events.push(...sim.events.filter((e) => e.type === "pattern").map((e) => ({ ...e, tick: sim.tick })));
+  }
+  return events;
+}
+
+test("the built-in patterns are a valid pattern file", () => {
+  const again = PatternCodec.decode(JSON.stringify(DEFAULT_PATTERNS));
+  assert.equal(JSON.stringify(again), JSON.stringify(DEFAULT_PATTERNS));
+  assert.deepEqual([...again.mix], Object.keys(DEFAULT_PATTERNS.patterns));
+  // Defaults are filled in
+  assert.equal(again.patterns.wall.steps[0].count, 16);
+  assert.equal(again.patterns.wall.steps[0].type, "rock");
+});
+
+test("malformed pattern files are rejected with a reason", () => {
+  const file = (fields) => JSON.stringify({ format: PatternCodec.format, version: 1, ...fields });
+  const wall = { steps: [{ shape: "wall" }] };
+  assert.throws(() => PatternCodec.decode("{}"), /Not a pattern file/);
+  assert.throws(() => PatternCodec.decode(file({ version: 9, patterns: { wall } })), /Unsupported/);
+  assert.throws(() => PatternCodec.decode(file({ patterns: {} })), /no patterns/);
+  assert.throws(() => PatternCodec.decode(file({ patterns: { wall: { steps: [] } } })), /"wall" has no steps/);
+  assert.throws(
+    () => PatternCodec.decode(file({ patterns: { zig: { steps: [{ shape: "zigzag" }] } } })),
+    /step 1: unknown shape "zigzag"/,
+  );
+  assert.throws(
+    () => PatternCodec.decode(file({ patterns: { wall: { steps: [{ shape: "wall", count: 1000 }] } } })),
+    /step 1 count must be a number from 1 to 100/,
+  );
+  assert.throws(
+    () => PatternCodec.decode(file({ patterns: { wall: { steps: [{ shape: "wall", side: "up" }] } } })),
+    /side must be one of/,
+  );
+  assert.throws(
+    () => PatternCodec.decode(file({ patterns: { wall: { steps: [{ shape: "wall", type: "comet" }] } } })),
+    /type must be one of/,
+  );
+  assert.throws(
+    () => PatternCodec.decode(file({ patterns: { wall }, sequence: [{ at: 1, pattern: "spiral" }] })),
+    /sequence 1: no pattern called "spiral"/,
+  );
+  assert.throws(() => PatternCodec.decode(file({ patterns: { wall }, every: [10, 5] })), /every must be/);
+});
+
+test("sequenced patterns start on time and can turn the random stream off", () => {
+  const patterns = level(
+    {
+      gate: { label: "Gate", steps: [{ shape: "wall", side: "top", count: 10, gapWidth: 0 }] },
+      later: { steps: [{ shape: "wall", side: "left", count: 4, gapWidth: 0 }] },
+    },
+    [
+      { at: 2, pattern: "later" },
+      { at: 0.5, pattern: "gate" },
+    ],
+  );
+  const sim = new Simulation("sequence", "normal", "zen", patterns);
+  const events = patternEvents(sim, TICK_RATE);
+  assert.deepEqual(events, [{ type: "pattern", id: "gate", label: "Gate", tick: TICK_RATE / 2 }]);
+  assert.equal(sim.asteroids.length, 10); // the wall and nothing else
+  assert.deepEqual({ ...sim.spawner.announced }, { label: "Gate", tick: TICK_RATE / 2 });
+  for (const rock of sim.asteroids) assert.ok(rock.baseVy > 0 && Math.abs(rock.baseVx) < 1e-9);
+
+  const more = patternEvents(sim, TICK_RATE);
+  assert.deepEqual(
+    more.map((e) => [e.id, e.tick]),
+    [["later", 2 * TICK_RATE]],
+  );
+});
+
+test("a wall leaves its gap clear", () => {
+  const gapWidth = 120;
+  const patterns = level(
+    { wall: { steps: [{ shape: "wall", side: "left", count: 30, gap: 0.25, gapWidth, size: 10 }] } },
+    [{ at: 0, pattern: "wall" }],
+  );
+  const sim = new Simulation("gap", "normal", "zen", patterns);
+  sim.step(NO_INPUT);
+  const gapY = 0.25 * CONFIG.canvasHeight;
+  assert.ok(sim.asteroids.length > 20 && sim.asteroids.length < 30);
+  for (const rock of sim.asteroids) {
+    assert.equal(rock.size, 10);
+    assert.ok(rock.x < 0 && rock.baseVx > 0);
+    assert.ok(Math.abs(rock.y - gapY) >= gapWidth / 2 + rock.size);
+  }
+});
+
+test("a spiral fires its rocks one at a time, sweeping across", () => {
+  const step = { shape: "spiral", corner: "topLeft", count: 5, interval: 0.25, sweep: 1, direction: 1 };
+  const sim = new Simulation(
+    "spiral",
+    "normal",
+    "zen",
+    level({ spiral: { steps: [step] } }, [{ at: 0, pattern: "spiral" }]),
+  );
+  const counts = [];
+  const headings = [];
+  for (let i = 0; i < 5; i++) {
+    sim.step(NO_INPUT);
+    counts.push(sim.asteroids.length);
+    const newest = sim.asteroids[sim.asteroids.length - 1];
+    headings.push(Math.atan2(newest.baseVy, newest.baseVx));
+    for (let t = 1; t < TICK_RATE / 4; t++) sim.step(NO_INPUT);
+  }
+  assert.deepEqual(counts, [1, 2, 3, 4, 5]);
+  assert.ok(Math.abs(headings[4] - headings[0] - 1) < 1e-9);
+  assert.ok(Math.abs(headings[2] - Math.PI / 4) < 1e-9); // the middle one aims at the centre
+});
+
+test("a ring closes in on the ship", () => {
+  const step = { shape: "ring", count: 12, radius: 150, gapWidth: 0 };
+  const sim = new Simulation("ring", "normal", "zen", level({ ring: { steps: [step] } }, [{ at: 0, pattern: "ring" }]));
+  const { x, y } = sim.ship;
+  sim.step(NO_INPUT);
+  assert.equal(sim.asteroids.length, 12);
+  for (const rock of sim.asteroids) {
+    const before = Math.hypot(rock.prevX - x, rock.prevY - y);
+    assert.ok(Math.abs(before - 150) < 1e-6);
+    assert.ok(Math.hypot(rock.x - x, rock.y - y) < before);
+  }
+});
+
+test("a ring around a ship at the edge, or wider than the field, flies in whole", () => {
+  const ringAt = (step, x, y) => {
+    const sim = new Simulation(
+      "edge",
+      "normal",
+      "zen",
+      level({ ring: { steps: [step] } }, [{ at: 0, pattern: "ring" }]),
+    );
+    sim.ship.x = sim.ship.prevX = x;
+    sim.ship.y = sim.ship.prevY = y;
+    sim.step(NO_INPUT);
+    return sim;
+  };
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  // Still centred on the ship, however far past the edge that puts the rocks
+  const sim = ringAt({ shape: "ring", count: 16, radius: 260, gapWidth: 0 }, 10, 20);
+  assert.ok(Math.abs(mean(sim.asteroids.map((rock) => rock.prevX)) - 10) < 1e-6);
+  assert.ok(Math.abs(mean(sim.asteroids.map((rock) => rock.prevY)) - 20) < 1e-6);
+  for (let i = 0; i < TICK_RATE; i++) sim.step(NO_INPUT);
+  assert.equal(sim.asteroids.length, 16);
+
+  const W = CONFIG.canvasWidth;
+  const wide = ringAt({ shape: "ring", around: "center", count: 16, radius: 1000, gapWidth: 0 }, W / 2, W / 2);
+  for (let i = 0; i < TICK_RATE; i++) wide.step(NO_INPUT);
+  assert.equal(wide.asteroids.length, 16);
+
+  // Once through the field they're culled like any other rock
+  while (sim.tick < 20 * TICK_RATE) sim.step(NO_INPUT);
+  assert.equal(sim.asteroids.length, 0);
+});
+
+test("patterns never change the random stream's rocks", () => {
+  // Pattern rocks here are all exactly 33px, which random ones never are
+  const quiet = level({ wall: { steps: [{ shape: "wall" }] } }, [], { random: 1, randomDuring: 1 });
+  const busy = level(
+    {
+      mixed: {
+        steps: [
+          { shape: "spiral", size: 33 },
+          { at: 0.5, shape: "ring", size: 33 },
+        ],
+      },
+    },
+    [],
+    {
+      every: [1, 2],
+      random: 1,
+      randomDuring: 1,
+    },
+  );
+  const randomRocks = (patterns) => {
+    const sim = new Simulation("streams", "normal", "zen", patterns);
+    const rocks = [];
+    for (let i = 0; i < 5 * TICK_RATE; i++) {
+      const before = new Set(sim.asteroids);
+      sim.step(NO_INPUT);
+      for (const rock of sim.asteroids) {
+        if (!before.has(rock) && rock.size !== 33) rocks.push([rock.size, rock.baseVx, rock.baseVy]);
+      }
+    }
+    return rocks;
+  };
+  const plain = randomRocks(quiet);
+  assert.ok(plain.length > 50);
+  assert.deepEqual(randomRocks(busy), plain);
+});
+
+test("replays carry their pattern file and verify", () => {
+  const patterns = level(
+    { gate: { steps: [{ shape: "wall", side: "top", gap: 0.5 }] } },
+    [{ at: 1, pattern: "gate" }],
+    {
+      every: [2, 3],
+      random: 0.5,
+    },
+  );
+  const sim = new Simulation("replayed", "normal", "zen", patterns);
+  const recorder = new ReplayRecorder(sim.seed, "normal", "zen", patterns);
+  while (sim.tick < 30 * TICK_RATE) {
+    const input = { x: Math.sin(sim.tick / 40), y: Math.cos(sim.tick / 90) };
+    recorder.record(ReplayCodec.packInput(input));
+    sim.step(input);
+  }
+  sim.end("quit");
+  const replay = ReplayCodec.decode(ReplayCodec.encode(recorder.finish(sim.score)));
+  assert.equal(replay.patterns.name, "Test");
+  assert.ok(verifyReplay(replay).verified);
+
+  // Without it, the run plays out differently
+  assert.notEqual(verifyReplay({ ...replay, patterns: null }).score, sim.score);
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { withConfig } = require("./helpers.js");
+
+const { CONFIG, TICK_RATE, Asteroid, Pickup, Simulation } = loadCore();
+
+const NO_INPUT = { x: 0, y: 0 };
+
+// A pickup of the given kind dropped right on the ship
+function dropOnShip(sim, kind) {
+  const pickup = new Pickup(sim.pickupRng, sim.ship, sim.tick);
+  pickup.kind = kind;
+  pickup.x = sim.ship.x;
+  pickup.y = sim.ship.y;
+  sim.pickups.push(pickup);
+}
+
+function parkRock(sim, x, y) {
+  const rock = new Asteroid(sim.rng);
+  rock.x = rock.prevX = x;
+  rock.y = rock.prevY = y;
+  rock.baseVx = rock.baseVy = 0;
+  sim.asteroids.push(rock);
+  return rock;
+}
+
+test("pickups spawn on their own stream and leave the rocks alone", () => {
+  const fieldAfter = (interval) => {
+    let field;
+    withConfig(CONFIG, { pickupSpawnInterval: [interval, interval] }, () => {
+      const sim = new Simulation("pickup-stream");
+      for (let i = 0; i < TICK_RATE; i++) sim.step(NO_INPUT);
+      field = { rocks: sim.asteroids.map((a) => `${a.x},${a.y}`).join(";"), pickups: sim.pickups.length };
+    });
+    return field;
+  };
+  const withPickups = fieldAfter(400);
+  const without = fieldAfter(1e9);
+  assert.equal(withPickups.pickups, 2);
+  assert.equal(without.pickups, 0);
+  assert.equal(withPickups.rocks, without.rocks);
+});
+
+test("pickups follow CONFIG.pickupWeights, keep away from the ship and expire", () => {
+  withConfig(CONFIG, { pickupWeights: { shield: 0, slow: 0, shrink: 0, bomb: 1 } }, () => {
+    const sim = new Simulation("weights");
+    for (let i = 0; i < 50; i++) {
+      const pickup = new Pickup(sim.pickupRng, sim.ship, 0);
+      assert.equal(pickup.kind, "bomb");
+      assert.ok(Math.hypot(pickup.x - sim.ship.x, pickup.y - sim.ship.y) >= CONFIG.pickupMinShipDistance);
+    }
+  });
+
+  const sim = new Simulation("expire");
+  sim.pickups.push(new Pickup(sim.pickupRng, sim.ship, 0));
+  sim.asteroids = [];
+  while (sim.tick < (CONFIG.pickupLifetime / 1000) * TICK_RATE - 1) {
+    sim.asteroids = [];
+    sim.step(NO_INPUT);
+  }
+  assert.equal(sim.pickups.length, 1);
+  sim.step(NO_INPUT);
+  assert.equal(sim.pickups.length, 0);
+});
+
+test("with every weight at 0 no pickups spawn", () => {
+  withConfig(
+    CONFIG,
+    { pickupWeights: { shield: 0, slow: 0, shrink: 0, bomb: 0 }, pickupSpawnInterval: [100, 100] },
+    () => {
+      const sim = new Simulation("no-pickups");
+      for (let i = 0; i < 2 * TICK_RATE; i++) {
+        sim.asteroids = [];
+        sim.step(NO_INPUT);
+      }
+      assert.equal(sim.pickups.length, 0);
+      assert.throws(() => new Pickup(sim.pickupRng, sim.ship, sim.tick), /No pickup kind/);
+    },
+  );
+});
+
+test("a shield absorbs one hit", () => {
+  const sim = new Simulation("shield");
+  dropOnShip(sim, "shield");
+  sim.step(NO_INPUT);
+  assert.equal(sim.ship.shield, true);
+  assert.equal(sim.events[0].type, "pickup");
+
+  parkRock(sim, sim.ship.x, sim.ship.y);
+  assert.equal(sim.step(NO_INPUT), false);
+  assert.equal(sim.ship.shield, false);
+  assert.deepEqual([...sim.events.map((e) => e.type)], ["shieldBreak"]);
+  assert.equal(sim.hits, 0);
+
+  parkRock(sim, sim.ship.x, sim.ship.y);
+  assert.equal(sim.step(NO_INPUT), true);
+});
+
+test("slow time scales speedMultiplier until it runs out", () => {
+  withConfig(CONFIG, { surgeInterval: [1e9, 1e9] }, () => {
+    const sim = new Simulation("slow");
+    dropOnShip(sim, "slow");
+    sim.step(NO_INPUT);
+    sim.step(NO_INPUT);
+    assert.equal(sim.speedMultiplier, CONFIG.slowFactor);
+    assert.ok(Math.abs(sim.effectTime("slow") - (CONFIG.slowDuration / 1000 - 1 / TICK_RATE)) < 1e-9);
+
+    while (sim.effectTime("slow") > 0) {
+      sim.asteroids = [];
+      sim.step(NO_INPUT);
+    }
+    sim.step(NO_INPUT);
+    assert.equal(sim.speedMultiplier, 1);
+  });
+});
+
+test("shrink halves the ship for its duration", () => {
+  const sim = new Simulation("shrink");
+  dropOnShip(sim, "shrink");
+  sim.step(NO_INPUT);
+  sim.step(NO_INPUT);
+  assert.equal(sim.ship.size, CONFIG.shipSize * CONFIG.shrinkScale);
+  for (let i = 0; i < (CONFIG.shrinkDuration / 1000) * TICK_RATE; i++) {
+    sim.asteroids = [];
+    sim.step(NO_INPUT);
+  }
+  assert.equal(sim.ship.size, CONFIG.shipSize);
+});
+
+test("a bomb clears the rocks near the ship", () => {
+  const sim = new Simulation("bomb");
+  sim.asteroids = [];
+  const near = parkRock(sim, sim.ship.x + CONFIG.bombRadius - 10, sim.ship.y);
+  const far = parkRock(sim, sim.ship.x - CONFIG.bombRadius - 60, sim.ship.y);
+  dropOnShip(sim, "bomb");
+  sim.step(NO_INPUT);
+  assert.ok(!sim.asteroids.includes(near));
+  assert.ok(sim.asteroids.includes(far));
+  const bomb = sim.events.find((e) => e.type === "bomb");
+  assert.equal(bomb.cleared.length, 1);
+  assert.equal(bomb.cleared[0].x, near.x);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+
+const { CONFIG, INPUT_STEPS, Simulation, ReplayCodec, ReplayRecorder, verifyReplay } = loadCore();
+
+// Plays a run with a simple scripted bot, recording it like the game does
+function recordRun(seed, difficulty = "normal") {
+  const sim = new Simulation(seed, difficulty);
+  const recorder = new ReplayRecorder(seed, difficulty);
+  while (!sim.over) {
+    const phase = Math.floor(sim.tick / 70) % 4;
+    const inputs = [
+      { x: -1, y: 0 },
+      { x: 0, y: -1 },
+      { x: 1, y: 0 },
+      { x: 0, y: 1 },
+    ][phase];
+    recorder.record(ReplayCodec.packInput(inputs));
+    sim.step(inputs);
+  }
+  return recorder.finish(sim.score);
+}
+
+test("a recorded run survives encode/decode and verifies", () => {
+  const replay = recordRun("verify-me");
+  const decoded = ReplayCodec.decode(ReplayCodec.encode(replay));
+  assert.equal(decoded.frames.length, replay.frames.length);
+  assert.equal(decoded.score, replay.score);
+
+  const result = verifyReplay(decoded);
+  assert.equal(result.verified, true);
+  assert.equal(result.score, replay.score);
+});
+
+test("replays keep the difficulty they were played on", () => {
+  const replay = recordRun("hard-run", "hard");
+  const decoded = ReplayCodec.decode(ReplayCodec.encode(replay));
+  assert.equal(decoded.difficulty, "hard");
+  assert.equal(verifyReplay(decoded).verified, true);
+
+  // The same inputs on another preset play out differently
+  assert.equal(verifyReplay({ ...decoded, difficulty: "easy" }).verified, false);
+  assert.throws(() => ReplayCodec.decode(ReplayCodec.encode({ ...replay, difficulty: "nope" })), /Unknown difficulty/);
+});
+
+test("a tampered score fails verification", () => {
+  const replay = recordRun("cheater");
+  const result = verifyReplay({ ...replay, score: replay.score + 10 });
+  assert.equal(result.verified, false);
+  assert.equal(result.score, replay.score);
+});
+
+test("verification uses the recorded CONFIG and restores the current one", () => {
+  const replay = recordRun("config");
+  const speed = CONFIG.asteroidBaseSpeed;
+  CONFIG.asteroidBaseSpeed = speed * 2;
+  try {
+    assert.equal(verifyReplay(replay).verified, true);
+    assert.equal(CONFIG.asteroidBaseSpeed, speed * 2);
+  } finally {
+    CONFIG.asteroidBaseSpeed = speed;
+  }
+});
+
+test("packInput stores every quantized input exactly", () => {
+  for (let i = -INPUT_STEPS; i <= INPUT_STEPS; i++) {
+    for (let j = -INPUT_STEPS; j <= INPUT_STEPS; j += 7) {
+      const inputs = { x: i / INPUT_STEPS, y: j / INPUT_STEPS };
+      assert.deepEqual({ ...ReplayCodec.unpackInput(ReplayCodec.packInput(inputs)) }, inputs);
+    }
+  }
+  // Keyboard diagonals (longer than 1) and stick noise between steps
+  assert.deepEqual({ ...ReplayCodec.unpackInput(ReplayCodec.packInput({ x: 1, y: -1 })) }, { x: 1, y: -1 });
+  assert.deepEqual({ ...ReplayCodec.unpackInput(ReplayCodec.packInput({ x: 0.3001, y: 2 })) }, { x: 19 / 64, y: 1 });
+});
+
+test("two players' inputs pack into one code", () => {
+  const inputs = [
+    { x: 1, y: -0.5 },
+    { x: -19 / 64, y: 0 },
+  ];
+  const code = ReplayCodec.packInput(inputs);
+  assert.ok(code < ReplayCodec.inputCodes ** 2);
+  assert.deepEqual(
+    [...ReplayCodec.unpackInput(code, 2)].map((input) => ({ ...input })),
+    inputs,
+  );
+});
+
+test("an analog run replays exactly", () => {
+  const seed = "analog";
+  const sim = new Simulation(seed);
+  const recorder = new ReplayRecorder(seed);
+  while (!sim.over) {
+    // A stick swept around in circles at varying tilt
+    const angle = sim.tick / 37;
+    const tilt = 0.35 + 0.6 * Math.abs(Math.sin(sim.tick / 91));
+    const inputs = { x: Math.cos(angle) * tilt, y: Math.sin(angle) * tilt };
+    recorder.record(ReplayCodec.packInput(inputs));
+    sim.step(inputs);
+  }
+  const replay = ReplayCodec.decode(ReplayCodec.encode(recorder.finish(sim.score)));
+  assert.equal(verifyReplay(replay).verified, true);
+});
+
+test("decode rejects files that aren't replays", () => {
+  assert.throws(() => ReplayCodec.decode("{}"), /Not a replay file/);
+  const bad = JSON.parse(ReplayCodec.encode(recordRun("bad")));
+  bad.inputs = [1, -1];
+  assert.throws(() => ReplayCodec.decode(JSON.stringify(bad)), /corrupt/);
+});
+
+test("decode rejects CONFIG values of the wrong type or shape", () => {
+  const good = JSON.parse(ReplayCodec.encode(recordRun("shape")));
+  const encodedWith = (config) => JSON.stringify({ ...good, config: { ...good.config, ...config } });
+  assert.throws(() => ReplayCodec.decode(encodedWith({ shipSpeed: "fast" })), /"shipSpeed" is corrupt/);
+  assert.throws(() => ReplayCodec.decode(encodedWith({ asteroidBaseSpeed: null })), /corrupt/);
+  assert.throws(() => ReplayCodec.decode(encodedWith({ surgeInterval: [4000] })), /"surgeInterval" is corrupt/);
+  assert.throws(() => ReplayCodec.decode(encodedWith({ asteroidTypeWeights: { rock: "1" } })), /corrupt/);
+  assert.throws(() => ReplayCodec.decode(encodedWith({ asteroidTypeWeights: [1, 1] })), /corrupt/);
+
+  // Settings the game doesn't know are left out when the replay plays
+  const decoded = ReplayCodec.decode(encodedWith({ retired: "anything" }));
+  assert.equal(verifyReplay(decoded).verified, true);
+});
+
+test("decode rejects replays from another simulation version", () => {
+  const old = JSON.parse(ReplayCodec.encode(recordRun("old")));
+  delete old.simVersion;
+  assert.throws(() => ReplayCodec.decode(JSON.stringify(old)), /different version/);
+});
@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { memoryStorage } = require("./helpers.js");
+
+test("ScoreManager keeps scores sorted best first", () => {
+  const { ScoreManager } = loadCore({ localStorage: memoryStorage() });
+  assert.equal(ScoreManager.getBest(), 0);
+
+  for (const score of [12.5, 3.1, 40.2, 7]) ScoreManager.addScore(score);
+  assert.deepEqual([...ScoreManager.getScores().map((r) => r.score)], [40.2, 12.5, 7, 3.1]);
+  assert.equal(ScoreManager.getBest(), 40.2);
+});
+
+test("ScoreManager trims to maxScoresSaved", () => {
+  const { ScoreManager, CONFIG } = loadCore({ localStorage: memoryStorage() });
+  for (let i = 1; i <= CONFIG.maxScoresSaved + 5; i++) ScoreManager.addScore(i);
+
+  const scores = ScoreManager.getScores();
+  assert.equal(scores.length, CONFIG.maxScoresSaved);
+  assert.equal(scores[0].score, CONFIG.maxScoresSaved + 5);
+  assert.equal(scores[scores.length - 1].score, 6);
+  assert.equal(ScoreManager.addScore(1), -1);
+});
+
+test("ScoreManager survives missing or corrupt storage", () => {
+  const storage = memoryStorage();
+  storage.setItem("asteroidDodgeScores", "{not json");
+  const { ScoreManager } = loadCore({ localStorage: storage });
+  assert.deepEqual([...ScoreManager.getScores()], []);
+
+  // No localStorage at all (e.g. blocked by the browser)
+  const bare = loadCore();
+  bare.ScoreManager.addScore(5);
+  assert.equal(bare.ScoreManager.getBest(), 0);
+});
+
+test("ScoreManager keeps a separate board per difficulty", () => {
+  const storage = memoryStorage();
+  storage.setItem("unrelated", "keep me");
+  const { ScoreManager } = loadCore({ localStorage: storage });
+
+  ScoreManager.addScore(10);
+  ScoreManager.addScore(4, "hard");
+  assert.equal(ScoreManager.getBest("normal"), 10);
+  assert.equal(ScoreManager.getBest("hard"), 4);
+  assert.equal(ScoreManager.getBest("easy"), 0);
+
+  // Normal stays on the original key so older saves carry over
+  assert.equal(JSON.parse(storage.getItem("asteroidDodgeScores"))[0].score, 10);
+
+  ScoreManager.clearAll();
+  assert.equal(ScoreManager.getBest(), 0);
+  assert.equal(ScoreManager.getBest("hard"), 0);
+  assert.equal(storage.getItem("unrelated"), "keep me");
+});
+
+test("records keep a finished run's details", () => {
+  const { ScoreManager, Simulation, GAME_VERSION } = loadCore({ localStorage: memoryStorage() });
+  const sim = new Simulation("recorded", "hard", "lives");
+  for (let i = 0; i < 600 && !sim.over; i++) sim.step({ x: 0, y: 0 });
+
+  const board = ScoreManager.board(sim.mode, sim.difficulty);
+  const record = ScoreManager.record(sim, "A very long player name");
+  assert.equal(ScoreManager.addScore(record, board), 0);
+  ScoreManager.addScore(sim.score + 1, board);
+
+  const [best, run] = ScoreManager.getScores(board);
+  assert.equal(best.score, sim.score + 1);
+  assert.equal(run.id, record.id);
+  assert.equal(run.name, "A very long ");
+  assert.equal(run.time, sim.elapsedTime);
+  assert.equal(run.mode, "lives");
+  assert.equal(run.difficulty, "hard");
+  assert.equal(run.seed, "recorded");
+  assert.equal(run.surges, sim.surgesSurvived);
+  assert.equal(run.nearMisses, sim.nearMisses);
+  assert.equal(run.version, GAME_VERSION);
+  assert.ok(!Number.isNaN(Date.parse(run.date)));
+
+  ScoreManager.rename(board, record.id, "ACE");
+  assert.equal(ScoreManager.getScores(board)[1].name, "ACE");
+});
+
+test("boards saved as bare numbers are migrated to records", () => {
+  const storage = memoryStorage();
+  storage.setItem("asteroidDodgeScores", "[3.5, 12.25]");
+  storage.setItem("asteroidDodgeScores.zen.easy", "[8]");
+  const { ScoreManager } = loadCore({ localStorage: storage });
+
+  // Classic is scored in points now; those were seconds
+  const scores = ScoreManager.getScores();
+  assert.deepEqual([...scores.map((r) => r.score)], [122, 35]);
+  assert.equal(scores[0].mode, "classic");
+  assert.equal(scores[0].difficulty, "normal");
+  assert.equal(scores[0].date, null);
+  assert.equal(typeof JSON.parse(storage.getItem("asteroidDodgeScores"))[0], "object");
+
+  // Ids are assigned once, when the board is migrated
+  assert.equal(ScoreManager.getScores()[0].id, scores[0].id);
+  assert.equal(ScoreManager.getScores("zen.easy")[0].mode, "zen");
+  assert.equal(ScoreManager.getBest("zen.easy"), 8);
+});
+
+test("records from before grazing have their seconds converted to points, once", () => {
+  const storage = memoryStorage();
+  const old = { id: "old", score: 20.5, time: 20.5, nearMisses: 3, version: "2.1.0" };
+  storage.setItem("asteroidDodgeScores.hard", JSON.stringify([old]));
+  storage.setItem("asteroidDodgeScores.timeAttack.hard", JSON.stringify([{ ...old, score: 3 }]));
+  const { ScoreManager } = loadCore({ localStorage: storage });
+
+  assert.equal(ScoreManager.getBest("hard"), 205);
+  assert.equal(ScoreManager.getScores("hard")[0].graze, 0);
+  assert.equal(ScoreManager.getBest("hard"), 205);
+  assert.equal(ScoreManager.getBest("timeAttack.hard"), 3);
+
+  // Old history files too
+  const file = JSON.stringify({ format: ScoreManager.historyFormat, boards: { easy: [old] } });
+  assert.equal(ScoreManager.importAll(file), 1);
+  assert.equal(ScoreManager.getBest("easy"), 205);
+});
+
+test("score history exports and merges into another browser's boards", () => {
+  const from = loadCore({ localStorage: memoryStorage() }).ScoreManager;
+  from.addScore(20);
+  from.addScore(5, "timeAttack.hard");
+  const file = from.exportAll();
+
+  const storage = memoryStorage();
+  const { ScoreManager } = loadCore({ localStorage: storage });
+  ScoreManager.addScore(10);
+  assert.equal(ScoreManager.importAll(file), 2);
+  assert.deepEqual([...ScoreManager.getScores().map((r) => r.score)], [20, 10]);
+  assert.equal(ScoreManager.getBest("timeAttack.hard"), 5);
+
+  // Importing the same file again adds nothing
+  assert.equal(ScoreManager.importAll(file), 0);
+  assert.equal(ScoreManager.getScores().length, 2);
+
+  // Unknown boards and broken records are skipped; other files are refused
+  const odd = JSON.parse(file);
+  odd.boards = { "nope.normal": [{ score: 1 }], easy: [{ score: "high" }, { score: 2 }] };
+  assert.equal(ScoreManager.importAll(JSON.stringify(odd)), 1);
+  assert.equal(storage.getItem("asteroidDodgeScores.nope.normal"), null);
+
+  // Boards under ids the game never builds would sit in storage unseen
+  odd.boards = { "classic.normal": [{ score: 3 }], "zen.hard.extra": [{ score: 4 }], "zen.hard": [{ score: 6 }] };
+  assert.equal(ScoreManager.importAll(JSON.stringify(odd)), 1);
+  assert.equal(storage.getItem("asteroidDodgeScores.classic.normal"), null);
+  assert.equal(storage.getItem("asteroidDodgeScores.zen.hard.extra"), null);
+  assert.equal(ScoreManager.getBest("zen.hard"), 6);
+  assert.throws(() => ScoreManager.importAll("{}"), /Not a score history file/);
+  assert.throws(() => ScoreManager.importAll("nope"), /Not a score history file/);
+});
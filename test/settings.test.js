@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { memoryStorage } = require("./helpers.js");
+
+test("settings start from the defaults and survive a save", () => {
+  const { Settings, SETTINGS_DEFAULTS } = loadCore({ localStorage: memoryStorage() });
+  const settings = Settings.load();
+  assert.deepEqual(JSON.parse(JSON.stringify(settings)), JSON.parse(JSON.stringify(SETTINGS_DEFAULTS)));
+
+  settings.volume = 0.3;
+  settings.screenShake = false;
+  settings.difficulty = "hard";
+  Settings.rebind(settings, "up", 1, "i");
+  Settings.save(settings);
+
+  const loaded = Settings.load();
+  assert.equal(loaded.volume, 0.3);
+  assert.equal(loaded.screenShake, false);
+  assert.equal(loaded.difficulty, "hard");
+  assert.deepEqual([...loaded.bindings.up], ["ArrowUp", "i"]);
+});
+
+test("corrupt or partial storage falls back to defaults field by field", () => {
+  const storage = memoryStorage();
+  const { Settings } = loadCore({ localStorage: storage });
+
+  storage.setItem("asteroidDodgeSettings", "not json");
+  assert.equal(Settings.load().volume, 0.8);
+
+  storage.setItem(
+    "asteroidDodgeSettings",
+    JSON.stringify({
+      volume: 7,
+      musicVolume: -1,
+      sound: "yes",
+      difficulty: "impossible",
+      palette: "sepia",
+      reducedMotion: "on",
+      highContrast: 1,
+      bindings: { up: ["K", null], down: "s" },
+    }),
+  );
+  const settings = Settings.load();
+  assert.equal(settings.volume, 1);
+  assert.equal(settings.musicVolume, 0);
+  assert.equal(settings.sound, true);
+  assert.equal(settings.difficulty, "normal");
+  assert.equal(settings.screenShake, true);
+  assert.equal(settings.palette, "standard");
+  assert.equal(settings.reducedMotion, "on");
+  assert.equal(settings.highContrast, false);
+  assert.deepEqual([...settings.bindings.up], ["k", null]);
+  assert.deepEqual([...settings.bindings.down], ["ArrowDown", "s"]);
+});
+
+test("a key bound elsewhere is refused and reported", () => {
+  const { Settings } = loadCore({ localStorage: memoryStorage() });
+  const settings = Settings.defaults();
+
+  assert.equal(Settings.rebind(settings, "up", 1, "S"), "down");
+  assert.deepEqual([...settings.bindings.up], ["ArrowUp", "w"]);
+
+  // Moving a key between an action's own slots is fine
+  assert.equal(Settings.rebind(settings, "up", 0, "w"), null);
+  assert.deepEqual([...settings.bindings.up], ["w", null]);
+  assert.equal(Settings.actionFor(settings, "W"), "up");
+  assert.equal(Settings.actionFor(settings, "ArrowUp"), null);
+});
+
+test("keys bound to an action never set off a hotkey", () => {
+  const { Settings } = loadCore({ localStorage: memoryStorage() });
+  const settings = Settings.defaults();
+  assert.equal(Settings.isHotkey(settings, "E", "e"), true);
+  assert.equal(Settings.isHotkey(settings, "d", "d"), false); // WASD's right
+
+  // ESDF movement
+  Object.assign(settings.bindings, { up: ["ArrowUp", "e"], left: ["ArrowLeft", "s"] });
+  Object.assign(settings.bindings, { down: ["ArrowDown", "d"], right: ["ArrowRight", "f"] });
+  for (const key of ["e", "E", "s", "d", "f"]) {
+    assert.equal(Settings.isHotkey(settings, key, key.toLowerCase()), false, key);
+  }
+  assert.equal(Settings.isHotkey(settings, "R", "r"), true);
+  assert.equal(Settings.isHotkey(settings, "w", "w"), true);
+  assert.equal(Settings.isHotkey(settings, "r", "e"), false);
+});
+
+test("an action can't be left without a key", () => {
+  const { Settings } = loadCore({ localStorage: memoryStorage() });
+  const settings = Settings.defaults();
+
+  assert.equal(Settings.unbind(settings, "pause", 1), true);
+  assert.equal(Settings.unbind(settings, "pause", 0), false);
+  assert.deepEqual([...settings.bindings.pause], ["Escape", null]);
+});
+
+test("keyName writes keys the way the screen shows them", () => {
+  const { Settings } = loadCore();
+  assert.equal(Settings.keyName(" "), "Space");
+  assert.equal(Settings.keyName("ArrowLeft"), "←");
+  assert.equal(Settings.keyName("q"), "Q");
+  assert.equal(Settings.keyName(null), "—");
+});
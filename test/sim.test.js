@@ -0,0 +1,252 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { withConfig } = require("./helpers.js");
+
+const { CONFIG, TICK_RATE, INPUT_STEPS, quantizeInput, Rng, Ship, Asteroid, Pool, swapRemove, Simulation } = loadCore();
+
+const NO_INPUT = { x: 0, y: 0 };
+
+test("Rng is deterministic per seed", () => {
+  const a = new Rng("daily-2026-01-01");
+  const b = new Rng("daily-2026-01-01");
+  const c = new Rng("something-else");
+  const seqA = [a.next(), a.next(), a.next()];
+  assert.deepEqual(seqA, [b.next(), b.next(), b.next()]);
+  assert.notDeepEqual(seqA, [c.next(), c.next(), c.next()]);
+  for (let i = 0; i < 1000; i++) {
+    const n = a.int(2, 5);
+    assert.ok(n >= 2 && n <= 5 && Number.isInteger(n));
+  }
+});
+
+test("Ship.update normalizes diagonal movement", () => {
+  const ship = new Ship(300, 300);
+  ship.update(0.1, { x: 1, y: 1 });
+  const moved = Math.hypot(ship.x - 300, ship.y - 300);
+  assert.ok(Math.abs(moved - CONFIG.shipSpeed * 0.1) < 1e-9);
+  assert.equal(ship.prevX, 300);
+  assert.equal(ship.prevY, 300);
+});
+
+test("Ship.update moves in proportion to an analog stick", () => {
+  const ship = new Ship(300, 300);
+  ship.update(0.1, { x: 0, y: -0.5 });
+  assert.ok(Math.abs(ship.y - (300 - CONFIG.shipSpeed * 0.05)) < 1e-9);
+  assert.equal(ship.x, 300);
+});
+
+test("quantizeInput snaps to the replay grid and clamps each axis", () => {
+  assert.deepEqual({ ...quantizeInput({ x: 0.5, y: -0.25 }) }, { x: 0.5, y: -0.25 });
+  assert.deepEqual({ ...quantizeInput({ x: 1 / 3, y: -7 }) }, { x: 21 / INPUT_STEPS, y: -1 });
+  assert.deepEqual({ ...quantizeInput({}) }, { x: 0, y: 0 });
+});
+
+test("Ship.update clamps to the playfield", () => {
+  const ship = new Ship(5, 5);
+  ship.update(1, { x: -1, y: -1 });
+  assert.equal(ship.x, ship.size);
+  assert.equal(ship.y, ship.size);
+
+  ship.x = CONFIG.canvasWidth - 5;
+  ship.y = CONFIG.canvasHeight - 5;
+  ship.update(1, { x: 1, y: 1 });
+  assert.equal(ship.x, CONFIG.canvasWidth - ship.size);
+  assert.equal(ship.y, CONFIG.canvasHeight - ship.size);
+});
+
+test("Asteroid.isOffScreen only past the margin", () => {
+  const asteroid = new Asteroid(new Rng("rock"));
+  const margin = asteroid.size + 60;
+
+  asteroid.x = CONFIG.canvasWidth / 2;
+  asteroid.y = CONFIG.canvasHeight / 2;
+  assert.equal(asteroid.isOffScreen(), false);
+
+  // Freshly spawned asteroids sit just outside an edge but are still live
+  asteroid.x = -asteroid.size - 5;
+  assert.equal(asteroid.isOffScreen(), false);
+
+  asteroid.x = -margin - 1;
+  assert.equal(asteroid.isOffScreen(), true);
+  asteroid.x = CONFIG.canvasWidth + margin + 1;
+  assert.equal(asteroid.isOffScreen(), true);
+  asteroid.x = 100;
+  asteroid.y = CONFIG.canvasHeight + margin + 1;
+  assert.equal(asteroid.isOffScreen(), true);
+});
+
+test("updateSurge starts a surge when its timer runs out", () => {
+  withConfig(CONFIG, { surgeRampTime: 0 }, () => {
+    const sim = new Simulation("surge");
+    sim.surgeTimer = 10;
+    sim.updateSurge(0.005);
+    assert.equal(sim.surgeActive, false);
+    assert.equal(sim.speedMultiplier, 1);
+
+    sim.updateSurge(0.006);
+    assert.equal(sim.surgeActive, true);
+    assert.equal(sim.speedMultiplier, CONFIG.surgeMultiplier);
+    assert.ok(sim.surgeDurationTimer >= CONFIG.surgeDuration[0] && sim.surgeDurationTimer <= CONFIG.surgeDuration[1]);
+  });
+});
+
+test("a 'surge' event marks the tick a surge begins", () => {
+  const sim = new Simulation("surge-event");
+  sim.surgeTimer = 1;
+  sim.step({ x: 0, y: 0 });
+  assert.deepEqual([...sim.events.map((e) => e.type)], ["surge"]);
+  sim.step({ x: 0, y: 0 });
+  assert.equal(
+    sim.events.some((e) => e.type === "surge"),
+    false,
+  );
+});
+
+test("updateSurge ends a surge and schedules the next", () => {
+  withConfig(CONFIG, { surgeRampTime: 0 }, () => {
+    const sim = new Simulation("surge");
+    sim.surgeTimer = 0;
+    sim.updateSurge(0.001);
+    sim.surgeDurationTimer = 5;
+    sim.updateSurge(0.006);
+    assert.equal(sim.surgeActive, false);
+    assert.equal(sim.speedMultiplier, 1);
+    assert.ok(sim.surgeTimer >= CONFIG.surgeInterval[0] && sim.surgeTimer <= CONFIG.surgeInterval[1]);
+  });
+});
+
+test("surgeWarning counts up through the warning window", () => {
+  withConfig(CONFIG, { surgeWarningTime: 1000 }, () => {
+    const sim = new Simulation("warn");
+    sim.surgeTimer = 1500;
+    assert.equal(sim.surgeWarning, 0);
+
+    sim.updateSurge(0.75); // 750ms left
+    assert.equal(sim.surgeWarning, 0.25);
+    sim.updateSurge(0.5); // 250ms left
+    assert.equal(sim.surgeWarning, 0.75);
+
+    sim.updateSurge(0.3);
+    assert.equal(sim.surgeActive, true);
+    assert.equal(sim.surgeWarning, 0);
+  });
+
+  withConfig(CONFIG, { surgeWarningTime: 0 }, () => {
+    const sim = new Simulation("no-warn");
+    sim.surgeTimer = 1;
+    assert.equal(sim.surgeWarning, 0);
+  });
+});
+
+test("surge speed ramps in and out over surgeRampTime", () => {
+  withConfig(CONFIG, { surgeRampTime: 400 }, () => {
+    const sim = new Simulation("ramp");
+    sim.surgeTimer = 0;
+    sim.updateSurge(0.2); // halfway up
+    assert.equal(sim.surgeActive, true);
+    assert.ok(sim.speedMultiplier > 1 && sim.speedMultiplier < CONFIG.surgeMultiplier);
+    sim.updateSurge(0.2);
+    assert.equal(sim.speedMultiplier, CONFIG.surgeMultiplier);
+
+    sim.surgeDurationTimer = 0;
+    sim.updateSurge(0.2); // surge over, halfway back down
+    assert.equal(sim.surgeActive, false);
+    assert.ok(sim.speedMultiplier > 1 && sim.speedMultiplier < CONFIG.surgeMultiplier);
+    sim.updateSurge(0.2);
+    assert.equal(sim.speedMultiplier, 1);
+  });
+});
+
+test("step spawns asteroids and ends the run on a hit", () => {
+  const sim = new Simulation("collide");
+  for (let i = 0; i < (CONFIG.asteroidSpawnInterval / 1000) * TICK_RATE + 1; i++) sim.step(NO_INPUT);
+  assert.equal(sim.asteroids.length, CONFIG.asteroidBatchSize);
+
+  // Park a rock on the ship
+  const rock = sim.asteroids[0];
+  rock.x = rock.prevX = sim.ship.x;
+  rock.y = rock.prevY = sim.ship.y;
+  rock.baseVx = rock.baseVy = 0;
+  assert.equal(sim.step(NO_INPUT), true);
+  assert.equal(sim.over, true);
+
+  const { tick, score } = sim;
+  assert.equal(sim.step(NO_INPUT), false);
+  assert.equal(sim.tick, tick);
+  assert.equal(sim.score, score);
+});
+
+test("swept collision catches a rock that passes through the ship within one tick", () => {
+  const sim = new Simulation("tunnel");
+  const ship = sim.ship;
+  const rock = new Asteroid(sim.rng);
+  rock.size = CONFIG.asteroidMinSize;
+  rock.x = ship.x - 50;
+  rock.y = ship.y;
+  rock.baseVx = 100 * TICK_RATE; // 100px per tick: 50px left of the ship, then 50px right of it
+  rock.baseVy = 0;
+  sim.asteroids.push(rock);
+  assert.equal(sim.step(NO_INPUT), true);
+});
+
+test("same seed and inputs give the same run", () => {
+  const play = () => {
+    const sim = new Simulation("repeatable");
+    let i = 0;
+    while (!sim.over && i < 20000) {
+      const phase = Math.floor(i / 90) % 4;
+      sim.step(
+        [
+          { x: -1, y: 0 },
+          { x: 0, y: -1 },
+          { x: 1, y: 0 },
+          { x: 0, y: 1 },
+        ][phase],
+      );
+      i++;
+    }
+    return sim.score;
+  };
+  assert.equal(play(), play());
+});
+
+test("a recycled asteroid is the same rock a new one would be", () => {
+  const pool = new Pool((rng, speed) => new Asteroid(rng, speed));
+  const used = pool.acquire(new Rng("first"), 90);
+  used.hitShip = used.nearMissed = true;
+  pool.release(used);
+
+  const fresh = new Asteroid(new Rng("second"), 120);
+  const recycled = pool.acquire(new Rng("second"), 120);
+  assert.equal(recycled, used);
+  const { pool: _, ...fields } = recycled;
+  assert.deepEqual(JSON.parse(JSON.stringify(fields)), JSON.parse(JSON.stringify(fresh)));
+
+  // Rocks the pool didn't make aren't taken in
+  pool.release(fresh);
+  assert.equal(pool.free.length, 0);
+});
+
+test("swapRemove moves the last item into the gap", () => {
+  const items = ["a", "b", "c", "d"];
+  assert.equal(swapRemove(items, 1), "b");
+  assert.deepEqual(items, ["a", "d", "c"]);
+  assert.equal(swapRemove(items, 2), "c");
+  assert.deepEqual(items, ["a", "d"]);
+});
+
+test("a long run recycles its asteroids", () => {
+  const sim = new Simulation("recycling", "normal", "zen");
+  const seen = new Set();
+  let spawned = 0;
+  for (let i = 0; i < 30 * TICK_RATE; i++) {
+    const before = new Set(sim.asteroids);
+    sim.step(NO_INPUT);
+    for (const a of sim.asteroids) {
+      if (!before.has(a)) spawned++;
+      seen.add(a);
+    }
+  }
+  assert.ok(seen.size < spawned / 2, `${seen.size} objects for ${spawned} rocks`);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadCore } = require("../headless.js");
+const { memoryStorage } = require("./helpers.js");
+
+const storage = memoryStorage();
+const { TICK_RATE, CONFIG, Simulation, ASTEROID_TYPES, StatsRecorder, StatsStore, Stats } = loadCore({
+  localStorage: storage,
+});
+
+// A run entry with the given fields over plain defaults
+function run(fields = {}) {
+  return {
+    date: "2024-01-01T00:00:00.000Z",
+    mode: "classic",
+    difficulty: "normal",
+    score: 10,
+    time: 10,
+    surges: 1,
+    surgeTime: 2,
+    distance: 500,
+    endReason: "hit",
+    death: { x: 300, y: 300, rock: "rock" },
+    ...fields,
+  };
+}
+
+test("a recorded run knows how long it surged, how far it flew and what ended it", () => {
+  const sim = new Simulation("stats", "normal", "classic");
+  const recorder = new StatsRecorder(sim);
+  let surgeTicks = 0;
+  let distance = 0;
+  while (!sim.over) {
+    const move = { x: sim.tick % 240 < 120 ? 1 : -1, y: 0 };
+    const x = sim.ship.x;
+    sim.step(move);
+    recorder.update(sim);
+    if (sim.surgeActive) surgeTicks++;
+    distance += Math.abs(sim.ship.x - x);
+  }
+
+  const entry = recorder.finish(sim);
+  assert.equal(entry.endReason, "hit");
+  assert.equal(entry.time, Math.round((sim.tick / TICK_RATE) * 100) / 100);
+  assert.equal(entry.surges, sim.surgesSurvived);
+  assert.equal(entry.surgeTime, Math.round((surgeTicks / TICK_RATE) * 100) / 100);
+  assert.equal(entry.distance, Math.round(distance));
+  assert.equal(entry.death.x, Math.round(sim.ship.x));
+  assert.equal(entry.death.y, Math.round(sim.ship.y));
+  assert.ok(ASTEROID_TYPES[entry.death.rock]);
+});
+
+test("runs that don't end on a hit have no death", () => {
+  const sim = new Simulation("stats", "normal", "zen");
+  const recorder = new StatsRecorder(sim);
+  while (sim.tick < 5 * TICK_RATE) {
+    sim.step({ x: 0, y: 0 });
+    recorder.update(sim);
+  }
+  sim.end("quit");
+  const entry = recorder.finish(sim);
+  assert.equal(entry.death, null);
+  assert.equal(entry.distance, 0);
+  assert.equal(entry.time, 5);
+});
+
+test("the store keeps the latest runs and skips corrupt ones", () => {
+  StatsStore.clear();
+  const length = StatsStore.historyLength;
+  StatsStore.historyLength = 3;
+  for (let i = 1; i <= 5; i++) StatsStore.add(run({ score: i }));
+  assert.deepEqual([...StatsStore.load().map((r) => r.score)], [3, 4, 5]);
+  StatsStore.historyLength = length;
+
+  const stored = JSON.parse(storage.getItem("asteroidDodgeStats"));
+  stored.push(run({ mode: "tag" }), run({ time: -1 }), run({ death: { x: "left" } }), null, run({ death: null }));
+  storage.setItem("asteroidDodgeStats", JSON.stringify(stored));
+  assert.equal(StatsStore.load().length, 4);
+
+  storage.setItem("asteroidDodgeStats", "{oops");
+  assert.deepEqual([...StatsStore.load()], []);
+});
+
+test("summaries, histograms, trends and heatmaps", () => {
+  const W = CONFIG.canvasWidth;
+  const H = CONFIG.canvasHeight;
+  const runs = [
+    run({ time: 5, surges: 0, death: { x: 10, y: 10, rock: "seeker" } }),
+    run({ time: 25, surges: 3, death: { x: W - 10, y: H - 10, rock: "rock" } }),
+    run({ time: 12, surges: 1, death: { x: W - 5, y: H - 20, rock: "rock" } }),
+    run({ time: 60, surges: 8, endReason: "quit", death: null }),
+  ];
+  const summary = Stats.summary(runs);
+  assert.equal(summary.runs, 4);
+  assert.equal(summary.totals.time, 102);
+  assert.equal(summary.averages.surges, 3);
+  assert.deepEqual({ ...summary.deaths }, { seeker: 1, rock: 2 });
+
+  // 60s in at most 12 bins: 10s each, and the 60 lands in a 7th
+  const histogram = Stats.histogram(runs.map((r) => r.time));
+  assert.equal(histogram.size, 10);
+  assert.deepEqual([...histogram.counts], [1, 1, 1, 0, 0, 0, 1]);
+  assert.deepEqual([...Stats.histogram([]).counts], [0]);
+
+  assert.deepEqual([...Stats.rollingAverage([2, 4, 6, 8], 2)], [2, 3, 5, 7]);
+
+  // Top left and bottom right corners; the run that didn't end on a hit isn't there
+  const cells = Stats.heatmap(runs, 4, 4);
+  assert.equal(cells[0], 1);
+  assert.equal(cells[15], 2);
+  assert.equal(
+    cells.reduce((sum, n) => sum + n, 0),
+    3,
+  );
+});